@@ -0,0 +1,12 @@
+// Paramètres financiers (amortissement des équipements)
+
+export const DEPRECIATION_METHODS = ['straight-line', 'declining-balance'];
+
+export const DEFAULT_DEPRECIATION_METHOD = 'straight-line';
+
+// Coefficient du dégressif par défaut (2 = double-declining balance)
+export const DEFAULT_DECLINING_RATE = 2;
+
+// Premier mois de l'exercice comptable (1 = janvier). L'exercice porte l'année de sa clôture :
+// avec FISCAL_YEAR_START_MONTH=7, l'exercice 2026 va de juillet 2025 à juin 2026.
+export const FISCAL_YEAR_START_MONTH = Math.min(Math.max(parseInt(process.env.FISCAL_YEAR_START_MONTH, 10) || 1, 1), 12);
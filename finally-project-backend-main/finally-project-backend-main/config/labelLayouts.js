@@ -0,0 +1,60 @@
+// Formats de planches d'étiquettes (dimensions en points PDF : 72 pt = 1 pouce)
+const IN = 72;
+const MM = 72 / 25.4;
+
+export const LABEL_LAYOUTS = {
+  // Avery 5160 : US Letter, 3 x 10, 2 5/8" x 1"
+  'avery-5160': {
+    description: 'Avery 5160 / 8160 (US Letter, 3 x 10, 2.625" x 1")',
+    pageSize: 'LETTER',
+    columns: 3,
+    rows: 10,
+    labelWidth: 2.625 * IN,
+    labelHeight: 1 * IN,
+    marginTop: 0.5 * IN,
+    marginLeft: 0.1875 * IN,
+    horizontalPitch: 2.75 * IN,
+    verticalPitch: 1 * IN,
+  },
+  // Avery 5163 : US Letter, 2 x 5, 4" x 2"
+  'avery-5163': {
+    description: 'Avery 5163 / 8163 (US Letter, 2 x 5, 4" x 2")',
+    pageSize: 'LETTER',
+    columns: 2,
+    rows: 5,
+    labelWidth: 4 * IN,
+    labelHeight: 2 * IN,
+    marginTop: 0.5 * IN,
+    marginLeft: 0.15625 * IN,
+    horizontalPitch: 4.1875 * IN,
+    verticalPitch: 2 * IN,
+  },
+  // Avery L7160 : A4, 3 x 7, 63,5 x 38,1 mm
+  'avery-l7160': {
+    description: 'Avery L7160 (A4, 3 x 7, 63.5 x 38.1 mm)',
+    pageSize: 'A4',
+    columns: 3,
+    rows: 7,
+    labelWidth: 63.5 * MM,
+    labelHeight: 38.1 * MM,
+    marginTop: 15.15 * MM,
+    marginLeft: 7.25 * MM,
+    horizontalPitch: 66.04 * MM,
+    verticalPitch: 38.1 * MM,
+  },
+  // Avery L7651 : A4, 5 x 13, 38,1 x 21,2 mm (petits équipements)
+  'avery-l7651': {
+    description: 'Avery L7651 (A4, 5 x 13, 38.1 x 21.2 mm)',
+    pageSize: 'A4',
+    columns: 5,
+    rows: 13,
+    labelWidth: 38.1 * MM,
+    labelHeight: 21.2 * MM,
+    marginTop: 10.7 * MM,
+    marginLeft: 4.75 * MM,
+    horizontalPitch: 40.64 * MM,
+    verticalPitch: 21.2 * MM,
+  },
+};
+
+export const DEFAULT_LABEL_LAYOUT = 'avery-5160';
@@ -0,0 +1,13 @@
+// Types, priorités et canaux de diffusion des notifications
+
+export const NOTIFICATION_TYPES = ['equipment', 'maintenance', 'user', 'system'];
+
+// Par ordre croissant d'importance
+export const NOTIFICATION_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// in-app : liste de notifications uniquement ; les autres canaux s'y ajoutent
+export const DELIVERY_CHANNELS = ['in-app', 'email', 'daily-digest', 'weekly-digest'];
+
+// Heure locale d'envoi des résumés et jour du résumé hebdomadaire (0 = dimanche) par défaut
+export const DEFAULT_DIGEST_HOUR = 8;
+export const DEFAULT_WEEKLY_DIGEST_DAY = 1;
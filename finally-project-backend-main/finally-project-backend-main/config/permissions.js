@@ -0,0 +1,43 @@
+// Catalogue des permissions reconnues par requirePermission().
+// Format "ressource:action" ; "ressource:*" et "*" servent de jokers dans les rôles.
+export const PERMISSIONS = [
+  'equipment:write',
+  'equipment:delete',
+  'maintenance:write',
+  'categories:write',
+  'notifications:write',
+  'users:read',
+  'users:write',
+  'roles:manage',
+  'audit:read',
+  'jobs:manage',
+  'reports:read',
+  'webhooks:manage',
+];
+
+// Rôles créés au démarrage s'ils n'existent pas (correspondent aux rôles historiques)
+export const DEFAULT_ROLES = {
+  admin: ['*'],
+  manager: [
+    'equipment:write',
+    'equipment:delete',
+    'maintenance:write',
+    'categories:write',
+    'notifications:write',
+    'users:read',
+    'users:write',
+    'reports:read',
+  ],
+  support: ['equipment:write', 'maintenance:write'],
+  user: [],
+};
+
+// Vérifier qu'une permission (ou un joker) est bien connue
+export const isKnownPermission = (permission) => {
+  if (permission === '*') return true;
+  if (permission.endsWith(':*')) {
+    const resource = permission.slice(0, -2);
+    return PERMISSIONS.some((known) => known.startsWith(`${resource}:`));
+  }
+  return PERMISSIONS.includes(permission);
+};
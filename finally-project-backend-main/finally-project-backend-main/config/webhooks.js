@@ -0,0 +1,17 @@
+// Événements qu'un webhook peut écouter ("*" = tous)
+export const WEBHOOK_EVENTS = [
+  'equipment.created',
+  'equipment.updated',
+  'equipment.deleted',
+  'equipment.assigned',
+  'equipment.returned',
+  'maintenance.created',
+  'maintenance.completed',
+  'maintenance.cancelled',
+  'user.created',
+  'user.deactivated',
+  'user.activated',
+];
+
+// Durée de conservation du journal de livraisons (index TTL sur createdAt)
+export const WEBHOOK_DELIVERY_RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30;
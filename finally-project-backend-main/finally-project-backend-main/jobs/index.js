@@ -0,0 +1,76 @@
+import RefreshToken from '../models/RefreshToken.js';
+import UserToken from '../models/UserToken.js';
+import { registerJob } from '../services/scheduler.js';
+import { notifyOverdueMaintenance } from '../services/maintenanceService.js';
+import { generateUpcomingMaintenance } from '../services/maintenancePlanService.js';
+import { notifyOverdueReturns } from '../services/custodyService.js';
+import { sendWarrantyExpiryAlerts } from '../services/warrantyService.js';
+import { sendPendingEmails, sendDigests } from '../services/notificationDeliveryService.js';
+import { retryDueDeliveries } from '../services/webhookService.js';
+
+// Tâches périodiques du backend (expressions cron en UTC)
+export const registerDefaultJobs = () => {
+  registerJob({
+    name: 'maintenance-plans',
+    schedule: '0 2 * * *',
+    description: 'Generate upcoming jobs from active preventive maintenance plans',
+    handler: async () => ({ created: await generateUpcomingMaintenance() }),
+  });
+
+  registerJob({
+    name: 'overdue-maintenance',
+    schedule: '0 7 * * *',
+    description: 'Notify about scheduled maintenance jobs past their date',
+    handler: async () => ({ notified: await notifyOverdueMaintenance() }),
+  });
+
+  registerJob({
+    name: 'overdue-returns',
+    schedule: '0 8 * * *',
+    description: 'Notify custodians of equipment past its expected return date',
+    handler: async () => ({ notified: await notifyOverdueReturns() }),
+  });
+
+  registerJob({
+    name: 'warranty-reminders',
+    schedule: '0 6 * * *',
+    description: 'Notify equipment managers of warranties reaching an alert threshold',
+    handler: async () => ({ alerts: await sendWarrantyExpiryAlerts() }),
+  });
+
+  registerJob({
+    name: 'notification-emails',
+    schedule: '*/5 * * * *',
+    description: 'Send instant notification emails deferred by quiet hours',
+    handler: async () => ({ sent: await sendPendingEmails() }),
+  });
+
+  // Toutes les heures : chaque utilisateur reçoit son résumé à son heure locale
+  registerJob({
+    name: 'notification-digests',
+    schedule: '0 * * * *',
+    description: 'Send daily and weekly notification digests',
+    handler: async () => ({ sent: await sendDigests() }),
+  });
+
+  registerJob({
+    name: 'webhook-retries',
+    schedule: '*/2 * * * *',
+    description: 'Retry failed webhook deliveries whose backoff delay has elapsed',
+    handler: async () => ({ attempted: await retryDueDeliveries() }),
+  });
+
+  registerJob({
+    name: 'token-cleanup',
+    schedule: '30 3 * * *',
+    description: 'Delete expired refresh tokens and one-time email tokens',
+    handler: async () => {
+      const now = new Date();
+      const [refreshTokens, userTokens] = await Promise.all([
+        RefreshToken.deleteExpired(now),
+        UserToken.deleteMany({ expiresAt: { $lte: now } }),
+      ]);
+      return { refreshTokens: refreshTokens.deletedCount, userTokens: userTokens.deletedCount };
+    },
+  });
+};
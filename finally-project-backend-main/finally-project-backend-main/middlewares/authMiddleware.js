@@ -1,21 +1,29 @@
 import jwt from 'jsonwebtoken';
+import { getRolePermissions, hasPermission } from '../services/permissionService.js';
+import { getVerificationPolicy } from '../services/emailVerificationService.js';
+import { setRequestUser } from '../utils/requestContext.js';
 
 export const authMiddleware = (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
+    let token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ message: 'Authorization token required' });
+    // EventSource ne permet pas d'envoyer d'en-tête : jeton en query string accepté pour les flux SSE
+    if (!token && req.headers.accept?.includes('text/event-stream')) {
+      token = req.query.access_token;
     }
     
-    const token = authHeader.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({ message: 'Authorization token required' });
+    }
     
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
     
     // Add user to request
     req.user = decoded;
+    setRequestUser(decoded);
     
     next();
   } catch (error) {
@@ -37,4 +45,45 @@ export const authorize = (...roles) => {
     
     next();
   };
+};
+
+// Permission-based authorization middleware (permissions lues depuis la collection Role)
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Not authenticated' });
+    }
+    
+    try {
+      const granted = await getRolePermissions(req.user.role);
+      const allowed = permissions.every((permission) => hasPermission(granted, permission));
+      
+      if (!allowed) {
+        return res.status(403).json({ message: 'Not authorized to access this resource' });
+      }
+      
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Lecture seule pour les comptes dont l'adresse n'est pas vérifiée (politique "read-only")
+export const requireVerifiedEmail = (req, res, next) => {
+  const readOnlyMethods = ['GET', 'HEAD', 'OPTIONS'];
+  
+  if (
+    req.user &&
+    req.user.emailVerified === false &&
+    getVerificationPolicy() === 'read-only' &&
+    !readOnlyMethods.includes(req.method)
+  ) {
+    return res.status(403).json({ 
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address to make changes' 
+    });
+  }
+  
+  next();
 };
\ No newline at end of file
@@ -1,15 +1,45 @@
+// Erreurs client (4xx) : réponse sans trace, morgan journalise déjà la requête.
+// Seules les erreurs serveur sont écrites avec leur pile d'appels.
 export const errorHandler = (err, req, res, next) => {
-    console.error('Error:', err);
+    // Réponse déjà partiellement envoyée (export en streaming) : laisser Express couper la connexion
+    if (res.headersSent) {
+      console.error('Error:', err);
+      return next(err);
+    }
+    
+    // Request validation error (validateRequest, validationError)
+    if (Array.isArray(err.errors)) {
+      return res.status(err.statusCode || 400).json({ success: false, message: err.message, errors: err.errors });
+    }
     
-    // Mongoose validation error
+    // Mongoose validation error (même format que la validation des requêtes)
     if (err.name === 'ValidationError') {
-      const errors = Object.values(err.errors).map(error => error.message);
-      return res.status(400).json({ message: 'Validation Error', errors });
+      const errors = Object.values(err.errors).map(error => ({
+        location: 'body',
+        field: error.path,
+        message: error.kind === 'required' ? 'is required' : error.message,
+      }));
+      return res.status(400).json({ success: false, message: 'Validation failed', errors });
+    }
+    
+    // Mongoose invalid ObjectId / cast error (un _id vient de l'URL, les autres champs du corps)
+    if (err.name === 'CastError') {
+      const errors = [{
+        location: err.path === '_id' ? 'path' : 'body',
+        field: err.path,
+        message: `must be a valid ${err.kind}`,
+      }];
+      return res.status(400).json({ success: false, message: 'Validation failed', errors });
     }
     
     // Mongoose duplicate key error
     if (err.code === 11000) {
-      return res.status(400).json({ message: 'Duplicate key error', field: err.keyValue });
+      const errors = Object.keys(err.keyValue || err.keyPattern || {}).map(field => ({
+        location: 'body',
+        field,
+        message: 'already exists',
+      }));
+      return res.status(400).json({ success: false, message: 'Duplicate key error', errors });
     }
     
     // JWT error
@@ -26,5 +56,9 @@ export const errorHandler = (err, req, res, next) => {
     const statusCode = err.statusCode || 500;
     const message = err.message || 'Server Error';
     
+    if (statusCode >= 500) {
+      console.error('Error:', err);
+    }
+    
     res.status(statusCode).json({ message });
   };
\ No newline at end of file
@@ -0,0 +1,175 @@
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { openApiDocument } from '../openapi/index.js';
+import { OBJECT_ID_PATTERN } from '../openapi/modelSchema.js';
+import { validationError } from '../utils/httpError.js';
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Les paramètres de chemin et de requête arrivent en chaînes : coerceTypes les convertit (sur une copie)
+const createAjv = (options = {}) => {
+  const ajv = new Ajv({ strict: false, allErrors: true, ...options });
+  addFormats(ajv);
+  // Dates : "2025-01-31" comme "2025-01-31T08:00:00Z", acceptées par new Date()
+  ajv.addFormat('date-time', (value) => /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value)));
+  ajv.addSchema(openApiDocument, 'openapi.json');
+  return ajv;
+};
+
+const bodyAjv = createAjv();
+const parameterAjv = createAjv({ coerceTypes: true });
+
+// Pointeur JSON vers un nœud du document (RFC 6901)
+const pointer = (...segments) =>
+  `openapi.json#/${segments.map((segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('/')}`;
+
+// Schéma objet regroupant les paramètres d'un emplacement (path ou query)
+const compileParameters = (parameters, location) => {
+  const selected = parameters.filter(({ parameter }) => parameter.in === location);
+  if (selected.length === 0) return null;
+
+  // Schémas référencés par pointeur pour résoudre leurs $ref vers #/components
+  return parameterAjv.compile({
+    type: 'object',
+    properties: Object.fromEntries(
+      selected.map(({ parameter, segments }) => [parameter.name, { $ref: pointer(...segments, 'schema') }])
+    ),
+    required: selected.filter(({ parameter }) => parameter.required).map(({ parameter }) => parameter.name),
+  });
+};
+
+const compileOperation = (path, method, pathItem) => {
+  const operation = pathItem[method];
+  const located = (owner, ...segments) =>
+    (owner.parameters || []).map((parameter, index) => ({ parameter, segments: [...segments, 'parameters', index] }));
+
+  // Les paramètres de l'opération remplacent ceux du chemin de même nom
+  const parameters = [...located(pathItem, 'paths', path), ...located(operation, 'paths', path, method)].filter(
+    ({ parameter }, index, all) =>
+      all.findLastIndex(({ parameter: other }) => other.name === parameter.name && other.in === parameter.in) === index
+  );
+
+  const content = operation.requestBody?.content || {};
+
+  return {
+    path: compileParameters(parameters, 'path'),
+    query: compileParameters(parameters, 'query'),
+    body:
+      content['application/json'] &&
+      bodyAjv.compile({ $ref: pointer('paths', path, method, 'requestBody', 'content', 'application/json', 'schema') }),
+    bodyRequired: Boolean(operation.requestBody?.required),
+    mediaTypes: Object.keys(content),
+  };
+};
+
+// "/api/equipment/{id}" → /^\/api\/equipment\/([^/]+)$/
+const routes = Object.entries(openApiDocument.paths).map(([path, pathItem]) => {
+  const segments = path.split('/').slice(1);
+  const names = [];
+  const pattern = segments
+    .map((segment) => {
+      const param = segment.match(/^\{(.+)\}$/);
+      if (!param) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      names.push(param[1]);
+      return '([^/]+)';
+    })
+    .join('/');
+
+  return {
+    regex: new RegExp(`^/${pattern}$`),
+    names,
+    // Segments fixes prioritaires : /equipment/export avant /equipment/{id}
+    rank: segments.map((segment) => (segment.startsWith('{') ? '1' : '0')).join(''),
+    operations: Object.fromEntries(
+      METHODS.filter((method) => pathItem[method]).map((method) => [method, compileOperation(path, method, pathItem)])
+    ),
+  };
+});
+routes.sort((a, b) => a.rank.localeCompare(b.rank));
+
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+const findOperation = (method, url) => {
+  for (const route of routes) {
+    const match = url.match(route.regex);
+    if (!match) continue;
+
+    const operation = route.operations[method];
+    if (!operation) continue;
+
+    const params = Object.fromEntries(route.names.map((name, index) => [name, decode(match[index + 1])]));
+    return { operation, params };
+  }
+  return null;
+};
+
+// Messages lisibles pour les erreurs Ajv les plus courantes
+const formatMessage = (error) => {
+  switch (error.keyword) {
+    case 'required':
+      return 'is required';
+    case 'enum':
+      return `must be one of: ${error.params.allowedValues.filter((value) => value !== null).join(', ')}`;
+    case 'format':
+      if (error.params.format === 'email') return 'must be a valid email address';
+      if (error.params.format === 'date-time') return 'must be a valid date';
+      return `must be a valid ${error.params.format}`;
+    case 'pattern':
+      if (error.params.pattern === OBJECT_ID_PATTERN) return 'must be a valid id';
+      return error.message;
+    case 'additionalProperties':
+      return `unknown property "${error.params.additionalProperty}"`;
+    default:
+      return error.message;
+  }
+};
+
+// "/assignedTo/0/name" → "assignedTo.0.name"
+const formatField = (error) => {
+  const segments = error.instancePath
+    .split('/')
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (error.keyword === 'required') segments.push(error.params.missingProperty);
+  return segments.join('.');
+};
+
+const collectErrors = (validate, data, location) => {
+  if (!validate || validate(data)) return [];
+
+  return validate.errors.map((error) => ({ location, field: formatField(error), message: formatMessage(error) }));
+};
+
+// Valide les paramètres, la query et le corps JSON de la requête selon le document OpenAPI.
+// Monté avant chaque routeur ; les routes absentes du document sont laissées à Express (404).
+export const validateRequest = (req, res, next) => {
+  const url = `${req.baseUrl}${req.path}`.replace(/(.)\/$/, '$1');
+  const found = findOperation(req.method.toLowerCase(), url);
+  if (!found) return next();
+
+  const { operation, params } = found;
+
+  // Copies : req.query est recalculé par Express 5 à chaque accès et les handlers lisent les chaînes d'origine
+  const errors = [
+    ...collectErrors(operation.path, { ...params }, 'path'),
+    ...collectErrors(operation.query, { ...req.query }, 'query'),
+  ];
+
+  // Corps non JSON déclaré par l'opération (ex. import text/csv) : lu et validé par le handler
+  const declaredOtherType = operation.mediaTypes.some((type) => type !== 'application/json' && req.is(type));
+  if (operation.body && !declaredOtherType) {
+    const hasBody = req.body !== undefined && req.body !== null;
+    if (hasBody || operation.bodyRequired) {
+      errors.push(...collectErrors(operation.body, hasBody ? req.body : {}, 'body'));
+    }
+  }
+
+  if (errors.length > 0) return next(validationError(errors));
+  next();
+};
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    entity: {
+      type: String,
+      enum: ['Equipment', 'User', 'Maintenance', 'Role', 'Category'],
+      required: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: ['create', 'update', 'delete'],
+      required: true,
+    },
+    // Utilisateur à l'origine du changement (null = système : tâche planifiée, script...)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    actorEmail: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    // Différences champ par champ ; les champs sensibles sont masqués
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        before: { type: mongoose.Schema.Types.Mixed },
+        after: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Create indexes for faster queries
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -1,17 +1,105 @@
-const mongoose = require('mongoose');
+import mongoose from 'mongoose';
+import { auditPlugin } from './plugins/auditPlugin.js';
+import { DEPRECIATION_METHODS } from '../config/finance.js';
 
 const CategorySchema = new mongoose.Schema({
   name: {
     type: String,
     required: [true, 'Le nom de la catégorie est requis.'],
-    unique: true,
     trim: true
   },
   description: {
     type: String,
     trim: true,
     default: ''
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Chemin matérialisé (racine -> parent direct) pour retrouver les descendants en une requête
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Amortissement par défaut des équipements de la catégorie (et de ses sous-catégories).
+  // La valeur résiduelle est un pourcentage du coût d'acquisition.
+  depreciation: {
+    method: {
+      type: String,
+      enum: DEPRECIATION_METHODS
+    },
+    usefulLifeYears: {
+      type: Number,
+      min: 0.5
+    },
+    salvagePercent: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    decliningRate: {
+      type: Number,
+      min: 1
+    }
   }
 }, { timestamps: true });
 
-module.exports = mongoose.model('Category', CategorySchema);
\ No newline at end of file
+// Un nom est unique parmi les enfants d'un même parent
+CategorySchema.index({ parent: 1, name: 1 }, { unique: true });
+CategorySchema.index({ ancestors: 1 });
+
+// Calculer les ancêtres à partir du parent à la création ou au changement de parent
+CategorySchema.pre('validate', async function (next) {
+  if (!this.isNew && !this.isModified('parent')) return next();
+
+  try {
+    if (!this.parent) {
+      this.ancestors = [];
+      return next();
+    }
+
+    const parent = await this.constructor.findById(this.parent);
+    if (!parent) {
+      this.invalidate('parent', 'La catégorie parente est introuvable.');
+      return next();
+    }
+
+    this.ancestors = [...parent.ancestors, parent._id];
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Identifiants de la catégorie et de tous ses descendants
+CategorySchema.statics.descendantIds = async function (categoryId) {
+  const descendants = await this.find({ ancestors: categoryId }).select('_id');
+  return [new mongoose.Types.ObjectId(String(categoryId)), ...descendants.map((category) => category._id)];
+};
+
+// Construire l'arbre à partir d'une liste plate de catégories
+CategorySchema.statics.buildTree = function (categories) {
+  const nodes = new Map();
+  categories.forEach((category) => {
+    nodes.set(String(category._id), { ...category.toObject(), children: [] });
+  });
+
+  const roots = [];
+  nodes.forEach((node) => {
+    const parentNode = node.parent && nodes.get(String(node.parent));
+    if (parentNode) {
+      parentNode.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+// Journal d'audit des modifications
+CategorySchema.plugin(auditPlugin);
+
+export default mongoose.model('Category', CategorySchema);
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+const CONDITIONS = ['new', 'good', 'fair', 'poor', 'damaged'];
+
+// Une remise de matériel : qui remet, qui reçoit, quand et dans quel état
+const handoverSchema = new mongoose.Schema(
+  {
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    handedOverBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    receivedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    condition: {
+      type: String,
+      enum: CONDITIONS,
+      required: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+  },
+  { _id: false }
+);
+
+const custodyRecordSchema = new mongoose.Schema(
+  {
+    equipment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Equipment',
+      required: true,
+    },
+    // Utilisateur qui a la garde du matériel pendant la période
+    custodian: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'returned'],
+      default: 'active',
+    },
+    expectedReturnDate: {
+      type: Date,
+    },
+    checkout: {
+      type: handoverSchema,
+      required: true,
+    },
+    checkin: {
+      type: handoverSchema,
+    },
+    overdueNotifiedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create indexes for faster queries
+custodyRecordSchema.index({ equipment: 1, createdAt: -1 });
+custodyRecordSchema.index({ custodian: 1, createdAt: -1 });
+custodyRecordSchema.index({ status: 1, expectedReturnDate: 1 });
+// Un équipement ne peut avoir qu'une garde active à la fois
+custodyRecordSchema.index(
+  { equipment: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+custodyRecordSchema.methods.isOverdue = function () {
+  return this.status === 'active' && Boolean(this.expectedReturnDate) && this.expectedReturnDate < new Date();
+};
+
+const CustodyRecord = mongoose.model('CustodyRecord', custodyRecordSchema);
+
+export default CustodyRecord;
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from './plugins/auditPlugin.js';
+import { DEPRECIATION_METHODS } from '../config/finance.js';
 
 const equipmentSchema = new mongoose.Schema(
   {
@@ -9,9 +11,24 @@ const equipmentSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: [],
+      enum: [
+        'laptop',
+        'desktop',
+        'monitor',
+        'printer',
+        'server',
+        'network',
+        'phone',
+        'tablet',
+        'peripheral',
+        'other',
+      ],
       required: true,
     },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+    },
     model: {
       type: String,
       trim: true,
@@ -21,12 +38,46 @@ const equipmentSchema = new mongoose.Schema(
       trim: true,
       unique: true,
     },
+    // Numéro d'inventaire imprimé sur l'étiquette (généré si absent)
+    assetTag: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      unique: true,
+      sparse: true,
+    },
     purchaseDate: {
       type: Date,
     },
     warrantyExpiryDate: {
       type: Date,
     },
+    // Coût d'acquisition, base de l'amortissement
+    purchaseCost: {
+      type: Number,
+      min: 0,
+    },
+    // Paramètres d'amortissement propres à l'équipement ; les valeurs absentes
+    // sont héritées de la catégorie (voir depreciationService)
+    depreciation: {
+      method: {
+        type: String,
+        enum: DEPRECIATION_METHODS,
+      },
+      usefulLifeYears: {
+        type: Number,
+        min: 0.5,
+      },
+      salvageValue: {
+        type: Number,
+        min: 0,
+      },
+      // Coefficient du dégressif (2 = double-declining balance)
+      decliningRate: {
+        type: Number,
+        min: 1,
+      },
+    },
     status: {
       type: String,
       enum: ['operational', 'maintenance', 'repair', 'inactive'],
@@ -64,6 +115,29 @@ const equipmentSchema = new mongoose.Schema(
 equipmentSchema.index({ type: 1 });
 equipmentSchema.index({ status: 1 });
 equipmentSchema.index({ assignedTo: 1 });
+equipmentSchema.index({ location: 1 });
+equipmentSchema.index({ category: 1 });
+equipmentSchema.index({ warrantyExpiryDate: 1 });
+// Index texte de la recherche globale (le nom et le numéro de série pèsent le plus)
+equipmentSchema.index(
+  { name: 'text', serialNumber: 'text', model: 'text', location: 'text', notes: 'text' },
+  { name: 'equipment_search', weights: { name: 10, serialNumber: 10, model: 5, location: 2, notes: 1 } }
+);
+
+// Numéro d'inventaire par défaut, dérivé de l'identifiant (compteur et octets aléatoires de l'ObjectId)
+equipmentSchema.statics.defaultAssetTag = function (id) {
+  return `AST-${String(id).slice(-10).toUpperCase()}`;
+};
+
+equipmentSchema.pre('validate', function (next) {
+  if (!this.assetTag) {
+    this.assetTag = this.constructor.defaultAssetTag(this._id);
+  }
+  next();
+});
+
+// Journal d'audit des modifications
+equipmentSchema.plugin(auditPlugin);
 
 const Equipment = mongoose.model('Equipment', equipmentSchema);
 
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Verrou partagé entre instances : une tâche planifiée ne tourne que sur une instance à la fois
+const jobLockSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    lockedBy: {
+      type: String,
+    },
+    // Le verrou expire seul si l'instance qui le détient s'arrête en cours d'exécution
+    lockedUntil: {
+      type: Date,
+    },
+    // Dernière échéance cron exécutée : une échéance ne tourne qu'une fois, sur une seule instance
+    lastSlot: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+export default JobLock;
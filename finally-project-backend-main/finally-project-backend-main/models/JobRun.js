@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// Historique d'exécution des tâches planifiées
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: String,
+      required: true,
+    },
+    // skipped : échéance planifiée non exécutée parce que la tâche tournait déjà
+    status: {
+      type: String,
+      enum: ['running', 'succeeded', 'failed', 'skipped'],
+      default: 'running',
+    },
+    trigger: {
+      type: String,
+      enum: ['schedule', 'manual'],
+      required: true,
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    instance: {
+      type: String,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    durationMs: {
+      type: Number,
+    },
+    // Valeur renvoyée par la tâche (ex: nombre de notifications créées)
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    error: {
+      message: String,
+      stack: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create indexes for faster queries
+jobRunSchema.index({ job: 1, startedAt: -1 });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+export default JobRun;
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditPlugin } from './plugins/auditPlugin.js';
 
 const maintenanceSchema = new mongoose.Schema(
   {
@@ -46,6 +47,15 @@ const maintenanceSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Date d'envoi de l'alerte de retard (une seule alerte par job)
+    overdueNotifiedAt: {
+      type: Date,
+    },
+    // Plan préventif qui a généré ce job (absent pour les jobs créés à la main)
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MaintenancePlan',
+    },
   },
   {
     timestamps: true,
@@ -57,6 +67,33 @@ maintenanceSchema.index({ equipment: 1 });
 maintenanceSchema.index({ status: 1 });
 maintenanceSchema.index({ priority: 1 });
 maintenanceSchema.index({ scheduledDate: 1 });
+maintenanceSchema.index({ plan: 1, equipment: 1, status: 1 });
+// Index texte de la recherche globale
+maintenanceSchema.index(
+  { description: 'text', notes: 'text' },
+  { name: 'maintenance_search', weights: { description: 5, notes: 1 } }
+);
+
+// Transitions de statut autorisées (completed et cancelled sont terminaux)
+export const STATUS_TRANSITIONS = {
+  scheduled: ['in-progress', 'completed', 'cancelled'],
+  'in-progress': ['scheduled', 'completed', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+// Vérifier si un passage de statut est autorisé
+maintenanceSchema.statics.canTransition = function (from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Un job est encore ouvert tant qu'il n'est ni terminé ni annulé
+maintenanceSchema.methods.isOpen = function () {
+  return ['scheduled', 'in-progress'].includes(this.status);
+};
+
+// Journal d'audit des modifications
+maintenanceSchema.plugin(auditPlugin);
 
 const Maintenance = mongoose.model('Maintenance', maintenanceSchema);
 
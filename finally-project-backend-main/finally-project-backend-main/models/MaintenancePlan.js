@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+// Plan de maintenance préventive récurrente, pour un équipement ou toute une catégorie
+const maintenancePlanSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    equipment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Equipment',
+    },
+    // Une catégorie couvre aussi ses sous-catégories
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+    },
+    // Récurrence : tous les `every` `unit` (ex: 90 days, 6 months)
+    interval: {
+      every: {
+        type: Number,
+        required: true,
+        min: 1,
+      },
+      unit: {
+        type: String,
+        enum: ['days', 'weeks', 'months', 'years'],
+        required: true,
+      },
+    },
+    maintenanceType: {
+      type: String,
+      enum: ['routine', 'repair', 'upgrade', 'inspection', 'other'],
+      default: 'routine',
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'critical'],
+      default: 'medium',
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Date de la première échéance pour un équipement sans historique sur ce plan
+    startDate: {
+      type: Date,
+      default: Date.now,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create indexes for faster queries
+maintenancePlanSchema.index({ equipment: 1 });
+maintenancePlanSchema.index({ category: 1 });
+maintenancePlanSchema.index({ active: 1 });
+
+// Un plan cible soit un équipement, soit une catégorie
+maintenancePlanSchema.pre('validate', function (next) {
+  if (Boolean(this.equipment) === Boolean(this.category)) {
+    this.invalidate('equipment', 'A maintenance plan must target either one equipment or one category');
+  }
+  next();
+});
+
+const MaintenancePlan = mongoose.model('MaintenancePlan', maintenancePlanSchema);
+
+export default MaintenancePlan;
@@ -1,4 +1,9 @@
 import mongoose from 'mongoose';
+import { publish } from '../services/pubsub/index.js';
+import { NOTIFICATION_TYPES, NOTIFICATION_PRIORITIES } from '../config/notifications.js';
+
+// Canal pub/sub des notifications (flux SSE)
+export const NOTIFICATION_CHANNEL = 'notifications';
 
 const notificationSchema = new mongoose.Schema(
   {
@@ -14,12 +19,12 @@ const notificationSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['equipment', 'maintenance', 'user', 'system'],
+      enum: NOTIFICATION_TYPES,
       required: true,
     },
     priority: {
       type: String,
-      enum: ['low', 'medium', 'high', 'critical'],
+      enum: NOTIFICATION_PRIORITIES,
       default: 'medium',
     },
     read: {
@@ -38,6 +43,19 @@ const notificationSchema = new mongoose.Schema(
       type: String,
       enum: ['Equipment', 'Maintenance', 'User'],
     },
+    // Notifications système (user null) : suivi de lecture et de suppression par utilisateur
+    readBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
+    dismissedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
   },
   {
     timestamps: true,
@@ -48,6 +66,86 @@ const notificationSchema = new mongoose.Schema(
 notificationSchema.index({ user: 1, read: 1 });
 notificationSchema.index({ priority: 1 });
 notificationSchema.index({ type: 1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+// Filtre des notifications visibles par un utilisateur : les siennes + les notifications système
+// qu'il n'a pas masquées. `read` permet de ne garder que les lues ou non lues.
+notificationSchema.statics.visibleTo = function (userId, { read } = {}) {
+  const own = { user: userId };
+  const system = { user: null, dismissedBy: { $ne: userId } };
+
+  if (read === true) {
+    own.read = true;
+    system.readBy = userId;
+  } else if (read === false) {
+    own.read = false;
+    system.readBy = { $ne: userId };
+  }
+
+  return { $or: [own, system] };
+};
+
+// Nombre de non lues de plusieurs utilisateurs en trois requêtes (au lieu d'un countDocuments chacun).
+// Retourne une Map id utilisateur -> nombre.
+notificationSchema.statics.countUnreadFor = async function (userIds) {
+  const ids = userIds.map((id) => new mongoose.Types.ObjectId(String(id)));
+
+  const [own, systemTotal, systemSeen] = await Promise.all([
+    this.aggregate([
+      { $match: { user: { $in: ids }, read: false } },
+      { $group: { _id: '$user', count: { $sum: 1 } } },
+    ]),
+    this.countDocuments({ user: null }),
+    // Notifications système lues ou masquées par chacun de ces utilisateurs
+    this.aggregate([
+      { $match: { user: null, $or: [{ readBy: { $in: ids } }, { dismissedBy: { $in: ids } }] } },
+      { $project: { users: { $setIntersection: [{ $setUnion: ['$readBy', '$dismissedBy'] }, ids] } } },
+      { $unwind: '$users' },
+      { $group: { _id: '$users', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const counts = new Map(ids.map((id) => [String(id), systemTotal]));
+  own.forEach(({ _id, count }) => counts.set(String(_id), counts.get(String(_id)) + count));
+  systemSeen.forEach(({ _id, count }) => counts.set(String(_id), counts.get(String(_id)) - count));
+  return counts;
+};
+
+// Vérifier si la notification est lue pour un utilisateur donné
+notificationSchema.methods.isReadBy = function (userId) {
+  if (this.user) return this.read;
+  return this.readBy.some((id) => id.equals(userId));
+};
+
+// Représentation envoyée à un utilisateur (sans les listes de lecture des autres)
+notificationSchema.methods.toUserJSON = function (userId) {
+  const notification = this.toObject();
+  notification.read = this.isReadBy(userId);
+  delete notification.readBy;
+  delete notification.dismissedBy;
+  return notification;
+};
+
+// Diffuser chaque nouvelle notification ; le contenu est le même pour tous ses destinataires
+const publishCreated = (doc) =>
+  publish(NOTIFICATION_CHANNEL, {
+    event: 'created',
+    user: doc.user ? String(doc.user) : null,
+    notification: JSON.parse(JSON.stringify(doc.toUserJSON(doc.user))),
+  }).catch((error) => console.error('Notification publish error:', error));
+
+notificationSchema.pre('save', function (next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+notificationSchema.post('save', function (doc) {
+  if (doc.$locals.wasNew) publishCreated(doc);
+});
+
+notificationSchema.post('insertMany', function (docs) {
+  docs.forEach(publishCreated);
+});
 
 const Notification = mongoose.model('Notification', notificationSchema);
 
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Envoi par e-mail d'une notification à un utilisateur (immédiat ou dans un résumé)
+const notificationDeliverySchema = new mongoose.Schema(
+  {
+    notification: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Notification',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    channel: {
+      type: String,
+      enum: ['email', 'daily-digest', 'weekly-digest'],
+      required: true,
+    },
+    // skipped : notification lue ou supprimée avant l'envoi
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'skipped', 'failed'],
+      default: 'pending',
+    },
+    // E-mail immédiat reporté à la fin des heures calmes, ou prochaine tentative après un échec
+    sendAfter: {
+      type: Date,
+      default: Date.now,
+    },
+    // Envois échoués ; 'failed' une fois le nombre maximal atteint
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    sentAt: {
+      type: Date,
+    },
+    error: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Un seul envoi par notification et destinataire
+notificationDeliverySchema.index({ notification: 1, user: 1 }, { unique: true });
+notificationDeliverySchema.index({ status: 1, channel: 1, sendAfter: 1 });
+notificationDeliverySchema.index({ user: 1, status: 1, channel: 1 });
+
+const NotificationDelivery = mongoose.model('NotificationDelivery', notificationDeliverySchema);
+
+export default NotificationDelivery;
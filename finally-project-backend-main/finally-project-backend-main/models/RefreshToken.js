@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Seul le hash SHA-256 du token est stocké, jamais le token lui-même
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Tous les tokens issus d'une même connexion partagent la même famille
+    family: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: ['rotated', 'logout', 'reuse-detected', 'password-change', 'email-change', 'admin'],
+    },
+    createdByIp: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create indexes for faster queries
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ expiresAt: 1 });
+
+refreshTokenSchema.methods.isExpired = function () {
+  return this.expiresAt <= new Date();
+};
+
+refreshTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && !this.isExpired();
+};
+
+// Supprimer les tokens expirés. Les tokens révoqués sont gardés jusqu'à leur expiration
+// pour pouvoir détecter leur réutilisation.
+refreshTokenSchema.statics.deleteExpired = function (now = new Date()) {
+  return this.deleteMany({ expiresAt: { $lte: now } });
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
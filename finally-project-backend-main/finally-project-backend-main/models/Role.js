@@ -1,4 +1,6 @@
-const mongoose = require('mongoose');
+import mongoose from 'mongoose';
+import { isKnownPermission } from '../config/permissions.js';
+import { auditPlugin } from './plugins/auditPlugin.js';
 
 const RoleSchema = new mongoose.Schema({
   name: {
@@ -8,10 +10,27 @@ const RoleSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
   permissions: {
     type: [String], // Tableau de chaînes de caractères représentant les permissions
-    default: []
+    default: [],
+    validate: {
+      validator: (permissions) => permissions.every(isKnownPermission),
+      message: 'Une ou plusieurs permissions sont inconnues.'
+    }
+  },
+  // Rôles créés par le système (admin, manager, support, user) : non supprimables
+  isSystem: {
+    type: Boolean,
+    default: false
   }
 }, { timestamps: true });
 
-module.exports = mongoose.model('Role', RoleSchema);
\ No newline at end of file
+// Journal d'audit des modifications
+RoleSchema.plugin(auditPlugin);
+
+export default mongoose.model('Role', RoleSchema);
@@ -1,5 +1,40 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import Role from './Role.js';
+import { auditPlugin } from './plugins/auditPlugin.js';
+import { isValidTimeZone } from '../utils/dateHelpers.js';
+import {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PRIORITIES,
+  DELIVERY_CHANNELS,
+  DEFAULT_DIGEST_HOUR,
+  DEFAULT_WEEKLY_DIGEST_DAY,
+} from '../config/notifications.js';
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Règle de diffusion : les notifications d'un type, à partir d'une priorité, passent par un canal.
+// Pour un même type, la règle au seuil le plus élevé atteint par la notification l'emporte.
+const notificationRuleSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    minPriority: {
+      type: String,
+      enum: NOTIFICATION_PRIORITIES,
+      default: 'low',
+    },
+    channel: {
+      type: String,
+      enum: DELIVERY_CHANNELS,
+      required: true,
+    },
+  },
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -32,11 +67,18 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: {
-        values: ['admin', 'manager', 'support', 'user'],
-        message: 'Role must be one of: admin, manager, support, user'
-      },
+      trim: true,
+      lowercase: true,
       default: 'user',
+      validate: {
+        // Les rôles sont définis dans la collection Role (admin, manager, support, user + rôles personnalisés).
+        // Vérifié seulement quand le rôle change : les autres save() ne relisent pas la collection Role.
+        validator: async function(role) {
+          if (!this.isModified('role')) return true;
+          return Boolean(await Role.exists({ name: role }));
+        },
+        message: 'Role does not exist'
+      }
     },
     department: {
       type: String,
@@ -78,12 +120,42 @@ const userSchema = new mongoose.Schema(
     timezone: {
       type: String,
       default: 'UTC',
+      validate: {
+        validator: isValidTimeZone,
+        message: 'Unknown timezone'
+      }
     },
     language: {
       type: String,
       default: 'fr',
       enum: ['fr', 'en', 'es'],
     },
+    notificationPreferences: {
+      rules: [notificationRuleSchema],
+      // Pas d'e-mail immédiat pendant ces heures (heure locale de `timezone`) : envoi différé à la fin
+      quietHours: {
+        start: {
+          type: String,
+          match: [TIME_OF_DAY, 'Quiet hours must use the HH:MM format'],
+        },
+        end: {
+          type: String,
+          match: [TIME_OF_DAY, 'Quiet hours must use the HH:MM format'],
+        },
+      },
+      digestHour: {
+        type: Number,
+        min: 0,
+        max: 23,
+        default: DEFAULT_DIGEST_HOUR,
+      },
+      weeklyDigestDay: {
+        type: Number,
+        min: 0,
+        max: 6,
+        default: DEFAULT_WEEKLY_DIGEST_DAY,
+      },
+    },
   },
   {
     timestamps: true,
@@ -115,6 +187,11 @@ userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ createdAt: -1 });
+// Index texte de la recherche globale (sans racinisation : noms propres et e-mails)
+userSchema.index(
+  { name: 'text', email: 'text', department: 'text' },
+  { name: 'user_search', weights: { name: 10, email: 5, department: 2 }, default_language: 'none' }
+);
 
 // Pre-save hook to hash password
 userSchema.pre('save', async function (next) {
@@ -223,6 +300,9 @@ userSchema.post('save', function (doc) {
   }
 });
 
+// Journal d'audit des modifications (lastLogin change à chaque connexion, on ne le suit pas)
+userSchema.plugin(auditPlugin, { ignore: ['lastLogin'] });
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
\ No newline at end of file
@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+// Jetons à usage unique envoyés par e-mail (réinitialisation de mot de passe, vérification d'adresse)
+const userTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ['password-reset', 'email-verification'],
+      required: true,
+    },
+    // Seul le hash SHA-256 est stocké
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create indexes for faster queries
+userTokenSchema.index({ user: 1, type: 1 });
+userTokenSchema.index({ expiresAt: 1 });
+
+const UserToken = mongoose.model('UserToken', userTokenSchema);
+
+export default UserToken;
@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Alertes d'expiration de garantie déjà envoyées (une par équipement, seuil et date d'expiration)
+const warrantyAlertSchema = new mongoose.Schema(
+  {
+    equipment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Equipment',
+      required: true,
+    },
+    // Seuil en jours (ex: 90, 30, 7)
+    threshold: {
+      type: Number,
+      required: true,
+    },
+    // Si la garantie est prolongée, la nouvelle date redéclenche les alertes
+    warrantyExpiryDate: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+warrantyAlertSchema.index({ equipment: 1, threshold: 1, warrantyExpiryDate: 1 }, { unique: true });
+
+const WarrantyAlert = mongoose.model('WarrantyAlert', warrantyAlertSchema);
+
+export default WarrantyAlert;
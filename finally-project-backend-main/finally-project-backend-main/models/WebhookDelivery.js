@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import { WEBHOOK_DELIVERY_RETENTION_DAYS } from '../config/webhooks.js';
+
+// Une tentative d'envoi HTTP
+const attemptSchema = new mongoose.Schema(
+  {
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    responseStatus: {
+      type: Number,
+    },
+    // Début de la réponse, pour le diagnostic (réponses 2xx uniquement)
+    responseBody: {
+      type: String,
+    },
+    error: {
+      type: String,
+    },
+    durationMs: {
+      type: Number,
+    },
+  },
+  { _id: false }
+);
+
+// Envoi d'un événement à un endpoint, avec l'historique de ses tentatives
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    endpoint: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookEndpoint',
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    // Corps envoyé : { id, event, createdAt, data } (id identique pour tous les endpoints d'un même événement)
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending',
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: Date.now,
+    },
+    attemptLog: [attemptSchema],
+    // Renvoi manuel d'une livraison précédente
+    redeliveryOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WebhookDelivery',
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ endpoint: 1, createdAt: -1 });
+// Suppression automatique des livraisons anciennes (les relances s'arrêtent bien avant)
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import { WEBHOOK_EVENTS } from '../config/webhooks.js';
+
+// Endpoint externe enregistré par un admin pour recevoir des événements
+const webhookEndpointSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+      match: [/^https?:\/\/\S+$/i, 'Webhook URL must be an http(s) URL'],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    events: {
+      type: [
+        {
+          type: String,
+          enum: [...WEBHOOK_EVENTS, '*'],
+        },
+      ],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: 'Subscribe to at least one event',
+      },
+    },
+    // Clé de signature HMAC, partagée avec le destinataire
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    // Le secret n'est jamais renvoyé avec l'endpoint (seulement à la création et à la rotation)
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.secret;
+        return ret;
+      },
+    },
+  }
+);
+
+webhookEndpointSchema.index({ active: 1, events: 1 });
+
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+
+export default WebhookEndpoint;
@@ -0,0 +1,153 @@
+import AuditLog from '../AuditLog.js';
+import { getRequestContext } from '../../utils/requestContext.js';
+
+const REDACTED = '[REDACTED]';
+// Champs jamais journalisés en clair, quel que soit le modèle
+const ALWAYS_REDACTED = ['password'];
+// Champs techniques ignorés dans les différences
+const ALWAYS_IGNORED = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Représentation JSON "plate" d'un document (ObjectId -> string, Date -> ISO, Map -> objet)
+const snapshot = (doc) => {
+  const plain = typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, virtuals: false, transform: false, flattenMaps: true })
+    : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Différences champ par champ entre deux snapshots
+const diffSnapshots = (before, after, { redact, ignore }) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  fields.forEach((field) => {
+    if (ignore.includes(field)) return;
+
+    const previous = before ? before[field] : undefined;
+    const next = after ? after[field] : undefined;
+    if (JSON.stringify(previous) === JSON.stringify(next)) return;
+
+    const hidden = redact.includes(field);
+    changes.push({
+      field,
+      before: hidden && previous !== undefined ? REDACTED : previous,
+      after: hidden && next !== undefined ? REDACTED : next,
+    });
+  });
+
+  return changes;
+};
+
+// Écrire une entrée ; un échec d'audit ne doit jamais faire échouer l'opération métier.
+// Dans une transaction, l'entrée est écrite dans la même session (annulée avec elle).
+const writeAuditLog = async (entity, entityId, action, changes, session = null) => {
+  try {
+    const context = getRequestContext();
+    await AuditLog.create(
+      [
+        {
+          entity,
+          entityId,
+          action,
+          changes,
+          actor: context?.user?.id || null,
+          actorEmail: context?.user?.email,
+          ip: context?.ip,
+        },
+      ],
+      { session }
+    );
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+/**
+ * Journalise automatiquement les créations, modifications et suppressions d'un modèle.
+ * Couvre save(), deleteOne() sur document et les updates/deletes par requête.
+ * @param {mongoose.Schema} schema
+ * @param {object} options
+ * @param {string[]} [options.redact] - champs sensibles supplémentaires à masquer
+ * @param {string[]} [options.ignore] - champs à ne pas suivre (ex: lastLogin)
+ */
+export const auditPlugin = (schema, options = {}) => {
+  const settings = {
+    redact: [...ALWAYS_REDACTED, ...(options.redact || [])],
+    ignore: [...ALWAYS_IGNORED, ...(options.ignore || [])],
+  };
+
+  // Garder l'état chargé depuis la base pour calculer le diff au save()
+  schema.post('init', function () {
+    this.$locals.auditOriginal = snapshot(this);
+  });
+
+  schema.pre('save', function (next) {
+    this.$locals.auditWasNew = this.isNew;
+    next();
+  });
+
+  schema.post('save', async function (doc) {
+    const current = snapshot(doc);
+    const before = doc.$locals.auditWasNew ? {} : doc.$locals.auditOriginal || {};
+    const changes = diffSnapshots(before, current, settings);
+    doc.$locals.auditOriginal = current;
+
+    if (changes.length === 0) return;
+    await writeAuditLog(
+      doc.constructor.modelName,
+      doc._id,
+      doc.$locals.auditWasNew ? 'create' : 'update',
+      changes,
+      doc.$session()
+    );
+  });
+
+  schema.pre('deleteOne', { document: true, query: false }, function (next) {
+    this.$locals.auditBeforeDelete = snapshot(this);
+    next();
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, async function (doc) {
+    const changes = diffSnapshots(doc.$locals.auditBeforeDelete, {}, settings);
+    await writeAuditLog(doc.constructor.modelName, doc._id, 'delete', changes, doc.$session());
+  });
+
+  // Updates et suppressions par requête : on relit les documents avant et après
+  const queryUpdates = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+  const queryDeletes = ['findOneAndDelete', 'deleteOne', 'deleteMany'];
+  const singleDocumentOps = ['findOneAndUpdate', 'updateOne', 'findOneAndDelete', 'deleteOne'];
+
+  // Lectures et entrées d'audit dans la session de la requête : annulées avec sa transaction
+  schema.pre([...queryUpdates, ...queryDeletes], { document: false, query: true }, async function () {
+    const query = this.model.find(this.getFilter()).session(this.getOptions().session || null).lean();
+    if (singleDocumentOps.includes(this.op)) query.limit(1);
+    this._auditBefore = await query;
+  });
+
+  schema.post(queryUpdates, { document: false, query: true }, async function () {
+    const before = this._auditBefore || [];
+    if (before.length === 0) return;
+
+    const session = this.getOptions().session || null;
+    const after = await this.model
+      .find({ _id: { $in: before.map((doc) => doc._id) } })
+      .session(session)
+      .lean();
+    const afterById = new Map(after.map((doc) => [String(doc._id), snapshot(doc)]));
+
+    for (const doc of before) {
+      const changes = diffSnapshots(snapshot(doc), afterById.get(String(doc._id)), settings);
+      if (changes.length > 0) {
+        await writeAuditLog(this.model.modelName, doc._id, 'update', changes, session);
+      }
+    }
+  });
+
+  schema.post(queryDeletes, { document: false, query: true }, async function () {
+    const session = this.getOptions().session || null;
+    for (const doc of this._auditBefore || []) {
+      const changes = diffSnapshots(snapshot(doc), {}, settings);
+      await writeAuditLog(this.model.modelName, doc._id, 'delete', changes, session);
+    }
+  });
+};
@@ -0,0 +1,184 @@
+import Equipment from '../models/Equipment.js';
+import Maintenance from '../models/Maintenance.js';
+import MaintenancePlan from '../models/MaintenancePlan.js';
+import User from '../models/User.js';
+import Category from '../models/Category.js';
+import Role from '../models/Role.js';
+import CustodyRecord from '../models/CustodyRecord.js';
+import Notification from '../models/Notification.js';
+import AuditLog from '../models/AuditLog.js';
+import JobRun from '../models/JobRun.js';
+import WebhookEndpoint from '../models/WebhookEndpoint.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { documentSchema, OBJECT_ID_PATTERN } from './modelSchema.js';
+import { EXPORT_FORMATS } from '../services/exportService.js';
+
+// Helpers de description des opérations (utilisés par openapi/paths/*)
+
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Valeurs autorisées d'un champ énuméré d'un modèle (filtres de liste)
+export const enumOf = (Model, path) => ({ type: 'string', enum: [...Model.schema.path(path).enumValues] });
+
+export const queryParam = (name, schema, description) => ({
+  name,
+  in: 'query',
+  schema,
+  ...(description && { description }),
+});
+
+export const pathParam = (name, schema = ref('ObjectId'), description) => ({
+  name,
+  in: 'path',
+  required: true,
+  schema,
+  ...(description && { description }),
+});
+
+export const idParam = pathParam('id');
+
+export const jsonBody = (schema, { required = true } = {}) => ({
+  required,
+  content: { 'application/json': { schema } },
+});
+
+// Réponse JSON { success: true, ...properties }
+export const jsonResponse = (description, properties = {}) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        properties: { success: { type: 'boolean', example: true }, ...properties },
+      },
+    },
+  },
+});
+
+// Réponse d'une liste paginée
+export const listResponse = (description, key, itemSchema) =>
+  jsonResponse(description, {
+    count: { type: 'integer' },
+    pagination: ref('Pagination'),
+    [key]: { type: 'array', items: itemSchema },
+  });
+
+export const messageResponse = (description) => jsonResponse(description, { message: { type: 'string' } });
+
+// Réponses d'erreur communes, par code HTTP
+export const errorResponses = (...codes) =>
+  Object.fromEntries(codes.map((code) => [code, { $ref: `#/components/responses/${ERROR_RESPONSES[code]}` }]));
+
+const ERROR_RESPONSES = {
+  400: 'ValidationFailed',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+};
+
+export const requires = (permission) => `Requires the \`${permission}\` permission.`;
+
+export const paginationParams = [
+  queryParam('page', { type: 'integer', minimum: 1, default: 1 }),
+  queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 20 }),
+];
+
+export const sortParam = (fields) =>
+  queryParam(
+    'sort',
+    { type: 'string', example: `-${fields[0]}` },
+    `Comma-separated fields, prefixed with "-" for descending order. Sortable: ${fields.join(', ')}.`
+  );
+
+export const dateParam = (name, description) => queryParam(name, ref('Date'), description);
+
+export const exportFormatParam = queryParam('format', { type: 'string', enum: EXPORT_FORMATS, default: 'csv' });
+
+export const fileResponse = (description, mediaTypes) => ({
+  description,
+  content: Object.fromEntries(mediaTypes.map((type) => [type, { schema: { type: 'string', format: 'binary' } }])),
+});
+
+export const EXPORT_MEDIA_TYPES = ['text/csv', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'];
+
+const userSchema = documentSchema(User, { idKey: 'id' });
+
+const errorSchema = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } },
+});
+
+export const components = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT',
+      description: 'Access token returned by /api/auth/login (header "Authorization: Bearer <token>").',
+    },
+  },
+  schemas: {
+    ObjectId: { type: 'string', pattern: OBJECT_ID_PATTERN, example: '665f1c2ab4d3e1a2b3c4d5e6' },
+    Date: { type: 'string', format: 'date-time', description: 'ISO 8601 date or date-time', example: '2025-01-31' },
+    Email: { type: 'string', format: 'email', example: 'jane.doe@example.com' },
+    Password: { type: 'string', minLength: 6, format: 'password' },
+    Pagination: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        page: { type: 'integer' },
+        limit: { type: 'integer' },
+        pages: { type: 'integer' },
+      },
+    },
+    Error: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', example: false },
+        message: { type: 'string' },
+      },
+    },
+    ValidationError: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', example: false },
+        message: { type: 'string', example: 'Validation failed' },
+        errors: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              location: { type: 'string', enum: ['path', 'query', 'body'] },
+              field: { type: 'string', example: 'email' },
+              message: { type: 'string', example: 'must be a valid email address' },
+            },
+          },
+        },
+      },
+    },
+    Equipment: documentSchema(Equipment),
+    Maintenance: documentSchema(Maintenance, { exclude: ['overdueNotifiedAt'] }),
+    MaintenancePlan: documentSchema(MaintenancePlan),
+    User: userSchema,
+    NotificationPreferences: userSchema.properties.notificationPreferences,
+    Category: documentSchema(Category),
+    Role: documentSchema(Role),
+    CustodyRecord: documentSchema(CustodyRecord),
+    Notification: documentSchema(Notification, { exclude: ['readBy', 'dismissedBy'] }),
+    AuditLog: documentSchema(AuditLog),
+    JobRun: documentSchema(JobRun),
+    Webhook: documentSchema(WebhookEndpoint),
+    WebhookDelivery: documentSchema(WebhookDelivery),
+  },
+  responses: {
+    ValidationFailed: {
+      description: 'Invalid request (parameters or body)',
+      content: { 'application/json': { schema: ref('ValidationError') } },
+    },
+    Unauthorized: errorSchema('Missing, invalid or expired access token'),
+    Forbidden: errorSchema('Missing permission'),
+    NotFound: errorSchema('Resource not found'),
+    Conflict: errorSchema('Conflicts with the current state of the resource'),
+  },
+};
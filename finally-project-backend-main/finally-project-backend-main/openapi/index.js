@@ -0,0 +1,65 @@
+import { components } from './components.js';
+import authPaths from './paths/auth.js';
+import equipmentPaths from './paths/equipment.js';
+import userPaths from './paths/users.js';
+import maintenancePaths from './paths/maintenance.js';
+import notificationPaths from './paths/notifications.js';
+import categoryPaths from './paths/categories.js';
+import rolePaths from './paths/roles.js';
+import auditPaths from './paths/audit.js';
+import custodyPaths from './paths/custody.js';
+import maintenancePlanPaths from './paths/maintenancePlans.js';
+import jobPaths from './paths/jobs.js';
+import searchPaths from './paths/search.js';
+import depreciationPaths from './paths/depreciation.js';
+import reportPaths from './paths/reports.js';
+import webhookPaths from './paths/webhooks.js';
+
+// Document OpenAPI servi sur /api/openapi.json et utilisé par validateRequest
+export const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'IT Asset Management API',
+    version: '1.0.0',
+    description:
+      'Invalid parameters and bodies are rejected with a 400 `ValidationError` before reaching the handlers. ' +
+      'Routes require a bearer access token and a verified email unless stated otherwise.',
+  },
+  servers: [{ url: '/' }],
+  security: [{ bearerAuth: [] }],
+  tags: [
+    { name: 'Auth' },
+    { name: 'Equipment' },
+    { name: 'Users' },
+    { name: 'Maintenance' },
+    { name: 'Notifications' },
+    { name: 'Categories' },
+    { name: 'Roles' },
+    { name: 'Audit' },
+    { name: 'Custody' },
+    { name: 'Maintenance plans' },
+    { name: 'Jobs' },
+    { name: 'Search' },
+    { name: 'Depreciation' },
+    { name: 'Reports' },
+    { name: 'Webhooks' },
+  ],
+  paths: {
+    ...authPaths,
+    ...equipmentPaths,
+    ...userPaths,
+    ...maintenancePaths,
+    ...notificationPaths,
+    ...categoryPaths,
+    ...rolePaths,
+    ...auditPaths,
+    ...custodyPaths,
+    ...maintenancePlanPaths,
+    ...jobPaths,
+    ...searchPaths,
+    ...depreciationPaths,
+    ...reportPaths,
+    ...webhookPaths,
+  },
+  components,
+};
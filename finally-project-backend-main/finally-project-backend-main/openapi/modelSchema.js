@@ -0,0 +1,152 @@
+// Conversion des schémas Mongoose en schémas OpenAPI (sous-ensemble JSON Schema) :
+// la documentation et la validation des requêtes suivent ainsi les modèles sans être recopiées.
+
+export const OBJECT_ID_PATTERN = '^[0-9a-fA-F]{24}$';
+
+// Les options Mongoose acceptent aussi la forme [valeur, message]
+const optionValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+const isRequired = (schemaType) => optionValue(schemaType.options.required) === true;
+
+// Chemins internes à ne jamais exposer
+const isHiddenPath = (name, schemaType) =>
+  name === '__v' || name.includes('.$*') || schemaType.options.select === false;
+
+const schemaTypeToJson = (schemaType, { input }) => {
+  const { options } = schemaType;
+
+  switch (schemaType.instance) {
+    case 'String': {
+      const schema = { type: 'string' };
+      if (schemaType.enumValues?.length) schema.enum = [...schemaType.enumValues];
+      if (options.minlength) schema.minLength = optionValue(options.minlength);
+      if (options.maxlength) schema.maxLength = optionValue(options.maxlength);
+      if (options.match) schema.pattern = optionValue(options.match).source;
+      return schema;
+    }
+    case 'Number': {
+      const schema = { type: 'number' };
+      if (options.min !== undefined) schema.minimum = optionValue(options.min);
+      if (options.max !== undefined) schema.maximum = optionValue(options.max);
+      return schema;
+    }
+    case 'Date':
+      return { type: 'string', format: 'date-time' };
+    case 'Boolean':
+      return { type: 'boolean' };
+    case 'ObjectId':
+      return {
+        type: 'string',
+        pattern: OBJECT_ID_PATTERN,
+        ...(options.ref && { description: `${options.ref} id${input ? '' : ' (or populated document)'}` }),
+      };
+    case 'Map':
+      return { type: 'object', additionalProperties: schemaTypeToJson(schemaType.$__schemaType, { input }) };
+    case 'Array':
+      return {
+        type: 'array',
+        // Les éléments d'un tableau sont remplacés en bloc : leurs champs obligatoires le restent
+        items: schemaType.schema
+          ? mongooseSchemaToJson(schemaType.schema, { input, required: input })
+          : schemaTypeToJson(schemaType.caster, { input }),
+      };
+    case 'Embedded':
+      return mongooseSchemaToJson(schemaType.schema, { input, required: input });
+    default:
+      return {};
+  }
+};
+
+/**
+ * Schéma objet d'une liste de chemins Mongoose en notation pointée ("depreciation.method").
+ * @param {Function} resolve - nom du chemin -> SchemaType
+ * @param {string[]} names
+ * @param {object} options
+ * @param {boolean} options.input - schéma de requête (champs facultatifs acceptant null pour les effacer)
+ * @param {boolean} options.required - reprendre les champs obligatoires du modèle
+ */
+const pathsToJson = (resolve, names, { input, required }) => {
+  const properties = {};
+  const requiredFields = [];
+  const nested = new Map();
+
+  names.forEach((name) => {
+    const [head, ...rest] = name.split('.');
+    if (rest.length > 0) {
+      if (!nested.has(head)) nested.set(head, []);
+      nested.get(head).push(rest.join('.'));
+      return;
+    }
+
+    const schemaType = resolve(name);
+    const schema = schemaTypeToJson(schemaType, { input });
+    const { options } = schemaType;
+
+    if (!input && options.default !== undefined && typeof options.default !== 'function') {
+      schema.default = options.default;
+    }
+
+    if (required && isRequired(schemaType)) {
+      requiredFields.push(name);
+    } else if (input && !['object', 'array'].includes(schema.type) && schema.type) {
+      schema.nullable = true;
+      if (schema.enum) schema.enum.push(null);
+    }
+
+    properties[name] = schema;
+  });
+
+  nested.forEach((subNames, head) => {
+    const schema = pathsToJson((name) => resolve(`${head}.${name}`), subNames, { input, required });
+    properties[head] = schema;
+    if (schema.required?.length) requiredFields.push(head);
+  });
+
+  return {
+    type: 'object',
+    properties,
+    ...(requiredFields.length && { required: requiredFields }),
+  };
+};
+
+const mongooseSchemaToJson = (mongooseSchema, options) => {
+  const names = Object.keys(mongooseSchema.paths).filter(
+    (name) => !isHiddenPath(name, mongooseSchema.paths[name]) && (!options.input || name !== '_id')
+  );
+  return pathsToJson((name) => mongooseSchema.path(name), names, options);
+};
+
+/**
+ * Schéma d'un document renvoyé par l'API (tous les champs sauf les champs masqués).
+ * @param {mongoose.Model} Model
+ * @param {object} [options]
+ * @param {string[]} [options.exclude] - champs internes retirés de la documentation
+ * @param {string} [options.idKey] - nom de l'identifiant après toJSON (User expose "id")
+ */
+export const documentSchema = (Model, { exclude = [], idKey = '_id' } = {}) => {
+  const schema = mongooseSchemaToJson(Model.schema, { input: false, required: false });
+  exclude.forEach((field) => delete schema.properties[field]);
+
+  if (idKey !== '_id') {
+    const { _id: id, ...properties } = schema.properties;
+    schema.properties = { [idKey]: id, ...properties };
+  }
+  return schema;
+};
+
+/**
+ * Schéma du corps d'une requête limité aux champs modifiables d'un modèle.
+ * @param {mongoose.Model} Model
+ * @param {string[]} fields - champs de premier niveau (les sous-champs suivent)
+ * @param {object} [options]
+ * @param {boolean} [options.required] - création : les champs obligatoires du modèle le sont aussi ici
+ */
+export const inputSchema = (Model, fields, { required = false } = {}) => {
+  const mongooseSchema = Model.schema;
+  const names = Object.keys(mongooseSchema.paths).filter(
+    (name) =>
+      fields.some((field) => name === field || name.startsWith(`${field}.`)) &&
+      !isHiddenPath(name, mongooseSchema.paths[name])
+  );
+  return pathsToJson((name) => mongooseSchema.path(name), names, { input: true, required });
+};
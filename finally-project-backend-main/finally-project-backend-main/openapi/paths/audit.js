@@ -0,0 +1,56 @@
+import AuditLog from '../../models/AuditLog.js';
+import {
+  ref,
+  enumOf,
+  queryParam,
+  pathParam,
+  jsonResponse,
+  listResponse,
+  errorResponses,
+  requires,
+  paginationParams,
+  dateParam,
+} from '../components.js';
+
+const tags = ['Audit'];
+
+export default {
+  '/api/audit-logs': {
+    get: {
+      tags,
+      summary: 'List audit log entries',
+      description: requires('audit:read'),
+      operationId: 'listAuditLogs',
+      parameters: [
+        queryParam('entity', enumOf(AuditLog, 'entity')),
+        queryParam('entityId', ref('ObjectId')),
+        queryParam('actor', ref('ObjectId'), 'User who made the change'),
+        queryParam('action', enumOf(AuditLog, 'action')),
+        queryParam('field', { type: 'string' }, 'Changed field'),
+        dateParam('from'),
+        dateParam('to'),
+        ...paginationParams,
+      ],
+      responses: {
+        200: listResponse('Audit log page', 'logs', ref('AuditLog')),
+        ...errorResponses(400, 401, 403),
+      },
+    },
+  },
+  '/api/audit-logs/{entity}/{entityId}': {
+    get: {
+      tags,
+      summary: 'Get the change history of one entity',
+      description: requires('audit:read'),
+      operationId: 'getEntityHistory',
+      parameters: [pathParam('entity', enumOf(AuditLog, 'entity')), pathParam('entityId')],
+      responses: {
+        200: jsonResponse('Audit log entries, most recent first', {
+          count: { type: 'integer' },
+          logs: { type: 'array', items: ref('AuditLog') },
+        }),
+        ...errorResponses(400, 401, 403),
+      },
+    },
+  },
+};
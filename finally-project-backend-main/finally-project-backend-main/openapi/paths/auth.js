@@ -0,0 +1,214 @@
+import User from '../../models/User.js';
+import { inputSchema } from '../modelSchema.js';
+import { ref, jsonBody, jsonResponse, messageResponse, errorResponses } from '../components.js';
+
+const tags = ['Auth'];
+
+// Routes publiques : pas de jeton d'accès
+const security = [];
+
+const profileFields = inputSchema(User, ['name', 'department', 'position'], { required: true }).properties;
+
+const sessionResponse = (description) =>
+  jsonResponse(description, {
+    message: { type: 'string' },
+    token: { type: 'string', description: 'Access token (JWT)' },
+    refreshToken: { type: 'string' },
+    user: ref('User'),
+  });
+
+const bodyWith = (required, properties) => jsonBody({ type: 'object', required, properties });
+
+const emailBody = bodyWith(['email'], { email: ref('Email') });
+const refreshTokenBody = bodyWith(['refreshToken'], { refreshToken: { type: 'string', minLength: 1 } });
+
+const tooManyRequests = {
+  description: 'Too many attempts, retry after the Retry-After delay',
+  content: { 'application/json': { schema: ref('Error') } },
+};
+
+export default {
+  '/api/auth/login': {
+    post: {
+      tags,
+      security,
+      summary: 'Log in with email and password',
+      operationId: 'login',
+      requestBody: bodyWith(['email', 'password'], { email: ref('Email'), password: ref('Password') }),
+      responses: {
+        200: sessionResponse('Logged in'),
+        ...errorResponses(400, 401, 403),
+        423: { ...tooManyRequests, description: 'Account temporarily locked' },
+        429: tooManyRequests,
+      },
+    },
+  },
+  '/api/auth/register': {
+    post: {
+      tags,
+      security,
+      summary: 'Register a new account',
+      description:
+        'Accounts get the "user" role; other roles are given by an admin. ' +
+        'No tokens are returned while the email address must be verified first.',
+      operationId: 'register',
+      // Inscription publique : toujours le rôle "user", tout autre champ est refusé
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['name', 'email', 'password'],
+        properties: { ...profileFields, email: ref('Email'), password: ref('Password') },
+        additionalProperties: false,
+      }),
+      responses: {
+        201: sessionResponse('Account created'),
+        ...errorResponses(400),
+        409: { description: 'Email already used', content: { 'application/json': { schema: ref('Error') } } },
+      },
+    },
+  },
+  '/api/auth/me': {
+    get: {
+      tags,
+      summary: 'Get the current user',
+      operationId: 'getCurrentUser',
+      responses: {
+        200: jsonResponse('Current user', { user: ref('User') }),
+        ...errorResponses(401, 404),
+      },
+    },
+  },
+  '/api/auth/admin/create-user': {
+    post: {
+      tags,
+      summary: 'Create a user account',
+      description: 'Admin only.',
+      operationId: 'adminCreateUser',
+      requestBody: bodyWith(['name', 'email', 'password', 'role'], {
+        ...profileFields,
+        email: ref('Email'),
+        password: ref('Password'),
+        role: { type: 'string', minLength: 1 },
+        skipEmailVerification: { type: 'boolean', default: false },
+      }),
+      responses: {
+        201: jsonResponse('User created', { message: { type: 'string' }, user: ref('User') }),
+        ...errorResponses(400, 401, 403),
+        409: { description: 'Email already used', content: { 'application/json': { schema: ref('Error') } } },
+      },
+    },
+  },
+  '/api/auth/change-password': {
+    post: {
+      tags,
+      summary: 'Change the current user password',
+      operationId: 'changePassword',
+      requestBody: bodyWith(['currentPassword', 'newPassword'], {
+        currentPassword: { type: 'string', minLength: 1, format: 'password' },
+        newPassword: ref('Password'),
+      }),
+      responses: {
+        200: messageResponse('Password changed'),
+        ...errorResponses(400, 401, 404),
+      },
+    },
+  },
+  '/api/auth/forgot-password': {
+    post: {
+      tags,
+      security,
+      summary: 'Request a password reset link',
+      description:
+        'Same response whether the account exists or not; ' +
+        'at most one link is sent per account within the request cooldown.',
+      operationId: 'forgotPassword',
+      requestBody: emailBody,
+      responses: {
+        200: messageResponse('Reset link sent if the account exists'),
+        ...errorResponses(400),
+      },
+    },
+  },
+  '/api/auth/reset-password': {
+    post: {
+      tags,
+      security,
+      summary: 'Reset the password with the emailed token',
+      operationId: 'resetPassword',
+      requestBody: bodyWith(['token', 'password'], {
+        token: { type: 'string', minLength: 1 },
+        password: ref('Password'),
+      }),
+      responses: {
+        200: messageResponse('Password reset'),
+        ...errorResponses(400),
+      },
+    },
+  },
+  '/api/auth/verify-email': {
+    post: {
+      tags,
+      security,
+      summary: 'Verify the email address with the emailed token',
+      operationId: 'verifyEmail',
+      requestBody: bodyWith(['token'], { token: { type: 'string', minLength: 1 } }),
+      responses: {
+        200: jsonResponse('Email verified', { message: { type: 'string' }, user: ref('User') }),
+        ...errorResponses(400),
+      },
+    },
+  },
+  '/api/auth/resend-verification': {
+    post: {
+      tags,
+      security,
+      summary: 'Send a new verification link',
+      description:
+        'Always answers 200 so that registered addresses cannot be discovered; ' +
+        'at most one link is sent per account within the resend cooldown.',
+      operationId: 'resendVerification',
+      requestBody: emailBody,
+      responses: {
+        200: messageResponse('Link sent if the account still needs verification'),
+        ...errorResponses(400),
+      },
+    },
+  },
+  '/api/auth/refresh-token': {
+    post: {
+      tags,
+      security,
+      summary: 'Exchange a refresh token for a new token pair',
+      description: 'The refresh token is rotated: reusing an old one revokes the whole session.',
+      operationId: 'refreshToken',
+      requestBody: refreshTokenBody,
+      responses: {
+        200: sessionResponse('New token pair'),
+        ...errorResponses(400, 401),
+      },
+    },
+  },
+  '/api/auth/logout': {
+    post: {
+      tags,
+      security,
+      summary: 'Log out (revoke the refresh token)',
+      operationId: 'logout',
+      requestBody: refreshTokenBody,
+      responses: {
+        200: messageResponse('Logged out'),
+        ...errorResponses(400),
+      },
+    },
+  },
+  '/api/auth/logout-all': {
+    post: {
+      tags,
+      summary: 'Revoke every session of the current user',
+      operationId: 'logoutAll',
+      responses: {
+        200: messageResponse('All sessions revoked'),
+        ...errorResponses(401),
+      },
+    },
+  },
+};
@@ -0,0 +1,131 @@
+import Category from '../../models/Category.js';
+import { inputSchema, OBJECT_ID_PATTERN } from '../modelSchema.js';
+import {
+  ref,
+  queryParam,
+  idParam,
+  jsonBody,
+  jsonResponse,
+  messageResponse,
+  errorResponses,
+  requires,
+} from '../components.js';
+
+const tags = ['Categories'];
+
+const categoryResponse = (description) =>
+  jsonResponse(description, { message: { type: 'string' }, category: ref('Category') });
+
+const categoryTree = {
+  type: 'array',
+  items: {
+    allOf: [
+      ref('Category'),
+      { type: 'object', properties: { children: { type: 'array', items: { type: 'object' } } } },
+    ],
+  },
+};
+
+export default {
+  '/api/categories': {
+    get: {
+      tags,
+      summary: 'List categories',
+      operationId: 'listCategories',
+      parameters: [
+        queryParam(
+          'parent',
+          { type: 'string', pattern: '^([0-9a-fA-F]{24}|root)$' },
+          'Parent category id, or "root" for top-level categories'
+        ),
+      ],
+      responses: {
+        200: jsonResponse('Categories', {
+          count: { type: 'integer' },
+          categories: { type: 'array', items: ref('Category') },
+        }),
+        ...errorResponses(400, 401),
+      },
+    },
+    post: {
+      tags,
+      summary: 'Create a category',
+      description: requires('categories:write'),
+      operationId: 'createCategory',
+      requestBody: jsonBody(inputSchema(Category, ['name', 'description', 'parent', 'depreciation'], { required: true })),
+      responses: {
+        201: categoryResponse('Category created'),
+        ...errorResponses(400, 401, 403),
+      },
+    },
+  },
+  '/api/categories/tree': {
+    get: {
+      tags,
+      summary: 'Get the category tree',
+      operationId: 'getCategoryTree',
+      responses: {
+        200: jsonResponse('Root categories with their nested children', { tree: categoryTree }),
+        ...errorResponses(401),
+      },
+    },
+  },
+  '/api/categories/{id}': {
+    parameters: [idParam],
+    get: {
+      tags,
+      summary: 'Get a category with its path and direct children',
+      operationId: 'getCategory',
+      responses: {
+        200: jsonResponse('Category', {
+          category: ref('Category'),
+          children: { type: 'array', items: ref('Category') },
+        }),
+        ...errorResponses(400, 401, 404),
+      },
+    },
+    put: {
+      tags,
+      summary: 'Update a category',
+      description: `${requires('categories:write')} The parent changes through /move.`,
+      operationId: 'updateCategory',
+      requestBody: jsonBody(inputSchema(Category, ['name', 'description', 'depreciation'])),
+      responses: {
+        200: categoryResponse('Category updated'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+    delete: {
+      tags,
+      summary: 'Delete a category',
+      description: `${requires('categories:write')} Refused while it has sub-categories or equipment.`,
+      operationId: 'deleteCategory',
+      responses: {
+        200: messageResponse('Category deleted'),
+        ...errorResponses(400, 401, 403, 404, 409),
+      },
+    },
+  },
+  '/api/categories/{id}/move': {
+    patch: {
+      tags,
+      summary: 'Move a category and its subtree',
+      description: requires('categories:write'),
+      operationId: 'moveCategory',
+      parameters: [idParam],
+      requestBody: jsonBody(
+        {
+          type: 'object',
+          properties: {
+            parent: { type: 'string', pattern: OBJECT_ID_PATTERN, nullable: true, description: 'New parent, null for the root' },
+          },
+        },
+        { required: false }
+      ),
+      responses: {
+        200: categoryResponse('Category moved'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+};
@@ -0,0 +1,47 @@
+import CustodyRecord from '../../models/CustodyRecord.js';
+import {
+  ref,
+  enumOf,
+  queryParam,
+  jsonResponse,
+  listResponse,
+  errorResponses,
+  requires,
+  paginationParams,
+} from '../components.js';
+
+const tags = ['Custody'];
+
+export default {
+  '/api/custody': {
+    get: {
+      tags,
+      summary: 'List custody records',
+      description: `Without the \`equipment:write\` permission, only the current user's own records are returned.`,
+      operationId: 'listCustodyRecords',
+      parameters: [
+        queryParam('equipment', ref('ObjectId')),
+        queryParam('user', ref('ObjectId'), 'Custodian'),
+        queryParam('status', enumOf(CustodyRecord, 'status')),
+        queryParam('overdue', { type: 'boolean' }, 'Active custodies past their expected return date'),
+        ...paginationParams,
+      ],
+      responses: {
+        200: listResponse('Custody record page', 'history', ref('CustodyRecord')),
+        ...errorResponses(400, 401),
+      },
+    },
+  },
+  '/api/custody/notify-overdue': {
+    post: {
+      tags,
+      summary: 'Send overdue return notifications now',
+      description: requires('equipment:write'),
+      operationId: 'notifyOverdueReturns',
+      responses: {
+        200: jsonResponse('Notifications sent', { message: { type: 'string' }, notified: { type: 'integer' } }),
+        ...errorResponses(401, 403),
+      },
+    },
+  },
+};
@@ -0,0 +1,126 @@
+import Equipment from '../../models/Equipment.js';
+import { DEPRECIATION_METHODS } from '../../config/finance.js';
+import {
+  ref,
+  enumOf,
+  queryParam,
+  idParam,
+  jsonResponse,
+  listResponse,
+  errorResponses,
+  requires,
+  paginationParams,
+  dateParam,
+} from '../components.js';
+
+const tags = ['Depreciation'];
+
+const description = requires('reports:read');
+
+const filterParams = [
+  queryParam('category', ref('ObjectId'), 'Category id (sub-categories included)'),
+  queryParam('status', enumOf(Equipment, 'status')),
+];
+
+const money = { type: 'number' };
+
+const scheduleRow = {
+  type: 'object',
+  properties: { fiscalYear: { type: 'integer' }, openingValue: money, depreciation: money, closingValue: money },
+};
+
+export default {
+  '/api/depreciation/assets': {
+    get: {
+      tags,
+      summary: 'Get the book value of each depreciable asset',
+      description: `${description} Assets need a purchase cost and date; the settings are inherited from the category when missing.`,
+      operationId: 'listAssetBookValues',
+      parameters: [...filterParams, dateParam('date', 'Valuation date (default: today)'), ...paginationParams],
+      responses: {
+        200: listResponse('Asset page', 'assets', {
+          type: 'object',
+          properties: {
+            _id: ref('ObjectId'),
+            name: { type: 'string' },
+            serialNumber: { type: 'string' },
+            assetTag: { type: 'string' },
+            category: { type: 'object', nullable: true },
+            purchaseDate: { type: 'string', format: 'date-time' },
+            purchaseCost: money,
+            method: { type: 'string', enum: DEPRECIATION_METHODS, nullable: true },
+            usefulLifeYears: { type: 'number', nullable: true },
+            salvageValue: { type: 'number', nullable: true },
+            bookValue: { type: 'number', nullable: true, description: 'null without a useful life' },
+            accumulatedDepreciation: money,
+            fullyDepreciated: { type: 'boolean' },
+          },
+        }),
+        ...errorResponses(400, 401, 403),
+      },
+    },
+  },
+  '/api/depreciation/schedule': {
+    get: {
+      tags,
+      summary: 'Get the depreciation schedule by category and fiscal year',
+      description,
+      operationId: 'getDepreciationSchedule',
+      parameters: [...filterParams, queryParam('fiscalYear', { type: 'integer', minimum: 1900, maximum: 2999 })],
+      responses: {
+        200: jsonResponse('Depreciation by category and fiscal year', {
+          fiscalYear: { type: 'integer', nullable: true },
+          rows: {
+            type: 'array',
+            items: {
+              allOf: [
+                scheduleRow,
+                { type: 'object', properties: { category: { type: 'object', nullable: true }, assets: { type: 'integer' } } },
+              ],
+            },
+          },
+          totals: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { fiscalYear: { type: 'integer' }, assets: { type: 'integer' }, depreciation: money },
+            },
+          },
+          skipped: { type: 'integer', description: 'Assets without a useful life' },
+        }),
+        ...errorResponses(400, 401, 403),
+      },
+    },
+  },
+  '/api/depreciation/equipment/{id}': {
+    get: {
+      tags,
+      summary: 'Get the depreciation details and schedule of one asset',
+      description,
+      operationId: 'getEquipmentDepreciation',
+      parameters: [idParam],
+      responses: {
+        200: jsonResponse('Depreciation of the asset', {
+          equipment: { type: 'object' },
+          depreciation: {
+            type: 'object',
+            properties: {
+              cost: money,
+              startDate: { type: 'string', format: 'date-time' },
+              method: { type: 'string', enum: DEPRECIATION_METHODS },
+              usefulLifeYears: { type: 'number' },
+              salvageValue: money,
+              decliningRate: { type: 'number' },
+              sources: { type: 'object', description: '"equipment", category name or "default" for each setting' },
+              bookValue: money,
+              accumulatedDepreciation: money,
+              fullyDepreciated: { type: 'boolean' },
+              schedule: { type: 'array', items: scheduleRow },
+            },
+          },
+        }),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+};
@@ -0,0 +1,312 @@
+import Equipment from '../../models/Equipment.js';
+import CustodyRecord from '../../models/CustodyRecord.js';
+import { EDITABLE_FIELDS, SORTABLE_FIELDS } from '../../routes/equipment.js';
+import { LABEL_LAYOUTS } from '../../config/labelLayouts.js';
+import { IMPORTABLE_FIELDS } from '../../services/equipmentImportService.js';
+import { inputSchema } from '../modelSchema.js';
+import {
+  ref,
+  enumOf,
+  queryParam,
+  idParam,
+  jsonBody,
+  jsonResponse,
+  listResponse,
+  messageResponse,
+  errorResponses,
+  requires,
+  paginationParams,
+  sortParam,
+  exportFormatParam,
+  fileResponse,
+  EXPORT_MEDIA_TYPES,
+} from '../components.js';
+
+const tags = ['Equipment'];
+
+// Filtres communs à la liste, à l'export et aux planches d'étiquettes
+const filterParams = [
+  queryParam('category', ref('ObjectId'), 'Category id (sub-categories included)'),
+  queryParam('type', enumOf(Equipment, 'type')),
+  queryParam('status', enumOf(Equipment, 'status')),
+  queryParam('location', { type: 'string' }),
+  queryParam('assignedTo', { type: 'string', pattern: '^([0-9a-fA-F]{24}|none)$' }, 'User id, or "none" for unassigned'),
+];
+
+const labelParams = [
+  queryParam('layout', { type: 'string', enum: Object.keys(LABEL_LAYOUTS), default: 'avery-5160' }),
+  queryParam('encode', { type: 'string', enum: ['url', 'id'], default: 'url' }, 'QR code content'),
+  queryParam('start', { type: 'integer', minimum: 1, default: 1 }, 'First label position on the sheet'),
+];
+
+const equipmentResponse = (description) =>
+  jsonResponse(description, { message: { type: 'string' }, equipment: ref('Equipment') });
+
+const custodyResponse = (description) =>
+  jsonResponse(description, { message: { type: 'string' }, custody: ref('CustodyRecord') });
+
+const CONDITION = enumOf(CustodyRecord, 'checkout.condition');
+
+const importOptions = {
+  mapping: {
+    type: 'object',
+    additionalProperties: { type: 'string' },
+    description: `CSV column -> field. Fields: ${IMPORTABLE_FIELDS.join(', ')}, "spec:<key>" or "specifications.<key>".`,
+  },
+  dryRun: { type: 'boolean', default: false },
+  delimiter: { type: 'string', minLength: 1, maxLength: 1, default: ',' },
+};
+
+export default {
+  '/api/equipment': {
+    get: {
+      tags,
+      summary: 'List equipment',
+      operationId: 'listEquipment',
+      parameters: [...filterParams, sortParam(SORTABLE_FIELDS), ...paginationParams],
+      responses: {
+        200: listResponse('Equipment page', 'equipment', ref('Equipment')),
+        ...errorResponses(400, 401),
+      },
+    },
+    post: {
+      tags,
+      summary: 'Create equipment',
+      description: requires('equipment:write'),
+      operationId: 'createEquipment',
+      requestBody: jsonBody(inputSchema(Equipment, EDITABLE_FIELDS, { required: true })),
+      responses: {
+        201: equipmentResponse('Equipment created'),
+        ...errorResponses(400, 401, 403),
+      },
+    },
+  },
+  '/api/equipment/export': {
+    get: {
+      tags,
+      summary: 'Export equipment as CSV or XLSX',
+      description: 'Same filters and sort as the list, with one column per specification key.',
+      operationId: 'exportEquipment',
+      parameters: [exportFormatParam, ...filterParams, sortParam(SORTABLE_FIELDS)],
+      responses: {
+        200: fileResponse('Export file', EXPORT_MEDIA_TYPES),
+        ...errorResponses(400, 401),
+      },
+    },
+  },
+  '/api/equipment/labels/layouts': {
+    get: {
+      tags,
+      summary: 'List label sheet layouts',
+      operationId: 'listLabelLayouts',
+      responses: {
+        200: jsonResponse('Label layouts', {
+          layouts: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                description: { type: 'string' },
+                labelsPerPage: { type: 'integer' },
+              },
+            },
+          },
+        }),
+        ...errorResponses(401),
+      },
+    },
+  },
+  '/api/equipment/labels': {
+    get: {
+      tags,
+      summary: 'Print a PDF label sheet for a batch of equipment',
+      description: 'Selects equipment by `ids`, or else by the list filters. Answers 404 when nothing matches.',
+      operationId: 'printLabels',
+      parameters: [
+        queryParam(
+          'ids',
+          { type: 'string', pattern: '^\\s*[0-9a-fA-F]{24}(\\s*,\\s*[0-9a-fA-F]{24})*\\s*,?\\s*$' },
+          'Comma-separated equipment ids'
+        ),
+        ...filterParams,
+        sortParam(SORTABLE_FIELDS),
+        ...labelParams,
+      ],
+      responses: {
+        200: fileResponse('Label sheet', ['application/pdf']),
+        ...errorResponses(400, 401, 404),
+      },
+    },
+  },
+  '/api/equipment/warranty/expiring': {
+    get: {
+      tags,
+      summary: 'List equipment whose warranty expires soon',
+      operationId: 'listExpiringWarranties',
+      parameters: [
+        queryParam('days', { type: 'integer', minimum: 1, default: 90 }, 'Window in days'),
+        queryParam('includeExpired', { type: 'boolean', default: false }),
+        ...paginationParams,
+      ],
+      responses: {
+        200: listResponse('Equipment page', 'equipment', ref('Equipment')),
+        ...errorResponses(400, 401),
+      },
+    },
+  },
+  '/api/equipment/import': {
+    post: {
+      tags,
+      summary: 'Import equipment from CSV',
+      description: `${requires('equipment:write')} All rows are validated first: nothing is imported if one row is invalid, and a write failure midway rolls back the rows already created. A \`text/csv\` body takes its options from the query string.`,
+      operationId: 'importEquipment',
+      parameters: [
+        queryParam('mapping', { type: 'string' }, 'JSON object, for a text/csv body'),
+        queryParam('dryRun', { type: 'boolean' }, 'For a text/csv body'),
+        queryParam('delimiter', { type: 'string', minLength: 1, maxLength: 1 }, 'For a text/csv body'),
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['csv'],
+              properties: { csv: { type: 'string', minLength: 1 }, ...importOptions },
+            },
+          },
+          'text/csv': { schema: { type: 'string' } },
+        },
+      },
+      responses: {
+        200: jsonResponse('Dry run report'),
+        201: jsonResponse('Equipment imported'),
+        422: jsonResponse('Some rows are invalid, nothing was imported'),
+        ...errorResponses(400, 401, 403),
+      },
+    },
+  },
+  '/api/equipment/{id}': {
+    parameters: [idParam],
+    get: {
+      tags,
+      summary: 'Get equipment',
+      operationId: 'getEquipment',
+      responses: {
+        200: equipmentResponse('Equipment'),
+        ...errorResponses(400, 401, 404),
+      },
+    },
+    put: {
+      tags,
+      summary: 'Update equipment',
+      description: `${requires('equipment:write')} The assignee changes through checkout and checkin only.`,
+      operationId: 'updateEquipment',
+      requestBody: jsonBody(inputSchema(Equipment, EDITABLE_FIELDS)),
+      responses: {
+        200: equipmentResponse('Equipment updated'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+    delete: {
+      tags,
+      summary: 'Delete equipment',
+      description: requires('equipment:delete'),
+      operationId: 'deleteEquipment',
+      responses: {
+        200: messageResponse('Equipment deleted'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+  '/api/equipment/{id}/label': {
+    get: {
+      tags,
+      summary: 'Print the PDF label of one equipment',
+      operationId: 'printEquipmentLabel',
+      parameters: [idParam, ...labelParams],
+      responses: {
+        200: fileResponse('Label sheet', ['application/pdf']),
+        ...errorResponses(400, 401, 404),
+      },
+    },
+  },
+  '/api/equipment/{id}/qrcode': {
+    get: {
+      tags,
+      summary: 'Get the QR code of an equipment',
+      operationId: 'getEquipmentQrCode',
+      parameters: [
+        idParam,
+        queryParam('format', { type: 'string', enum: ['svg', 'png'], default: 'svg' }),
+        labelParams[1],
+      ],
+      responses: {
+        200: fileResponse('QR code', ['image/svg+xml', 'image/png']),
+        ...errorResponses(400, 401, 404),
+      },
+    },
+  },
+  '/api/equipment/{id}/checkout': {
+    post: {
+      tags,
+      summary: 'Check out equipment to a user',
+      description: requires('equipment:write'),
+      operationId: 'checkoutEquipment',
+      parameters: [idParam],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['custodian', 'condition'],
+        properties: {
+          custodian: ref('ObjectId'),
+          expectedReturnDate: ref('Date'),
+          condition: CONDITION,
+          notes: { type: 'string' },
+        },
+      }),
+      responses: {
+        201: custodyResponse('Equipment checked out'),
+        ...errorResponses(400, 401, 403, 404, 409),
+      },
+    },
+  },
+  '/api/equipment/{id}/checkin': {
+    post: {
+      tags,
+      summary: 'Check in (return) equipment',
+      description: requires('equipment:write'),
+      operationId: 'checkinEquipment',
+      parameters: [idParam],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['condition'],
+        properties: {
+          condition: CONDITION,
+          notes: { type: 'string' },
+          returnedBy: { ...ref('ObjectId'), description: 'Defaults to the custodian' },
+        },
+      }),
+      responses: {
+        200: custodyResponse('Equipment checked in'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+  '/api/equipment/{id}/custody': {
+    get: {
+      tags,
+      summary: 'Get the custody timeline of an equipment',
+      description: `Without the \`equipment:write\` permission, only the current user's own records are returned.`,
+      operationId: 'getEquipmentCustody',
+      parameters: [idParam],
+      responses: {
+        200: jsonResponse('Custody records, most recent first', {
+          count: { type: 'integer' },
+          history: { type: 'array', items: ref('CustodyRecord') },
+        }),
+        ...errorResponses(400, 401),
+      },
+    },
+  },
+};
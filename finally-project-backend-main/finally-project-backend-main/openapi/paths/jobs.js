@@ -0,0 +1,75 @@
+import JobRun from '../../models/JobRun.js';
+import {
+  ref,
+  enumOf,
+  queryParam,
+  pathParam,
+  jsonResponse,
+  listResponse,
+  errorResponses,
+  requires,
+  paginationParams,
+} from '../components.js';
+
+const tags = ['Jobs'];
+
+const description = requires('jobs:manage');
+
+const jobName = pathParam('name', { type: 'string' }, 'Job name');
+
+export default {
+  '/api/jobs': {
+    get: {
+      tags,
+      summary: 'List scheduled jobs with their last run',
+      description,
+      operationId: 'listJobs',
+      responses: {
+        200: jsonResponse('Registered jobs', {
+          count: { type: 'integer' },
+          jobs: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                description: { type: 'string' },
+                schedule: { type: 'string', description: 'Cron expression' },
+                nextRunAt: { type: 'string', format: 'date-time' },
+                lastRun: { allOf: [ref('JobRun')], nullable: true },
+              },
+            },
+          },
+        }),
+        ...errorResponses(401, 403),
+      },
+    },
+  },
+  '/api/jobs/{name}/runs': {
+    get: {
+      tags,
+      summary: 'Get the run history of a job',
+      description,
+      operationId: 'listJobRuns',
+      parameters: [jobName, queryParam('status', enumOf(JobRun, 'status')), ...paginationParams],
+      responses: {
+        200: listResponse('Run page, most recent first', 'runs', ref('JobRun')),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+  '/api/jobs/{name}/run': {
+    post: {
+      tags,
+      summary: 'Run a job now',
+      description,
+      operationId: 'runJob',
+      parameters: [jobName],
+      responses: {
+        200: jsonResponse('Job succeeded', { message: { type: 'string' }, run: ref('JobRun') }),
+        500: jsonResponse('Job failed', { message: { type: 'string' }, run: ref('JobRun') }),
+        ...errorResponses(401, 403, 404, 409),
+      },
+    },
+  },
+};
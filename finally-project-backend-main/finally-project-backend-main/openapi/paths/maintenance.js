@@ -0,0 +1,134 @@
+import Maintenance from '../../models/Maintenance.js';
+import { EDITABLE_FIELDS, SORTABLE_FIELDS } from '../../routes/maintenance.js';
+import { inputSchema } from '../modelSchema.js';
+import {
+  ref,
+  enumOf,
+  queryParam,
+  idParam,
+  jsonBody,
+  jsonResponse,
+  listResponse,
+  errorResponses,
+  requires,
+  paginationParams,
+  sortParam,
+  dateParam,
+  exportFormatParam,
+  fileResponse,
+  EXPORT_MEDIA_TYPES,
+} from '../components.js';
+
+const tags = ['Maintenance'];
+
+const filterParams = [
+  queryParam('equipment', ref('ObjectId')),
+  queryParam('status', enumOf(Maintenance, 'status')),
+  queryParam('priority', enumOf(Maintenance, 'priority')),
+  queryParam('maintenanceType', enumOf(Maintenance, 'maintenanceType')),
+  queryParam('assignedTo', ref('ObjectId')),
+  dateParam('from', 'Scheduled on or after'),
+  dateParam('to', 'Scheduled on or before'),
+];
+
+const maintenanceResponse = (description) =>
+  jsonResponse(description, { message: { type: 'string' }, maintenance: ref('Maintenance') });
+
+const createSchema = inputSchema(Maintenance, ['equipment', ...EDITABLE_FIELDS], { required: true });
+
+export default {
+  '/api/maintenance': {
+    get: {
+      tags,
+      summary: 'List maintenance jobs',
+      operationId: 'listMaintenance',
+      parameters: [...filterParams, sortParam(SORTABLE_FIELDS), ...paginationParams],
+      responses: {
+        200: listResponse('Maintenance page', 'maintenance', ref('Maintenance')),
+        ...errorResponses(400, 401),
+      },
+    },
+    post: {
+      tags,
+      summary: 'Schedule a maintenance job',
+      description: requires('maintenance:write'),
+      operationId: 'createMaintenance',
+      requestBody: jsonBody(createSchema),
+      responses: {
+        201: maintenanceResponse('Maintenance scheduled'),
+        ...errorResponses(400, 401, 403),
+      },
+    },
+  },
+  '/api/maintenance/export': {
+    get: {
+      tags,
+      summary: 'Export maintenance jobs as CSV or XLSX',
+      operationId: 'exportMaintenance',
+      parameters: [exportFormatParam, ...filterParams, sortParam(SORTABLE_FIELDS)],
+      responses: {
+        200: fileResponse('Export file', EXPORT_MEDIA_TYPES),
+        ...errorResponses(400, 401),
+      },
+    },
+  },
+  '/api/maintenance/{id}': {
+    parameters: [idParam],
+    get: {
+      tags,
+      summary: 'Get a maintenance job',
+      operationId: 'getMaintenance',
+      responses: {
+        200: maintenanceResponse('Maintenance job'),
+        ...errorResponses(400, 401, 404),
+      },
+    },
+    put: {
+      tags,
+      summary: 'Update a maintenance job',
+      description: `${requires('maintenance:write')} Open jobs only; the status changes through /status.`,
+      operationId: 'updateMaintenance',
+      requestBody: jsonBody(inputSchema(Maintenance, EDITABLE_FIELDS)),
+      responses: {
+        200: maintenanceResponse('Maintenance updated'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+  '/api/maintenance/{id}/status': {
+    patch: {
+      tags,
+      summary: 'Change the status of a maintenance job',
+      description: `${requires('maintenance:write')} Completed and cancelled jobs cannot change anymore.`,
+      operationId: 'changeMaintenanceStatus',
+      parameters: [idParam],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['status'],
+        properties: {
+          status: enumOf(Maintenance, 'status'),
+          notes: { type: 'string' },
+          cost: { type: 'number', minimum: 0 },
+        },
+      }),
+      responses: {
+        200: maintenanceResponse('Status changed'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+  '/api/maintenance/{id}/cancel': {
+    post: {
+      tags,
+      summary: 'Cancel a maintenance job',
+      description: requires('maintenance:write'),
+      operationId: 'cancelMaintenance',
+      parameters: [idParam],
+      requestBody: jsonBody({ type: 'object', properties: { notes: { type: 'string' } } }, { required: false }),
+      responses: {
+        200: maintenanceResponse('Maintenance cancelled'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+};
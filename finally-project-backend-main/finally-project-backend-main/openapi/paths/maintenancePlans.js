@@ -0,0 +1,97 @@
+import MaintenancePlan from '../../models/MaintenancePlan.js';
+import { EDITABLE_FIELDS } from '../../routes/maintenancePlans.js';
+import { inputSchema } from '../modelSchema.js';
+import {
+  ref,
+  queryParam,
+  idParam,
+  jsonBody,
+  jsonResponse,
+  errorResponses,
+  requires,
+} from '../components.js';
+
+const tags = ['Maintenance plans'];
+
+const TARGET = 'A plan targets either one equipment or one category (sub-categories included).';
+
+const planResponse = (description, properties = {}) =>
+  jsonResponse(description, { message: { type: 'string' }, plan: ref('MaintenancePlan'), ...properties });
+
+export default {
+  '/api/maintenance-plans': {
+    get: {
+      tags,
+      summary: 'List maintenance plans',
+      operationId: 'listMaintenancePlans',
+      parameters: [
+        queryParam('equipment', ref('ObjectId')),
+        queryParam('category', ref('ObjectId')),
+        queryParam('active', { type: 'boolean' }),
+      ],
+      responses: {
+        200: jsonResponse('Maintenance plans', {
+          count: { type: 'integer' },
+          plans: { type: 'array', items: ref('MaintenancePlan') },
+        }),
+        ...errorResponses(400, 401),
+      },
+    },
+    post: {
+      tags,
+      summary: 'Create a maintenance plan',
+      description: `${requires('maintenance:write')} ${TARGET} Its first occurrences are scheduled immediately.`,
+      operationId: 'createMaintenancePlan',
+      requestBody: jsonBody(inputSchema(MaintenancePlan, EDITABLE_FIELDS, { required: true })),
+      responses: {
+        201: planResponse('Plan created', { generated: { type: 'integer' } }),
+        ...errorResponses(400, 401, 403),
+      },
+    },
+  },
+  '/api/maintenance-plans/generate': {
+    post: {
+      tags,
+      summary: 'Generate missing upcoming jobs for every active plan',
+      description: requires('maintenance:write'),
+      operationId: 'generateMaintenanceJobs',
+      responses: {
+        200: jsonResponse('Jobs generated', { message: { type: 'string' }, created: { type: 'integer' } }),
+        ...errorResponses(401, 403),
+      },
+    },
+  },
+  '/api/maintenance-plans/{id}': {
+    parameters: [idParam],
+    get: {
+      tags,
+      summary: 'Get a plan with its upcoming jobs',
+      operationId: 'getMaintenancePlan',
+      responses: {
+        200: planResponse('Maintenance plan', { upcoming: { type: 'array', items: ref('Maintenance') } }),
+        ...errorResponses(400, 401, 404),
+      },
+    },
+    put: {
+      tags,
+      summary: 'Update a maintenance plan',
+      description: `${requires('maintenance:write')} Applies to the next generated occurrences.`,
+      operationId: 'updateMaintenancePlan',
+      requestBody: jsonBody(inputSchema(MaintenancePlan, EDITABLE_FIELDS)),
+      responses: {
+        200: planResponse('Plan updated'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+    delete: {
+      tags,
+      summary: 'Deactivate a maintenance plan',
+      description: `${requires('maintenance:write')} Its jobs not started yet are cancelled.`,
+      operationId: 'deactivateMaintenancePlan',
+      responses: {
+        200: jsonResponse('Plan deactivated', { message: { type: 'string' }, cancelled: { type: 'integer' } }),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+};
@@ -0,0 +1,163 @@
+import Notification from '../../models/Notification.js';
+import User from '../../models/User.js';
+import { NOTIFICATION_TYPES, NOTIFICATION_PRIORITIES, DELIVERY_CHANNELS } from '../../config/notifications.js';
+import { inputSchema } from '../modelSchema.js';
+import {
+  ref,
+  enumOf,
+  queryParam,
+  idParam,
+  jsonBody,
+  jsonResponse,
+  listResponse,
+  messageResponse,
+  errorResponses,
+  requires,
+  paginationParams,
+} from '../components.js';
+
+const tags = ['Notifications'];
+
+const preferencesSchema = inputSchema(User, ['notificationPreferences']).properties.notificationPreferences;
+
+export default {
+  '/api/notifications': {
+    get: {
+      tags,
+      summary: 'List the current user notifications',
+      description: 'Includes system notifications (sent to everyone).',
+      operationId: 'listNotifications',
+      parameters: [
+        queryParam('read', { type: 'boolean' }),
+        queryParam('type', enumOf(Notification, 'type')),
+        queryParam('priority', enumOf(Notification, 'priority')),
+        ...paginationParams,
+      ],
+      responses: {
+        200: listResponse('Notification page', 'notifications', ref('Notification')),
+        ...errorResponses(400, 401),
+      },
+    },
+    post: {
+      tags,
+      summary: 'Create a notification',
+      description: `${requires('notifications:write')} Without \`user\`, the notification is sent to everyone.`,
+      operationId: 'createNotification',
+      requestBody: jsonBody(
+        inputSchema(Notification, ['title', 'message', 'type', 'priority', 'user', 'relatedId', 'relatedModel'], {
+          required: true,
+        })
+      ),
+      responses: {
+        201: jsonResponse('Notification created', { message: { type: 'string' }, notification: ref('Notification') }),
+        ...errorResponses(400, 401, 403),
+      },
+    },
+  },
+  '/api/notifications/stream': {
+    get: {
+      tags,
+      summary: 'Stream notifications (Server-Sent Events)',
+      description:
+        'Events: `notification` (new notification, id = notification id) and `unread-count`. ' +
+        'Resumes after a disconnection from the Last-Event-ID header. ' +
+        'EventSource cannot send headers: the access token may be passed as `access_token`.',
+      operationId: 'streamNotifications',
+      parameters: [
+        { name: 'Last-Event-ID', in: 'header', schema: { type: 'string' } },
+        queryParam('lastEventId', { type: 'string' }, 'Same as the Last-Event-ID header'),
+        queryParam('access_token', { type: 'string' }),
+      ],
+      responses: {
+        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        ...errorResponses(400, 401),
+      },
+    },
+  },
+  '/api/notifications/preferences': {
+    get: {
+      tags,
+      summary: 'Get the current user delivery preferences',
+      operationId: 'getNotificationPreferences',
+      responses: {
+        200: jsonResponse('Delivery preferences', {
+          timezone: { type: 'string' },
+          preferences: ref('NotificationPreferences'),
+          options: {
+            type: 'object',
+            properties: {
+              types: { type: 'array', items: { type: 'string', enum: NOTIFICATION_TYPES } },
+              priorities: { type: 'array', items: { type: 'string', enum: NOTIFICATION_PRIORITIES } },
+              channels: { type: 'array', items: { type: 'string', enum: DELIVERY_CHANNELS } },
+            },
+          },
+        }),
+        ...errorResponses(401, 404),
+      },
+    },
+    put: {
+      tags,
+      summary: 'Update the current user delivery preferences',
+      description: 'Only the given fields change. Quiet hours use the user timezone.',
+      operationId: 'updateNotificationPreferences',
+      requestBody: jsonBody(preferencesSchema),
+      responses: {
+        200: jsonResponse('Preferences updated', {
+          message: { type: 'string' },
+          preferences: ref('NotificationPreferences'),
+        }),
+        ...errorResponses(400, 401, 404),
+      },
+    },
+  },
+  '/api/notifications/unread-count': {
+    get: {
+      tags,
+      summary: 'Count unread notifications',
+      operationId: 'countUnreadNotifications',
+      responses: {
+        200: jsonResponse('Unread count', { count: { type: 'integer' } }),
+        ...errorResponses(401),
+      },
+    },
+  },
+  '/api/notifications/read-all': {
+    patch: {
+      tags,
+      summary: 'Mark all notifications as read',
+      operationId: 'markAllNotificationsRead',
+      responses: {
+        200: jsonResponse('Notifications marked as read', {
+          message: { type: 'string' },
+          updated: { type: 'integer' },
+        }),
+        ...errorResponses(401),
+      },
+    },
+  },
+  '/api/notifications/{id}/read': {
+    patch: {
+      tags,
+      summary: 'Mark a notification as read',
+      operationId: 'markNotificationRead',
+      parameters: [idParam],
+      responses: {
+        200: jsonResponse('Notification marked as read', { notification: ref('Notification') }),
+        ...errorResponses(400, 401, 404),
+      },
+    },
+  },
+  '/api/notifications/{id}': {
+    delete: {
+      tags,
+      summary: 'Delete a notification',
+      description: 'A system notification is only hidden for the current user, unless an admin deletes it.',
+      operationId: 'deleteNotification',
+      parameters: [idParam],
+      responses: {
+        200: messageResponse('Notification deleted'),
+        ...errorResponses(400, 401, 404),
+      },
+    },
+  },
+};
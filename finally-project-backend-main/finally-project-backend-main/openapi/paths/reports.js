@@ -0,0 +1,114 @@
+import Equipment from '../../models/Equipment.js';
+import Maintenance from '../../models/Maintenance.js';
+import { COST_GROUP_BY } from '../../services/reportService.js';
+import { EXPORT_FORMATS } from '../../services/exportService.js';
+import {
+  ref,
+  enumOf,
+  queryParam,
+  jsonResponse,
+  errorResponses,
+  requires,
+  dateParam,
+  EXPORT_MEDIA_TYPES,
+} from '../components.js';
+
+const tags = ['Reports'];
+
+const description = `${requires('reports:read')} Returns a file with \`format\`.`;
+
+// Sans format : JSON ; avec format : export du même rapport
+const formatParam = queryParam('format', { type: 'string', enum: EXPORT_FORMATS });
+
+const reportResponse = (summary, rowSchema, properties = {}) => ({
+  description: summary,
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        properties: {
+          success: { type: 'boolean', example: true },
+          groupBy: { type: 'string' },
+          count: { type: 'integer' },
+          ...properties,
+          rows: { type: 'array', items: rowSchema },
+        },
+      },
+    },
+    ...Object.fromEntries(EXPORT_MEDIA_TYPES.map((type) => [type, { schema: { type: 'string', format: 'binary' } }])),
+  },
+});
+
+export default {
+  '/api/reports/maintenance-costs': {
+    get: {
+      tags,
+      summary: 'Get maintenance costs by equipment, category, type, technician or month',
+      description,
+      operationId: 'getMaintenanceCostReport',
+      parameters: [
+        queryParam('groupBy', { type: 'string', enum: COST_GROUP_BY, default: 'equipment' }),
+        queryParam('status', { ...enumOf(Maintenance, 'status'), default: 'completed' }),
+        queryParam('maintenanceType', enumOf(Maintenance, 'maintenanceType')),
+        queryParam('assignedTo', ref('ObjectId'), 'Technician'),
+        queryParam('equipment', ref('ObjectId')),
+        queryParam('category', ref('ObjectId'), 'Equipment category (sub-categories included)'),
+        dateParam('from', 'Jobs completed (or scheduled) on or after'),
+        dateParam('to', 'Jobs completed (or scheduled) on or before'),
+        formatParam,
+      ],
+      responses: {
+        200: reportResponse(
+          'Cost per group',
+          {
+            type: 'object',
+            properties: {
+              key: {},
+              label: { type: 'string' },
+              jobs: { type: 'integer' },
+              totalCost: { type: 'number' },
+              averageCost: { type: 'number' },
+            },
+          },
+          { totalCost: { type: 'number' } }
+        ),
+        ...errorResponses(400, 401, 403),
+      },
+    },
+  },
+  '/api/reports/tco': {
+    get: {
+      tags,
+      summary: 'Get the total cost of ownership per asset or per model',
+      description: `${description} TCO = purchase cost + completed maintenance costs.`,
+      operationId: 'getTcoReport',
+      parameters: [
+        queryParam('groupBy', { type: 'string', enum: ['equipment', 'model'], default: 'equipment' }),
+        queryParam('category', ref('ObjectId'), 'Category id (sub-categories included)'),
+        queryParam('type', enumOf(Equipment, 'type')),
+        queryParam('status', enumOf(Equipment, 'status')),
+        queryParam('model', { type: 'string' }),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 1000, default: 100 }, 'Ignored for exports'),
+        formatParam,
+      ],
+      responses: {
+        200: reportResponse('TCO rows, highest first', {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            serialNumber: { type: 'string' },
+            model: { type: 'string' },
+            type: { type: 'string' },
+            assets: { type: 'integer', description: 'Per model' },
+            purchaseCost: { type: 'number' },
+            maintenanceJobs: { type: 'integer' },
+            maintenanceCost: { type: 'number' },
+            tco: { type: 'number' },
+            averageTco: { type: 'number', description: 'Per model' },
+          },
+        }),
+        ...errorResponses(400, 401, 403),
+      },
+    },
+  },
+};
@@ -0,0 +1,82 @@
+import Role from '../../models/Role.js';
+import { PERMISSIONS } from '../../config/permissions.js';
+import { inputSchema } from '../modelSchema.js';
+import { ref, idParam, jsonBody, jsonResponse, messageResponse, errorResponses, requires } from '../components.js';
+
+const tags = ['Roles'];
+
+const roleResponse = (description) => jsonResponse(description, { message: { type: 'string' }, role: ref('Role') });
+
+const withPermissionHelp = (schema) => {
+  schema.properties.permissions.description = `Permissions (${PERMISSIONS.join(', ')}), "resource:*" or "*"`;
+  return schema;
+};
+
+export default {
+  '/api/roles': {
+    get: {
+      tags,
+      summary: 'List roles',
+      operationId: 'listRoles',
+      responses: {
+        200: jsonResponse('Roles', { count: { type: 'integer' }, roles: { type: 'array', items: ref('Role') } }),
+        ...errorResponses(401),
+      },
+    },
+    post: {
+      tags,
+      summary: 'Create a custom role',
+      description: requires('roles:manage'),
+      operationId: 'createRole',
+      requestBody: jsonBody(withPermissionHelp(inputSchema(Role, ['name', 'description', 'permissions'], { required: true }))),
+      responses: {
+        201: roleResponse('Role created'),
+        ...errorResponses(400, 401, 403),
+      },
+    },
+  },
+  '/api/roles/permissions': {
+    get: {
+      tags,
+      summary: 'Get the permission catalogue',
+      operationId: 'listPermissions',
+      responses: {
+        200: jsonResponse('Known permissions', { permissions: { type: 'array', items: { type: 'string' } } }),
+        ...errorResponses(401),
+      },
+    },
+  },
+  '/api/roles/{id}': {
+    parameters: [idParam],
+    get: {
+      tags,
+      summary: 'Get a role',
+      operationId: 'getRole',
+      responses: {
+        200: roleResponse('Role'),
+        ...errorResponses(400, 401, 404),
+      },
+    },
+    put: {
+      tags,
+      summary: 'Update a role',
+      description: `${requires('roles:manage')} The name cannot change: users reference it.`,
+      operationId: 'updateRole',
+      requestBody: jsonBody(withPermissionHelp(inputSchema(Role, ['description', 'permissions']))),
+      responses: {
+        200: roleResponse('Role updated'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+    delete: {
+      tags,
+      summary: 'Delete a role',
+      description: `${requires('roles:manage')} System roles and roles still assigned cannot be deleted.`,
+      operationId: 'deleteRole',
+      responses: {
+        200: messageResponse('Role deleted'),
+        ...errorResponses(400, 401, 403, 404, 409),
+      },
+    },
+  },
+};
@@ -0,0 +1,30 @@
+import { SEARCH_TYPES } from '../../services/searchService.js';
+import { queryParam, jsonResponse, errorResponses } from '../components.js';
+
+export default {
+  '/api/search': {
+    get: {
+      tags: ['Search'],
+      summary: 'Search equipment, users and maintenance jobs',
+      description: 'Results are grouped by type and sorted by relevance. Users are only searched with `users:read`.',
+      operationId: 'globalSearch',
+      parameters: [
+        { ...queryParam('q', { type: 'string', minLength: 2 }, 'At least 2 characters'), required: true },
+        queryParam('types', { type: 'string', example: SEARCH_TYPES.join(',') }, `Comma-separated: ${SEARCH_TYPES.join(', ')}`),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 50, default: 10 }, 'Results per type'),
+      ],
+      responses: {
+        200: jsonResponse('Results by type', {
+          query: { type: 'string' },
+          results: {
+            type: 'object',
+            properties: Object.fromEntries(
+              SEARCH_TYPES.map((type) => [type, { type: 'array', items: { type: 'object' } }])
+            ),
+          },
+        }),
+        ...errorResponses(400, 401),
+      },
+    },
+  },
+};
@@ -0,0 +1,148 @@
+import User from '../../models/User.js';
+import { EDITABLE_FIELDS, SORTABLE_FIELDS } from '../../routes/users.js';
+import { inputSchema } from '../modelSchema.js';
+import {
+  ref,
+  queryParam,
+  idParam,
+  jsonBody,
+  jsonResponse,
+  listResponse,
+  messageResponse,
+  errorResponses,
+  requires,
+  paginationParams,
+  sortParam,
+  exportFormatParam,
+  fileResponse,
+  EXPORT_MEDIA_TYPES,
+} from '../components.js';
+
+const tags = ['Users'];
+
+const filterParams = [
+  queryParam('role', { type: 'string' }),
+  queryParam('department', { type: 'string' }),
+  queryParam('isActive', { type: 'boolean' }),
+  queryParam('search', { type: 'string' }, 'Matches name, email or department'),
+];
+
+const userResponse = (description) => jsonResponse(description, { message: { type: 'string' }, user: ref('User') });
+
+const updateSchema = inputSchema(User, EDITABLE_FIELDS);
+updateSchema.properties.email = ref('Email');
+
+const ADMIN_ONLY = 'Admin only.';
+
+export default {
+  '/api/users': {
+    get: {
+      tags,
+      summary: 'List users',
+      description: requires('users:read'),
+      operationId: 'listUsers',
+      parameters: [...filterParams, sortParam(SORTABLE_FIELDS), ...paginationParams],
+      responses: {
+        200: listResponse('User page', 'users', ref('User')),
+        ...errorResponses(400, 401, 403),
+      },
+    },
+  },
+  '/api/users/export': {
+    get: {
+      tags,
+      summary: 'Export users as CSV or XLSX',
+      description: requires('users:read'),
+      operationId: 'exportUsers',
+      parameters: [exportFormatParam, ...filterParams, sortParam(SORTABLE_FIELDS)],
+      responses: {
+        200: fileResponse('Export file', EXPORT_MEDIA_TYPES),
+        ...errorResponses(400, 401, 403),
+      },
+    },
+  },
+  '/api/users/{id}': {
+    parameters: [idParam],
+    get: {
+      tags,
+      summary: 'Get a user',
+      description: requires('users:read'),
+      operationId: 'getUser',
+      responses: {
+        200: userResponse('User'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+    put: {
+      tags,
+      summary: 'Update a user profile',
+      description:
+        `${requires('users:write')} Role, password and status have their own routes. ` +
+        'Only an admin can edit an admin account or change an email address; a new address must be verified again ' +
+        'and signs the user out of every session.',
+      operationId: 'updateUser',
+      requestBody: jsonBody(updateSchema),
+      responses: {
+        200: userResponse('User updated'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+  '/api/users/{id}/role': {
+    patch: {
+      tags,
+      summary: 'Change the role of a user',
+      description: ADMIN_ONLY,
+      operationId: 'changeUserRole',
+      parameters: [idParam],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['role'],
+        properties: { role: { type: 'string', minLength: 1, description: 'Role name' } },
+      }),
+      responses: {
+        200: userResponse('Role changed'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+  '/api/users/{id}/deactivate': {
+    patch: {
+      tags,
+      summary: 'Deactivate a user',
+      description: ADMIN_ONLY,
+      operationId: 'deactivateUser',
+      parameters: [idParam],
+      responses: {
+        200: userResponse('User deactivated'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+  '/api/users/{id}/activate': {
+    patch: {
+      tags,
+      summary: 'Reactivate a user',
+      description: ADMIN_ONLY,
+      operationId: 'activateUser',
+      parameters: [idParam],
+      responses: {
+        200: userResponse('User activated'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+  '/api/users/{id}/unlock': {
+    post: {
+      tags,
+      summary: 'Unlock an account locked after failed logins',
+      description: ADMIN_ONLY,
+      operationId: 'unlockUser',
+      parameters: [idParam],
+      responses: {
+        200: messageResponse('Account unlocked'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+};
@@ -0,0 +1,179 @@
+import WebhookEndpoint from '../../models/WebhookEndpoint.js';
+import WebhookDelivery from '../../models/WebhookDelivery.js';
+import { WEBHOOK_EVENTS, WEBHOOK_DELIVERY_RETENTION_DAYS } from '../../config/webhooks.js';
+import { EDITABLE_FIELDS } from '../../routes/webhooks.js';
+import { inputSchema } from '../modelSchema.js';
+import {
+  ref,
+  enumOf,
+  queryParam,
+  pathParam,
+  idParam,
+  jsonBody,
+  jsonResponse,
+  listResponse,
+  messageResponse,
+  errorResponses,
+  requires,
+  paginationParams,
+} from '../components.js';
+
+const tags = ['Webhooks'];
+
+const description = requires('webhooks:manage');
+
+const SIGNATURE =
+  'Each delivery is a POST signed with the endpoint secret: X-Webhook-Signature = "sha256=" + ' +
+  'HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<raw body>"). Failed deliveries are retried with exponential backoff. ' +
+  'The URL must resolve to a public address and redirects are not followed.';
+
+const deliveryId = pathParam('deliveryId');
+
+const webhookResponse = (summary, properties = {}) =>
+  jsonResponse(summary, { message: { type: 'string' }, webhook: ref('Webhook'), ...properties });
+
+const secret = { type: 'string', description: 'Signing secret, only returned on creation and rotation' };
+
+export default {
+  '/api/webhooks/events': {
+    get: {
+      tags,
+      summary: 'List the events a webhook can subscribe to',
+      description,
+      operationId: 'listWebhookEvents',
+      responses: {
+        200: jsonResponse('Events', { events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } } }),
+        ...errorResponses(401, 403),
+      },
+    },
+  },
+  '/api/webhooks/deliveries/{deliveryId}': {
+    get: {
+      tags,
+      summary: 'Get a delivery with its attempts',
+      description,
+      operationId: 'getWebhookDelivery',
+      parameters: [deliveryId],
+      responses: {
+        200: jsonResponse('Delivery', { delivery: ref('WebhookDelivery') }),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+  '/api/webhooks/deliveries/{deliveryId}/redeliver': {
+    post: {
+      tags,
+      summary: 'Redeliver an event',
+      description: `${description} Creates a new delivery with the same payload and sends it immediately.`,
+      operationId: 'redeliverWebhook',
+      parameters: [deliveryId],
+      responses: {
+        201: jsonResponse('Redelivery', { message: { type: 'string' }, delivery: ref('WebhookDelivery') }),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+  '/api/webhooks': {
+    get: {
+      tags,
+      summary: 'List webhooks',
+      description,
+      operationId: 'listWebhooks',
+      responses: {
+        200: jsonResponse('Webhooks', { count: { type: 'integer' }, webhooks: { type: 'array', items: ref('Webhook') } }),
+        ...errorResponses(401, 403),
+      },
+    },
+    post: {
+      tags,
+      summary: 'Register a webhook',
+      description: `${description} ${SIGNATURE}`,
+      operationId: 'createWebhook',
+      requestBody: jsonBody(inputSchema(WebhookEndpoint, EDITABLE_FIELDS, { required: true })),
+      responses: {
+        201: webhookResponse('Webhook created', { secret }),
+        ...errorResponses(400, 401, 403),
+      },
+    },
+  },
+  '/api/webhooks/{id}': {
+    parameters: [idParam],
+    get: {
+      tags,
+      summary: 'Get a webhook',
+      description,
+      operationId: 'getWebhook',
+      responses: {
+        200: webhookResponse('Webhook'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+    put: {
+      tags,
+      summary: 'Update a webhook',
+      description,
+      operationId: 'updateWebhook',
+      requestBody: jsonBody(inputSchema(WebhookEndpoint, EDITABLE_FIELDS)),
+      responses: {
+        200: webhookResponse('Webhook updated'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+    delete: {
+      tags,
+      summary: 'Delete a webhook and its delivery log',
+      description,
+      operationId: 'deleteWebhook',
+      responses: {
+        200: messageResponse('Webhook deleted'),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+  '/api/webhooks/{id}/rotate-secret': {
+    post: {
+      tags,
+      summary: 'Rotate the signing secret',
+      description,
+      operationId: 'rotateWebhookSecret',
+      parameters: [idParam],
+      responses: {
+        200: jsonResponse('New secret', { message: { type: 'string' }, secret }),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+  '/api/webhooks/{id}/ping': {
+    post: {
+      tags,
+      summary: 'Send a test "ping" event',
+      description,
+      operationId: 'pingWebhook',
+      parameters: [idParam],
+      responses: {
+        200: jsonResponse('Delivery result (success is false when the endpoint failed)', {
+          delivery: ref('WebhookDelivery'),
+        }),
+        ...errorResponses(400, 401, 403, 404),
+      },
+    },
+  },
+  '/api/webhooks/{id}/deliveries': {
+    get: {
+      tags,
+      summary: 'Get the delivery log of a webhook',
+      description: `${description} Payload data is left out, see the delivery details. Deliveries are kept ${WEBHOOK_DELIVERY_RETENTION_DAYS} days.`,
+      operationId: 'listWebhookDeliveries',
+      parameters: [
+        idParam,
+        queryParam('status', enumOf(WebhookDelivery, 'status')),
+        queryParam('event', { type: 'string', enum: [...WEBHOOK_EVENTS, 'ping'] }),
+        ...paginationParams,
+      ],
+      responses: {
+        200: listResponse('Delivery page, most recent first', 'deliveries', ref('WebhookDelivery')),
+        ...errorResponses(400, 401, 403),
+      },
+    },
+  },
+};
@@ -0,0 +1,70 @@
+import express from 'express';
+import AuditLog from '../models/AuditLog.js';
+import { requirePermission } from '../middlewares/authMiddleware.js';
+import { parsePagination, paginationMeta } from '../utils/queryHelpers.js';
+
+const router = express.Router();
+
+const buildAuditFilter = (query) => {
+  const filter = {};
+
+  if (query.entity) filter.entity = query.entity;
+  if (query.entityId) filter.entityId = query.entityId;
+  if (query.actor) filter.actor = query.actor;
+  if (query.action) filter.action = query.action;
+  if (query.field) filter['changes.field'] = query.field;
+
+  // Plage de dates (?from=2025-01-01&to=2025-03-31)
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+  }
+
+  return filter;
+};
+
+// Get audit log entries (filtrage par entité, acteur et période)
+router.get('/', requirePermission('audit:read'), async (req, res, next) => {
+  try {
+    const filter = buildAuditFilter(req.query);
+    const pagination = parsePagination(req.query);
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate('actor', 'name email'),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      count: logs.length,
+      pagination: paginationMeta(total, pagination),
+      logs,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the history of a single entity (ex: /Equipment/<id>)
+router.get('/:entity/:entityId', requirePermission('audit:read'), async (req, res, next) => {
+  try {
+    const logs = await AuditLog.find({ entity: req.params.entity, entityId: req.params.entityId })
+      .sort({ createdAt: -1 })
+      .populate('actor', 'name email');
+
+    res.json({
+      success: true,
+      count: logs.length,
+      logs,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,50 +1,51 @@
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import { authMiddleware } from '../middlewares/authMiddleware.js';
+import {
+  issueSessionTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+} from '../services/tokenService.js';
+import { requestPasswordReset, resetPassword } from '../services/passwordResetService.js';
+import {
+  getVerificationPolicy,
+  sendVerificationEmail,
+  verifyEmail,
+  resendVerificationEmail,
+} from '../services/emailVerificationService.js';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } from '../services/loginProtectionService.js';
+import { emitWebhookEvent } from '../services/webhookService.js';
 
 const router = express.Router();
 
-// Validation des entrées
-const validateEmail = (email) => {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
+// L'échec d'envoi du lien de vérification ne doit pas faire échouer l'inscription
+const trySendVerificationEmail = async (user) => {
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
 };
 
-const validatePassword = (password) => {
-  return password && password.length >= 6;
-};
+// Informations de contexte enregistrées avec chaque refresh token
+const sessionMeta = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+});
 
 // Login route
 router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
     
-    // Validation des entrées
-    if (!email || !password) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Email and password are required' 
-      });
-    }
-    
-    if (!validateEmail(email)) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Invalid email format' 
-      });
-    }
-    
-    if (!validatePassword(password)) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Password must be at least 6 characters long' 
-      });
-    }
+    // Protection contre la force brute (verrouillage / délai progressif)
+    await checkLoginAllowed(email, req.ip);
     
     // Check if user exists
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await recordLoginFailure(email, req.ip);
       return res.status(401).json({ 
         success: false,
         message: 'Invalid email or password' 
@@ -54,26 +55,38 @@ router.post('/login', async (req, res) => {
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLoginFailure(email, req.ip);
       return res.status(401).json({ 
         success: false,
         message: 'Invalid email or password' 
       });
     }
     
+    // Refuser les comptes désactivés
+    if (!user.isActive) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Account is deactivated. Please contact an administrator.' 
+      });
+    }
+    
+    // Refuser les adresses non vérifiées si la politique l'exige
+    if (!user.emailVerified && getVerificationPolicy() === 'block') {
+      return res.status(403).json({ 
+        success: false,
+        code: 'EMAIL_NOT_VERIFIED',
+        message: 'Please verify your email address before logging in' 
+      });
+    }
+    
+    await recordLoginSuccess(email);
+    
     // Update last login
     user.lastLogin = new Date();
     await user.save();
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: user._id, 
-        role: user.role,
-        email: user.email 
-      },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '1d' }
-    );
+    // Generate access + refresh tokens
+    const { token, refreshToken } = await issueSessionTokens(user, sessionMeta(req));
     
     // Remove password from response
     const userResponse = user.toObject();
@@ -82,11 +95,21 @@ router.post('/login', async (req, res) => {
     res.json({ 
       success: true,
       token, 
+      refreshToken,
       user: userResponse,
       message: 'Login successful'
     });
     
   } catch (error) {
+    if (error.statusCode === 423 || error.statusCode === 429) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.statusCode).json({ 
+        success: false,
+        message: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
+    
     console.error('Login error:', error);
     res.status(500).json({ 
       success: false,
@@ -98,29 +121,7 @@ router.post('/login', async (req, res) => {
 // Register new user (public route - modifié pour permettre l'inscription publique)
 router.post('/register', async (req, res) => {
   try {
-    const { name, email, password, role, department, position } = req.body;
-    
-    // Validation des entrées
-    if (!name || !email || !password) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Name, email and password are required' 
-      });
-    }
-    
-    if (!validateEmail(email)) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Invalid email format' 
-      });
-    }
-    
-    if (!validatePassword(password)) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Password must be at least 6 characters long' 
-      });
-    }
+    const { name, email, password, department, position } = req.body;
     
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -131,28 +132,31 @@ router.post('/register', async (req, res) => {
       });
     }
     
-    // Create new user (role par défaut: user)
+    // Create new user (toujours 'user' : les autres rôles sont attribués par un admin)
     const user = new User({
       name,
       email,
       password,
-      role: role || 'user', // Par défaut 'user' pour les inscriptions publiques
+      role: 'user',
       department: department || null,
       position: position || null,
     });
     
     await user.save();
+    await emitWebhookEvent('user.created', user);
+    await trySendVerificationEmail(user);
+    
+    // Pas de connexion automatique tant que l'adresse n'est pas vérifiée (politique "block")
+    if (getVerificationPolicy() === 'block') {
+      return res.status(201).json({ 
+        success: true,
+        message: 'User registered successfully. Please check your email to verify your account.',
+        user: user.getPublicProfile()
+      });
+    }
     
-    // Generate JWT token for auto-login after registration
-    const token = jwt.sign(
-      { 
-        id: user._id, 
-        role: user.role,
-        email: user.email 
-      },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '1d' }
-    );
+    // Generate tokens for auto-login after registration
+    const { token, refreshToken } = await issueSessionTokens(user, sessionMeta(req));
     
     // Remove password from response
     const userResponse = user.toObject();
@@ -162,6 +166,7 @@ router.post('/register', async (req, res) => {
       success: true,
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: userResponse
     });
     
@@ -170,10 +175,14 @@ router.post('/register', async (req, res) => {
     
     // Gestion des erreurs de validation Mongoose
     if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
+      const errors = Object.values(error.errors).map(err => ({
+        location: 'body',
+        field: err.path,
+        message: err.kind === 'required' ? 'is required' : err.message,
+      }));
       return res.status(400).json({ 
         success: false,
-        message: 'Validation error',
+        message: 'Validation failed',
         errors 
       });
     }
@@ -229,29 +238,7 @@ router.post('/admin/create-user', authMiddleware, async (req, res) => {
       });
     }
     
-    const { name, email, password, role, department, position } = req.body;
-    
-    // Validation des entrées
-    if (!name || !email || !password || !role) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'All fields are required' 
-      });
-    }
-    
-    if (!validateEmail(email)) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Invalid email format' 
-      });
-    }
-    
-    if (!validatePassword(password)) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Password must be at least 6 characters long' 
-      });
-    }
+    const { name, email, password, role, department, position, skipEmailVerification } = req.body;
     
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -270,9 +257,16 @@ router.post('/admin/create-user', authMiddleware, async (req, res) => {
       role,
       department,
       position,
+      // L'admin peut considérer l'adresse comme déjà vérifiée
+      emailVerified: Boolean(skipEmailVerification),
     });
     
     await user.save();
+    await emitWebhookEvent('user.created', user);
+    
+    if (!user.emailVerified) {
+      await trySendVerificationEmail(user);
+    }
     
     // Remove password from response
     const userResponse = user.toObject();
@@ -288,10 +282,14 @@ router.post('/admin/create-user', authMiddleware, async (req, res) => {
     console.error('Admin create user error:', error);
     
     if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
+      const errors = Object.values(error.errors).map(err => ({
+        location: 'body',
+        field: err.path,
+        message: err.kind === 'required' ? 'is required' : err.message,
+      }));
       return res.status(400).json({ 
         success: false,
-        message: 'Validation error',
+        message: 'Validation failed',
         errors 
       });
     }
@@ -315,21 +313,6 @@ router.post('/change-password', authMiddleware, async (req, res) => {
   try {
     const { currentPassword, newPassword } = req.body;
     
-    // Validation des entrées
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Current password and new password are required' 
-      });
-    }
-    
-    if (!validatePassword(newPassword)) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'New password must be at least 6 characters long' 
-      });
-    }
-    
     // Get user with password
     const user = await User.findById(req.user.id).select('+password');
     if (!user) {
@@ -366,35 +349,128 @@ router.post('/change-password', authMiddleware, async (req, res) => {
   }
 });
 
-// Refresh token route
-router.post('/refresh-token', authMiddleware, async (req, res) => {
+// Forgot password : envoie un lien de réinitialisation par e-mail
+router.post('/forgot-password', async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({ 
+    const { email } = req.body;
+    
+    await requestPasswordReset(email);
+    
+    // Même réponse que le compte existe ou non
+    res.json({ 
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent' 
+    });
+    
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while requesting password reset' 
+    });
+  }
+});
+
+// Reset password avec le jeton reçu par e-mail
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    
+    await resetPassword(token, password);
+    
+    res.json({ 
+      success: true,
+      message: 'Password has been reset. Please log in again.' 
+    });
+    
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ 
         success: false,
-        message: 'User not found' 
+        message: error.message 
+      });
+    }
+    
+    console.error('Reset password error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while resetting password' 
+    });
+  }
+});
+
+// Verify email avec le jeton reçu par e-mail
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+    
+    const user = await verifyEmail(token);
+    
+    res.json({ 
+      success: true,
+      message: 'Email verified successfully',
+      user
+    });
+    
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ 
+        success: false,
+        message: error.message 
       });
     }
     
-    // Generate new JWT token
-    const token = jwt.sign(
-      { 
-        id: user._id, 
-        role: user.role,
-        email: user.email 
-      },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: process.env.JWT_EXPIRES_IN || '1d' }
-    );
+    console.error('Verify email error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while verifying email' 
+    });
+  }
+});
+
+// Resend verification email (limité dans le temps par compte)
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const { email } = req.body;
+    
+    await resendVerificationEmail(email);
     
     res.json({ 
       success: true,
-      token,
+      message: 'If this account still needs verification, a new link has been sent' 
+    });
+    
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error while sending verification email' 
+    });
+  }
+});
+
+// Refresh token route : échange un refresh token contre une nouvelle paire (rotation)
+router.post('/refresh-token', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    const session = await rotateRefreshToken(refreshToken, sessionMeta(req));
+    
+    res.json({ 
+      success: true,
+      token: session.token,
+      refreshToken: session.refreshToken,
       message: 'Token refreshed successfully'
     });
     
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ 
+        success: false,
+        message: error.message 
+      });
+    }
+    
     console.error('Refresh token error:', error);
     res.status(500).json({ 
       success: false,
@@ -403,4 +479,44 @@ router.post('/refresh-token', authMiddleware, async (req, res) => {
   }
 });
 
+// Logout : révoque le refresh token présenté et toute sa famille
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    await revokeRefreshToken(refreshToken);
+    
+    res.json({ 
+      success: true,
+      message: 'Logged out successfully' 
+    });
+    
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error during logout' 
+    });
+  }
+});
+
+// Logout from all devices
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    await revokeAllUserTokens(req.user.id);
+    
+    res.json({ 
+      success: true,
+      message: 'All sessions have been revoked' 
+    });
+    
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error during logout' 
+    });
+  }
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,140 @@
+import express from 'express';
+import Category from '../models/Category.js';
+import { requirePermission } from '../middlewares/authMiddleware.js';
+import { moveCategory, assertCategoryDeletable } from '../services/categoryService.js';
+import { pick } from '../utils/queryHelpers.js';
+
+const router = express.Router();
+
+const notFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'Category not found',
+  });
+
+// Get all categories (liste plate, filtrable par parent : ?parent=<id> ou ?parent=root)
+router.get('/', async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.parent === 'root') {
+      filter.parent = null;
+    } else if (req.query.parent) {
+      filter.parent = req.query.parent;
+    }
+
+    const categories = await Category.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: categories.length,
+      categories,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the full category tree
+router.get('/tree', async (req, res, next) => {
+  try {
+    const categories = await Category.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      tree: Category.buildTree(categories),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get category by id (avec son chemin et ses enfants directs)
+router.get('/:id', async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id).populate('ancestors', 'name');
+    if (!category) return notFound(res);
+
+    const children = await Category.find({ parent: category._id }).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      category,
+      children,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create category
+router.post('/', requirePermission('categories:write'), async (req, res, next) => {
+  try {
+    const category = new Category(pick(req.body, ['name', 'description', 'parent', 'depreciation']));
+    await category.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      category,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update category (le parent se change via /:id/move)
+router.put('/:id', requirePermission('categories:write'), async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) return notFound(res);
+
+    category.set(pick(req.body, ['name', 'description', 'depreciation']));
+    await category.save();
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      category,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Move a category and its subtree
+router.patch('/:id/move', requirePermission('categories:write'), async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) return notFound(res);
+
+    await moveCategory(category, req.body?.parent);
+
+    res.json({
+      success: true,
+      message: 'Category moved successfully',
+      category,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete category (bloqué s'il reste des sous-catégories ou des équipements)
+router.delete('/:id', requirePermission('categories:write'), async (req, res, next) => {
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) return notFound(res);
+
+    await assertCategoryDeletable(category);
+    await category.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
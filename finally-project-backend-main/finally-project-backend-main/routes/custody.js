@@ -0,0 +1,74 @@
+import express from 'express';
+import CustodyRecord from '../models/CustodyRecord.js';
+import { requirePermission } from '../middlewares/authMiddleware.js';
+import { getRolePermissions, hasPermission } from '../services/permissionService.js';
+import { notifyOverdueReturns } from '../services/custodyService.js';
+import { parsePagination, paginationMeta } from '../utils/queryHelpers.js';
+
+const router = express.Router();
+
+const buildCustodyFilter = (query) => {
+  const filter = {};
+
+  if (query.equipment) filter.equipment = query.equipment;
+  if (query.user) filter.custodian = query.user;
+  if (query.status) filter.status = query.status;
+
+  if (query.overdue === 'true') {
+    filter.status = 'active';
+    filter.expectedReturnDate = { $lt: new Date() };
+  }
+
+  return filter;
+};
+
+// Get custody records (historique par équipement ou par utilisateur, gardes en retard).
+// Sans la permission equipment:write, un utilisateur ne voit que son propre historique.
+router.get('/', async (req, res, next) => {
+  try {
+    const filter = buildCustodyFilter(req.query);
+
+    const permissions = await getRolePermissions(req.user.role);
+    if (!hasPermission(permissions, 'equipment:write')) {
+      filter.custodian = req.user.id;
+    }
+
+    const pagination = parsePagination(req.query);
+
+    const [history, total] = await Promise.all([
+      CustodyRecord.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate('equipment', 'name type serialNumber')
+        .populate('custodian', 'name email department'),
+      CustodyRecord.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      count: history.length,
+      pagination: paginationMeta(total, pagination),
+      history,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send overdue return notifications now
+router.post('/notify-overdue', requirePermission('equipment:write'), async (req, res, next) => {
+  try {
+    const notified = await notifyOverdueReturns();
+
+    res.json({
+      success: true,
+      message: `${notified} overdue return notifications sent`,
+      notified,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,129 @@
+import express from 'express';
+import Equipment from '../models/Equipment.js';
+import Category from '../models/Category.js';
+import { requirePermission } from '../middlewares/authMiddleware.js';
+import {
+  buildDepreciationReport,
+  describeDepreciation,
+  loadCategoryIndex,
+  bookValueAt,
+  resolveDepreciationSettings,
+} from '../services/depreciationService.js';
+import { parsePagination, paginationMeta } from '../utils/queryHelpers.js';
+
+const router = express.Router();
+
+router.use(requirePermission('reports:read'));
+
+// Seuls les équipements avec un coût et une date d'achat sont amortissables
+const buildDepreciableFilter = async (query) => {
+  const filter = { purchaseCost: { $gt: 0 }, purchaseDate: { $ne: null } };
+
+  if (query.category) {
+    filter.category = { $in: await Category.descendantIds(query.category) };
+  }
+  if (query.status) filter.status = query.status;
+
+  return filter;
+};
+
+// Get current book value per asset (?date=2025-12-31 pour une autre date de valorisation)
+router.get('/assets', async (req, res, next) => {
+  try {
+    const filter = await buildDepreciableFilter(req.query);
+    const pagination = parsePagination(req.query);
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+
+    const [equipment, total, categoryIndex] = await Promise.all([
+      Equipment.find(filter)
+        .sort({ purchaseDate: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .select('name serialNumber assetTag category purchaseDate purchaseCost depreciation status')
+        .lean(),
+      Equipment.countDocuments(filter),
+      loadCategoryIndex(),
+    ]);
+
+    const assets = equipment.map((item) => {
+      const settings = resolveDepreciationSettings(item, categoryIndex);
+      return {
+        _id: item._id,
+        name: item.name,
+        serialNumber: item.serialNumber,
+        assetTag: item.assetTag,
+        category: item.category ? { _id: item.category, name: categoryIndex.get(String(item.category))?.name } : null,
+        purchaseDate: item.purchaseDate,
+        purchaseCost: item.purchaseCost,
+        method: settings?.method || null,
+        usefulLifeYears: settings?.usefulLifeYears || null,
+        salvageValue: settings?.salvageValue ?? null,
+        // null : durée d'utilisation non renseignée ni héritée
+        ...(settings ? bookValueAt(settings, date) : { bookValue: null }),
+      };
+    });
+
+    res.json({
+      success: true,
+      date,
+      count: assets.length,
+      pagination: paginationMeta(total, pagination),
+      assets,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get depreciation schedule by category and fiscal year (?fiscalYear=2026&category=<id>)
+router.get('/schedule', async (req, res, next) => {
+  try {
+    const filter = await buildDepreciableFilter(req.query);
+    const fiscalYear = parseInt(req.query.fiscalYear, 10) || undefined;
+
+    const cursor = Equipment.find(filter)
+      .select('category purchaseDate purchaseCost depreciation')
+      .lean()
+      .cursor();
+    const report = await buildDepreciationReport(cursor, { fiscalYear });
+
+    res.json({
+      success: true,
+      fiscalYear: fiscalYear || null,
+      ...report,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get depreciation details and schedule of one asset
+router.get('/equipment/:id', async (req, res, next) => {
+  try {
+    const equipment = await Equipment.findById(req.params.id).lean();
+    if (!equipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found',
+      });
+    }
+
+    const depreciation = describeDepreciation(equipment, await loadCategoryIndex());
+    if (!depreciation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Equipment needs a purchase cost, a purchase date and a useful life (own or from its category)',
+      });
+    }
+
+    res.json({
+      success: true,
+      equipment: { _id: equipment._id, name: equipment.name, serialNumber: equipment.serialNumber },
+      depreciation,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,464 @@
+import express from 'express';
+import Equipment from '../models/Equipment.js';
+import Category from '../models/Category.js';
+import { requirePermission } from '../middlewares/authMiddleware.js';
+import { getRolePermissions, hasPermission } from '../services/permissionService.js';
+import CustodyRecord from '../models/CustodyRecord.js';
+import { checkoutEquipment, checkinEquipment } from '../services/custodyService.js';
+import { findExpiringWarrantiesFilter } from '../services/warrantyService.js';
+import { importEquipmentCsv } from '../services/equipmentImportService.js';
+import { emitWebhookEvent } from '../services/webhookService.js';
+import { streamLabelSheet, renderQrCode, qrContentFor } from '../services/labelService.js';
+import { LABEL_LAYOUTS } from '../config/labelLayouts.js';
+import { parseExportFormat, streamExport, describeRef, distinctMapKeys } from '../services/exportService.js';
+import { parsePagination, parseSort, pick, paginationMeta } from '../utils/queryHelpers.js';
+
+const router = express.Router();
+
+// Taille maximale d'un fichier CSV importé (corps text/csv)
+const IMPORT_MAX_SIZE = process.env.IMPORT_MAX_SIZE || '10mb';
+// Nombre maximal d'étiquettes par planche générée
+const LABELS_MAX = parseInt(process.env.LABELS_MAX, 10) || 3000;
+
+// Champs modifiables via l'API (les autres sont gérés par le système ;
+// assignedTo change uniquement via checkout/checkin pour garder l'historique de garde)
+export const EDITABLE_FIELDS = [
+  'name',
+  'type',
+  'category',
+  'model',
+  'serialNumber',
+  'assetTag',
+  'purchaseDate',
+  'purchaseCost',
+  'depreciation',
+  'warrantyExpiryDate',
+  'status',
+  'location',
+  'specifications',
+  'notes',
+  'lastMaintenanceDate',
+  'nextMaintenanceDate',
+];
+
+export const SORTABLE_FIELDS = [
+  'name',
+  'type',
+  'status',
+  'location',
+  'purchaseDate',
+  'warrantyExpiryDate',
+  'nextMaintenanceDate',
+  'createdAt',
+  'updatedAt',
+];
+
+// Construire le filtre Mongoose à partir de la query string.
+// Les filtres type/status/assignedTo/location s'appuient sur les index du modèle ;
+// le filtre par catégorie inclut toutes ses sous-catégories.
+const buildEquipmentFilter = async (query) => {
+  const filter = {};
+
+  if (query.category) {
+    filter.category = { $in: await Category.descendantIds(query.category) };
+  }
+
+  if (query.type) filter.type = query.type;
+  if (query.status) filter.status = query.status;
+  if (query.location) filter.location = query.location;
+
+  if (query.assignedTo === 'none') {
+    filter.assignedTo = null;
+  } else if (query.assignedTo) {
+    filter.assignedTo = query.assignedTo;
+  }
+
+  return filter;
+};
+
+// Get all equipment (filtrage, tri, pagination)
+router.get('/', async (req, res, next) => {
+  try {
+    const filter = await buildEquipmentFilter(req.query);
+    const sort = parseSort(req.query.sort, SORTABLE_FIELDS);
+    const pagination = parsePagination(req.query);
+
+    const [equipment, total] = await Promise.all([
+      Equipment.find(filter)
+        .sort(sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate('assignedTo', 'name email department')
+        .populate('category', 'name'),
+      Equipment.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      count: equipment.length,
+      pagination: paginationMeta(total, pagination),
+      equipment,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Export equipment as CSV or XLSX (?format=xlsx, mêmes filtres et tri que la liste)
+router.get('/export', async (req, res, next) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    const filter = await buildEquipmentFilter(req.query);
+    const sort = parseSort(req.query.sort, SORTABLE_FIELDS);
+    const specKeys = await distinctMapKeys(Equipment, filter, 'specifications');
+
+    const columns = [
+      { header: 'Name', value: (item) => item.name, width: 28 },
+      { header: 'Type', value: (item) => item.type },
+      { header: 'Category', value: (item) => describeRef(item.category) },
+      { header: 'Model', value: (item) => item.model },
+      { header: 'Serial number', value: (item) => item.serialNumber, width: 22 },
+      { header: 'Asset tag', value: (item) => item.assetTag },
+      { header: 'Status', value: (item) => item.status },
+      { header: 'Assigned to', value: (item) => describeRef(item.assignedTo, 'email'), width: 32 },
+      { header: 'Department', value: (item) => item.assignedTo?.department },
+      { header: 'Location', value: (item) => item.location },
+      { header: 'Purchase date', value: (item) => item.purchaseDate },
+      { header: 'Purchase cost', value: (item) => item.purchaseCost },
+      { header: 'Warranty expiry date', value: (item) => item.warrantyExpiryDate },
+      { header: 'Last maintenance', value: (item) => item.lastMaintenanceDate },
+      { header: 'Next maintenance', value: (item) => item.nextMaintenanceDate },
+      { header: 'Notes', value: (item) => item.notes, width: 40 },
+      { header: 'Created at', value: (item) => item.createdAt },
+      // Une colonne par caractéristique présente dans le résultat
+      ...specKeys.map((key) => ({ header: `Spec: ${key}`, value: (item) => item.specifications?.get(key) })),
+    ];
+
+    const cursor = Equipment.find(filter)
+      .sort(sort)
+      .populate('assignedTo', 'name email department')
+      .populate('category', 'name')
+      .cursor();
+
+    await streamExport(res, { format, filename: 'equipment', sheetName: 'Equipment', columns, cursor });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Options communes aux planches d'étiquettes (?layout=avery-5160&encode=url|id&start=4)
+const labelOptions = (query) => ({
+  layout: query.layout,
+  encode: query.encode || 'url',
+  startPosition: parseInt(query.start, 10) || 1,
+});
+
+// Get available label sheet layouts
+router.get('/labels/layouts', (req, res) => {
+  res.json({
+    success: true,
+    layouts: Object.entries(LABEL_LAYOUTS).map(([name, layout]) => ({
+      name,
+      description: layout.description,
+      labelsPerPage: layout.columns * layout.rows,
+    })),
+  });
+});
+
+// Print a PDF label sheet for a batch (?ids=a,b,c ou mêmes filtres et tri que la liste)
+router.get('/labels', async (req, res, next) => {
+  try {
+    const filter = req.query.ids
+      ? { _id: { $in: String(req.query.ids).split(',').map((id) => id.trim()).filter(Boolean) } }
+      : await buildEquipmentFilter(req.query);
+    const sort = parseSort(req.query.sort, SORTABLE_FIELDS, { name: 1 });
+
+    const total = await Equipment.countDocuments(filter);
+    if (total === 0) {
+      return res.status(404).json({ success: false, message: 'No equipment matches the selection' });
+    }
+    if (total > LABELS_MAX) {
+      return res.status(400).json({
+        success: false,
+        message: `Too many labels requested (${total}), narrow the filters to at most ${LABELS_MAX}`,
+      });
+    }
+
+    const equipment = await Equipment.find(filter).sort(sort).select('name serialNumber assetTag').lean();
+    await streamLabelSheet(res, equipment, { filename: 'equipment-labels', ...labelOptions(req.query) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get equipment whose warranty expires within a window (?days=90&includeExpired=true)
+router.get('/warranty/expiring', async (req, res, next) => {
+  try {
+    const days = Math.max(parseInt(req.query.days, 10) || 90, 1);
+    const filter = findExpiringWarrantiesFilter(days, { includeExpired: req.query.includeExpired === 'true' });
+    const pagination = parsePagination(req.query);
+
+    const [equipment, total] = await Promise.all([
+      Equipment.find(filter)
+        .sort({ warrantyExpiryDate: 1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate('assignedTo', 'name email department')
+        .populate('category', 'name'),
+      Equipment.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      days,
+      count: equipment.length,
+      pagination: paginationMeta(total, pagination),
+      equipment,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Import equipment from CSV.
+// Corps text/csv avec ?dryRun=true&mapping={"Colonne":"champ"}&delimiter=; ,
+// ou JSON { csv, mapping, dryRun, delimiter }.
+router.post(
+  '/import',
+  requirePermission('equipment:write'),
+  express.text({ type: 'text/csv', limit: IMPORT_MAX_SIZE }),
+  async (req, res, next) => {
+    try {
+      const isCsvBody = req.is('text/csv');
+      const source = isCsvBody ? req.query : req.body;
+
+      let mapping = source.mapping;
+      if (typeof mapping === 'string') {
+        try {
+          mapping = JSON.parse(mapping);
+        } catch {
+          return res.status(400).json({
+            success: false,
+            message: 'mapping must be a JSON object',
+          });
+        }
+      }
+
+      const result = await importEquipmentCsv(
+        isCsvBody ? req.body : req.body.csv,
+        {
+          mapping,
+          dryRun: source.dryRun === true || source.dryRun === 'true',
+          delimiter: source.delimiter || ',',
+        },
+        req.user.id
+      );
+
+      if (!result.dryRun && result.invalid > 0) {
+        return res.status(422).json({
+          success: false,
+          message: 'Import rejected: some rows are invalid, nothing was imported',
+          ...result,
+        });
+      }
+
+      res.status(result.dryRun ? 200 : 201).json({
+        success: true,
+        message: result.dryRun ? 'Dry run completed' : `${result.created} equipment imported successfully`,
+        ...result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get equipment by id
+router.get('/:id', async (req, res, next) => {
+  try {
+    const equipment = await Equipment.findById(req.params.id)
+      .populate('assignedTo', 'name email department')
+      .populate('category', 'name ancestors');
+
+    if (!equipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      equipment,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create equipment
+router.post('/', requirePermission('equipment:write'), async (req, res, next) => {
+  try {
+    const equipment = new Equipment(pick(req.body, EDITABLE_FIELDS));
+    await equipment.save();
+    await emitWebhookEvent('equipment.created', equipment);
+
+    res.status(201).json({
+      success: true,
+      message: 'Equipment created successfully',
+      equipment,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update equipment
+router.put('/:id', requirePermission('equipment:write'), async (req, res, next) => {
+  try {
+    const equipment = await Equipment.findById(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found',
+      });
+    }
+
+    equipment.set(pick(req.body, EDITABLE_FIELDS));
+    await equipment.save();
+    await emitWebhookEvent('equipment.updated', equipment);
+
+    res.json({
+      success: true,
+      message: 'Equipment updated successfully',
+      equipment,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete equipment
+router.delete('/:id', requirePermission('equipment:delete'), async (req, res, next) => {
+  try {
+    const equipment = await Equipment.findByIdAndDelete(req.params.id);
+    if (!equipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found',
+      });
+    }
+
+    await emitWebhookEvent('equipment.deleted', equipment);
+
+    res.json({
+      success: true,
+      message: 'Equipment deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Print the PDF label of one equipment
+router.get('/:id/label', async (req, res, next) => {
+  try {
+    const equipment = await Equipment.findById(req.params.id).select('name serialNumber assetTag').lean();
+    if (!equipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found',
+      });
+    }
+
+    await streamLabelSheet(res, [equipment], { filename: `label-${equipment._id}`, ...labelOptions(req.query) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the QR code of an equipment (?format=svg|png&encode=url|id)
+router.get('/:id/qrcode', async (req, res, next) => {
+  try {
+    const equipment = await Equipment.findById(req.params.id).select('_id').lean();
+    if (!equipment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Equipment not found',
+      });
+    }
+
+    const format = req.query.format === 'png' ? 'png' : 'svg';
+    const qrCode = await renderQrCode(qrContentFor(equipment, req.query.encode || 'url'), format);
+
+    res.type(format === 'png' ? 'image/png' : 'image/svg+xml').send(qrCode);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Check out equipment to a user
+router.post('/:id/checkout', requirePermission('equipment:write'), async (req, res, next) => {
+  try {
+    const record = await checkoutEquipment(
+      req.params.id,
+      pick(req.body, ['custodian', 'expectedReturnDate', 'condition', 'notes']),
+      req.user.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Equipment checked out successfully',
+      custody: record,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Check in (return) equipment
+router.post('/:id/checkin', requirePermission('equipment:write'), async (req, res, next) => {
+  try {
+    const record = await checkinEquipment(
+      req.params.id,
+      pick(req.body, ['condition', 'notes', 'returnedBy']),
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      message: 'Equipment checked in successfully',
+      custody: record,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get custody timeline of an equipment
+// Sans la permission equipment:write, un utilisateur ne voit que ses propres gardes (comme GET /api/custody).
+router.get('/:id/custody', async (req, res, next) => {
+  try {
+    const filter = { equipment: req.params.id };
+
+    const permissions = await getRolePermissions(req.user.role);
+    if (!hasPermission(permissions, 'equipment:write')) {
+      filter.custodian = req.user.id;
+    }
+
+    const history = await CustodyRecord.find(filter)
+      .sort({ createdAt: -1 })
+      .populate('custodian', 'name email department')
+      .populate('checkout.handedOverBy checkout.receivedBy checkin.handedOverBy checkin.receivedBy', 'name email');
+
+    res.json({
+      success: true,
+      count: history.length,
+      history,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
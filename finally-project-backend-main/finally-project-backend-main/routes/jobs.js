@@ -0,0 +1,71 @@
+import express from 'express';
+import JobRun from '../models/JobRun.js';
+import { requirePermission } from '../middlewares/authMiddleware.js';
+import { listJobs, runJobNow, hasJob } from '../services/scheduler.js';
+import { parsePagination, paginationMeta } from '../utils/queryHelpers.js';
+
+const router = express.Router();
+
+router.use(requirePermission('jobs:manage'));
+
+// Get registered jobs with their schedule and last run
+router.get('/', async (req, res, next) => {
+  try {
+    const jobs = await listJobs();
+
+    res.json({
+      success: true,
+      count: jobs.length,
+      jobs,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get run history of a job
+router.get('/:name/runs', async (req, res, next) => {
+  try {
+    if (!hasJob(req.params.name)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    const filter = { job: req.params.name };
+    if (req.query.status) filter.status = req.query.status;
+
+    const pagination = parsePagination(req.query);
+    const [runs, total] = await Promise.all([
+      JobRun.find(filter).sort({ startedAt: -1 }).skip(pagination.skip).limit(pagination.limit),
+      JobRun.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      count: runs.length,
+      pagination: paginationMeta(total, pagination),
+      runs,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Trigger a job manually
+router.post('/:name/run', async (req, res, next) => {
+  try {
+    const run = await runJobNow(req.params.name, req.user.id);
+
+    res.status(run.status === 'failed' ? 500 : 200).json({
+      success: run.status === 'succeeded',
+      message: `Job ${run.status}`,
+      run,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,235 @@
+import express from 'express';
+import Maintenance from '../models/Maintenance.js';
+import Equipment from '../models/Equipment.js';
+import { requirePermission } from '../middlewares/authMiddleware.js';
+import { changeMaintenanceStatus, syncEquipmentMaintenance } from '../services/maintenanceService.js';
+import { continuePlanAfterJob } from '../services/maintenancePlanService.js';
+import { emitWebhookEvent } from '../services/webhookService.js';
+import { parseExportFormat, streamExport, describeRef } from '../services/exportService.js';
+import { parsePagination, parseSort, pick, paginationMeta } from '../utils/queryHelpers.js';
+
+const router = express.Router();
+
+// Le statut n'est pas modifiable ici : il passe par /:id/status pour contrôler les transitions
+export const EDITABLE_FIELDS = [
+  'maintenanceType',
+  'description',
+  'scheduledDate',
+  'priority',
+  'assignedTo',
+  'cost',
+  'notes',
+];
+
+export const SORTABLE_FIELDS = ['scheduledDate', 'completedDate', 'priority', 'status', 'createdAt', 'updatedAt'];
+
+const buildMaintenanceFilter = (query) => {
+  const filter = {};
+
+  if (query.equipment) filter.equipment = query.equipment;
+  if (query.status) filter.status = query.status;
+  if (query.priority) filter.priority = query.priority;
+  if (query.maintenanceType) filter.maintenanceType = query.maintenanceType;
+  if (query.assignedTo) filter.assignedTo = query.assignedTo;
+
+  // Plage de dates planifiées (?from=2025-01-01&to=2025-03-31)
+  if (query.from || query.to) {
+    filter.scheduledDate = {};
+    if (query.from) filter.scheduledDate.$gte = new Date(query.from);
+    if (query.to) filter.scheduledDate.$lte = new Date(query.to);
+  }
+
+  return filter;
+};
+
+const notFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'Maintenance not found',
+  });
+
+// Get all maintenance jobs
+router.get('/', async (req, res, next) => {
+  try {
+    const filter = buildMaintenanceFilter(req.query);
+    const sort = parseSort(req.query.sort, SORTABLE_FIELDS, { scheduledDate: 1 });
+    const pagination = parsePagination(req.query);
+
+    const [maintenance, total] = await Promise.all([
+      Maintenance.find(filter)
+        .sort(sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .populate('equipment', 'name type serialNumber status')
+        .populate('assignedTo', 'name email'),
+      Maintenance.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      count: maintenance.length,
+      pagination: paginationMeta(total, pagination),
+      maintenance,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Export maintenance jobs as CSV or XLSX (?format=xlsx, mêmes filtres et tri que la liste)
+router.get('/export', async (req, res, next) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    const filter = buildMaintenanceFilter(req.query);
+    const sort = parseSort(req.query.sort, SORTABLE_FIELDS, { scheduledDate: 1 });
+
+    const columns = [
+      { header: 'Equipment', value: (job) => describeRef(job.equipment, 'serialNumber'), width: 32 },
+      { header: 'Equipment type', value: (job) => job.equipment?.type },
+      { header: 'Maintenance type', value: (job) => job.maintenanceType },
+      { header: 'Description', value: (job) => job.description, width: 40 },
+      { header: 'Status', value: (job) => job.status },
+      { header: 'Priority', value: (job) => job.priority },
+      { header: 'Scheduled date', value: (job) => job.scheduledDate },
+      { header: 'Completed date', value: (job) => job.completedDate },
+      { header: 'Assigned to', value: (job) => describeRef(job.assignedTo, 'email'), width: 32 },
+      { header: 'Cost', value: (job) => job.cost },
+      { header: 'Plan', value: (job) => describeRef(job.plan) },
+      { header: 'Notes', value: (job) => job.notes, width: 40 },
+      { header: 'Created at', value: (job) => job.createdAt },
+    ];
+
+    const cursor = Maintenance.find(filter)
+      .sort(sort)
+      .populate('equipment', 'name type serialNumber')
+      .populate('assignedTo', 'name email')
+      .populate('plan', 'name')
+      .cursor();
+
+    await streamExport(res, { format, filename: 'maintenance', sheetName: 'Maintenance', columns, cursor });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get maintenance job by id
+router.get('/:id', async (req, res, next) => {
+  try {
+    const maintenance = await Maintenance.findById(req.params.id)
+      .populate('equipment', 'name type serialNumber status')
+      .populate('assignedTo', 'name email');
+
+    if (!maintenance) return notFound(res);
+
+    res.json({
+      success: true,
+      maintenance,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Schedule a maintenance job
+router.post('/', requirePermission('maintenance:write'), async (req, res, next) => {
+  try {
+    const equipment = await Equipment.findById(req.body.equipment);
+    if (!equipment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Equipment not found',
+      });
+    }
+
+    const maintenance = new Maintenance({
+      ...pick(req.body, EDITABLE_FIELDS),
+      equipment: equipment._id,
+      status: 'scheduled',
+    });
+    await maintenance.save();
+
+    // Garder la prochaine maintenance de l'équipement à jour
+    await syncEquipmentMaintenance(equipment._id);
+    await emitWebhookEvent('maintenance.created', maintenance);
+
+    res.status(201).json({
+      success: true,
+      message: 'Maintenance scheduled successfully',
+      maintenance,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a maintenance job (hors statut)
+router.put('/:id', requirePermission('maintenance:write'), async (req, res, next) => {
+  try {
+    const maintenance = await Maintenance.findById(req.params.id);
+    if (!maintenance) return notFound(res);
+
+    if (!maintenance.isOpen()) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot edit a ${maintenance.status} maintenance job`,
+      });
+    }
+
+    maintenance.set(pick(req.body, EDITABLE_FIELDS));
+    const rescheduled = maintenance.isModified('scheduledDate');
+    await maintenance.save();
+
+    if (rescheduled) {
+      await syncEquipmentMaintenance(maintenance.equipment);
+    }
+
+    res.json({
+      success: true,
+      message: 'Maintenance updated successfully',
+      maintenance,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change status (scheduled -> in-progress -> completed, ou cancelled)
+router.patch('/:id/status', requirePermission('maintenance:write'), async (req, res, next) => {
+  try {
+    const { status, notes, cost } = req.body;
+    const maintenance = await Maintenance.findById(req.params.id);
+    if (!maintenance) return notFound(res);
+
+    await changeMaintenanceStatus(maintenance, status, { notes, cost });
+    await continuePlanAfterJob(maintenance);
+
+    res.json({
+      success: true,
+      message: `Maintenance marked as ${status}`,
+      maintenance,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Cancel a maintenance job (les jobs ne sont jamais supprimés pour garder l'historique)
+router.post('/:id/cancel', requirePermission('maintenance:write'), async (req, res, next) => {
+  try {
+    const maintenance = await Maintenance.findById(req.params.id);
+    if (!maintenance) return notFound(res);
+
+    await changeMaintenanceStatus(maintenance, 'cancelled', { notes: req.body?.notes });
+    await continuePlanAfterJob(maintenance);
+
+    res.json({
+      success: true,
+      message: 'Maintenance cancelled successfully',
+      maintenance,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,149 @@
+import express from 'express';
+import MaintenancePlan from '../models/MaintenancePlan.js';
+import Maintenance from '../models/Maintenance.js';
+import { requirePermission } from '../middlewares/authMiddleware.js';
+import {
+  generateJobsForPlan,
+  generateUpcomingMaintenance,
+  deactivatePlan,
+} from '../services/maintenancePlanService.js';
+import { pick } from '../utils/queryHelpers.js';
+
+const router = express.Router();
+
+export const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'equipment',
+  'category',
+  'interval',
+  'maintenanceType',
+  'priority',
+  'assignedTo',
+  'startDate',
+];
+
+const notFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'Maintenance plan not found',
+  });
+
+// Get all maintenance plans
+router.get('/', async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.equipment) filter.equipment = req.query.equipment;
+    if (req.query.category) filter.category = req.query.category;
+    if (req.query.active === 'true') filter.active = true;
+    if (req.query.active === 'false') filter.active = false;
+
+    const plans = await MaintenancePlan.find(filter)
+      .sort({ name: 1 })
+      .populate('equipment', 'name serialNumber')
+      .populate('category', 'name');
+
+    res.json({
+      success: true,
+      count: plans.length,
+      plans,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Generate missing upcoming jobs for every active plan
+router.post('/generate', requirePermission('maintenance:write'), async (req, res, next) => {
+  try {
+    const created = await generateUpcomingMaintenance();
+
+    res.json({
+      success: true,
+      message: `${created} maintenance jobs generated`,
+      created,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get plan by id (avec ses occurrences à venir)
+router.get('/:id', async (req, res, next) => {
+  try {
+    const plan = await MaintenancePlan.findById(req.params.id)
+      .populate('equipment', 'name serialNumber')
+      .populate('category', 'name');
+    if (!plan) return notFound(res);
+
+    const upcoming = await Maintenance.find({ plan: plan._id, status: { $in: ['scheduled', 'in-progress'] } })
+      .sort({ scheduledDate: 1 })
+      .populate('equipment', 'name serialNumber');
+
+    res.json({
+      success: true,
+      plan,
+      upcoming,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a plan and schedule its first occurrences
+router.post('/', requirePermission('maintenance:write'), async (req, res, next) => {
+  try {
+    const plan = new MaintenancePlan(pick(req.body, EDITABLE_FIELDS));
+    await plan.save();
+
+    const created = await generateJobsForPlan(plan);
+
+    res.status(201).json({
+      success: true,
+      message: 'Maintenance plan created successfully',
+      plan,
+      generated: created,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a plan (s'applique aux prochaines occurrences générées)
+router.put('/:id', requirePermission('maintenance:write'), async (req, res, next) => {
+  try {
+    const plan = await MaintenancePlan.findById(req.params.id);
+    if (!plan) return notFound(res);
+
+    plan.set(pick(req.body, EDITABLE_FIELDS));
+    await plan.save();
+
+    res.json({
+      success: true,
+      message: 'Maintenance plan updated successfully',
+      plan,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Deactivate a plan (les occurrences non commencées sont annulées)
+router.delete('/:id', requirePermission('maintenance:write'), async (req, res, next) => {
+  try {
+    const plan = await MaintenancePlan.findById(req.params.id);
+    if (!plan) return notFound(res);
+
+    const cancelled = await deactivatePlan(plan);
+
+    res.json({
+      success: true,
+      message: 'Maintenance plan deactivated successfully',
+      cancelled,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
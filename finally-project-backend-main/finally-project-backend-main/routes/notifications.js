@@ -0,0 +1,233 @@
+import express from 'express';
+import Notification from '../models/Notification.js';
+import { requirePermission } from '../middlewares/authMiddleware.js';
+import User from '../models/User.js';
+import { openNotificationStream, notifyUnreadChanged } from '../services/notificationStreamService.js';
+import { NOTIFICATION_TYPES, NOTIFICATION_PRIORITIES, DELIVERY_CHANNELS } from '../config/notifications.js';
+import { parsePagination, pick, paginationMeta } from '../utils/queryHelpers.js';
+
+const router = express.Router();
+
+const parseReadFilter = (value) => {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return undefined;
+};
+
+const buildNotificationFilter = (userId, query) => {
+  const filter = Notification.visibleTo(userId, { read: parseReadFilter(query.read) });
+
+  if (query.type) filter.type = query.type;
+  if (query.priority) filter.priority = query.priority;
+
+  return filter;
+};
+
+// Retrouver une notification visible par l'utilisateur courant
+const findVisibleNotification = (id, userId) =>
+  Notification.findOne({ _id: id, ...Notification.visibleTo(userId) });
+
+const notFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'Notification not found',
+  });
+
+// Get current user's notifications (inclut les notifications système)
+router.get('/', async (req, res, next) => {
+  try {
+    const filter = buildNotificationFilter(req.user.id, req.query);
+    const pagination = parsePagination(req.query);
+
+    const [notifications, total] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Notification.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      count: notifications.length,
+      pagination: paginationMeta(total, pagination),
+      notifications: notifications.map((notification) => notification.toUserJSON(req.user.id)),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stream new notifications and unread count changes (Server-Sent Events).
+// Reprise après coupure via l'en-tête Last-Event-ID (ou ?lastEventId=).
+router.get('/stream', async (req, res, next) => {
+  try {
+    await openNotificationStream(req, res, req.get('Last-Event-ID') || req.query.lastEventId);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get current user's delivery preferences
+router.get('/preferences', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      timezone: user.timezone,
+      preferences: user.notificationPreferences,
+      options: {
+        types: NOTIFICATION_TYPES,
+        priorities: NOTIFICATION_PRIORITIES,
+        channels: DELIVERY_CHANNELS,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update current user's delivery preferences
+// { rules: [{ type, minPriority, channel }], quietHours: { start: "22:00", end: "07:00" }, digestHour, weeklyDigestDay }
+router.put('/preferences', async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found',
+      });
+    }
+
+    const updates = pick(req.body, ['rules', 'quietHours', 'digestHour', 'weeklyDigestDay']);
+    Object.entries(updates).forEach(([field, value]) => {
+      user.set(`notificationPreferences.${field}`, value);
+    });
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      preferences: user.notificationPreferences,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get unread count
+router.get('/unread-count', async (req, res, next) => {
+  try {
+    const count = await Notification.countDocuments(
+      Notification.visibleTo(req.user.id, { read: false })
+    );
+
+    res.json({
+      success: true,
+      count,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark all notifications as read
+router.patch('/read-all', async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const [own, system] = await Promise.all([
+      Notification.updateMany({ user: userId, read: false }, { read: true }),
+      Notification.updateMany(
+        { user: null, dismissedBy: { $ne: userId }, readBy: { $ne: userId } },
+        { $addToSet: { readBy: userId } }
+      ),
+    ]);
+
+    await notifyUnreadChanged(userId);
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      updated: own.modifiedCount + system.modifiedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a notification (user null = notification système pour tout le monde)
+router.post('/', requirePermission('notifications:write'), async (req, res, next) => {
+  try {
+    const notification = new Notification(
+      pick(req.body, ['title', 'message', 'type', 'priority', 'user', 'relatedId', 'relatedModel'])
+    );
+    await notification.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Notification created successfully',
+      notification,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark one notification as read
+router.patch('/:id/read', async (req, res, next) => {
+  try {
+    const notification = await findVisibleNotification(req.params.id, req.user.id);
+    if (!notification) return notFound(res);
+
+    if (notification.user) {
+      notification.read = true;
+    } else {
+      notification.readBy.addToSet(req.user.id);
+    }
+    await notification.save();
+    await notifyUnreadChanged(req.user.id);
+
+    res.json({
+      success: true,
+      notification: notification.toUserJSON(req.user.id),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a notification.
+// Une notification système n'est supprimée que par un admin ; pour les autres elle est juste masquée.
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const notification = await findVisibleNotification(req.params.id, req.user.id);
+    if (!notification) return notFound(res);
+
+    if (notification.user || req.user.role === 'admin') {
+      await notification.deleteOne();
+      // Supprimer une notification système change le compteur de tous les utilisateurs
+      await notifyUnreadChanged(notification.user);
+    } else {
+      notification.dismissedBy.addToSet(req.user.id);
+      await notification.save();
+      await notifyUnreadChanged(req.user.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,115 @@
+import express from 'express';
+import Category from '../models/Category.js';
+import { requirePermission } from '../middlewares/authMiddleware.js';
+import { buildCostFilter, maintenanceCostReport, tcoReport } from '../services/reportService.js';
+import { parseExportFormat, streamExport } from '../services/exportService.js';
+
+const router = express.Router();
+
+router.use(requirePermission('reports:read'));
+
+const MAX_LIMIT = 1000;
+
+const buildTcoFilter = async (query) => {
+  const filter = {};
+
+  if (query.category) {
+    filter.category = { $in: await Category.descendantIds(query.category) };
+  }
+  if (query.type) filter.type = query.type;
+  if (query.status) filter.status = query.status;
+  if (query.model) filter.model = query.model;
+
+  return filter;
+};
+
+// Get maintenance costs grouped by equipment, category, maintenanceType, technician or month
+// (?groupBy=month&from=2025-01-01&to=2025-12-31, ?format=csv|xlsx pour un export)
+router.get('/maintenance-costs', async (req, res, next) => {
+  try {
+    const groupBy = req.query.groupBy || 'equipment';
+    const format = req.query.format && parseExportFormat(req.query.format);
+    const filter = await buildCostFilter(req.query);
+    const rows = await maintenanceCostReport(filter, groupBy);
+
+    if (format) {
+      const columns = [
+        { header: groupBy, value: (row) => row.label, width: 36 },
+        { header: 'Jobs', value: (row) => row.jobs },
+        { header: 'Total cost', value: (row) => row.totalCost },
+        { header: 'Average cost', value: (row) => row.averageCost },
+      ];
+      return await streamExport(res, {
+        format,
+        filename: `maintenance-costs-by-${groupBy}`,
+        sheetName: 'Maintenance costs',
+        columns,
+        cursor: rows,
+      });
+    }
+
+    res.json({
+      success: true,
+      groupBy,
+      count: rows.length,
+      totalCost: Math.round(rows.reduce((sum, row) => sum + row.totalCost, 0) * 100) / 100,
+      rows,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get total cost of ownership per asset or per model (?groupBy=model, ?format=csv|xlsx pour un export)
+router.get('/tco', async (req, res, next) => {
+  try {
+    const groupBy = req.query.groupBy || 'equipment';
+    const format = req.query.format && parseExportFormat(req.query.format);
+    const filter = await buildTcoFilter(req.query);
+    const limit = format ? undefined : Math.min(parseInt(req.query.limit, 10) || 100, MAX_LIMIT);
+    const rows = await tcoReport(filter, { groupBy, limit });
+
+    if (format) {
+      const columns =
+        groupBy === 'model'
+          ? [
+              { header: 'Model', value: (row) => row.model, width: 30 },
+              { header: 'Type', value: (row) => row.type },
+              { header: 'Assets', value: (row) => row.assets },
+              { header: 'Purchase cost', value: (row) => row.purchaseCost },
+              { header: 'Maintenance jobs', value: (row) => row.maintenanceJobs },
+              { header: 'Maintenance cost', value: (row) => row.maintenanceCost },
+              { header: 'TCO', value: (row) => row.tco },
+              { header: 'Average TCO', value: (row) => row.averageTco },
+            ]
+          : [
+              { header: 'Name', value: (row) => row.name, width: 28 },
+              { header: 'Serial number', value: (row) => row.serialNumber, width: 22 },
+              { header: 'Model', value: (row) => row.model, width: 24 },
+              { header: 'Type', value: (row) => row.type },
+              { header: 'Purchase cost', value: (row) => row.purchaseCost },
+              { header: 'Maintenance jobs', value: (row) => row.maintenanceJobs },
+              { header: 'Maintenance cost', value: (row) => row.maintenanceCost },
+              { header: 'TCO', value: (row) => row.tco },
+            ];
+      return await streamExport(res, {
+        format,
+        filename: `tco-by-${groupBy}`,
+        sheetName: 'TCO',
+        columns,
+        cursor: rows,
+      });
+    }
+
+    res.json({
+      success: true,
+      groupBy,
+      count: rows.length,
+      rows,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,124 @@
+import express from 'express';
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { requirePermission } from '../middlewares/authMiddleware.js';
+import { invalidateRoleCache } from '../services/permissionService.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { pick } from '../utils/queryHelpers.js';
+
+const router = express.Router();
+
+const notFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'Role not found',
+  });
+
+// Get all roles
+router.get('/', async (req, res, next) => {
+  try {
+    const roles = await Role.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: roles.length,
+      roles,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the permission catalogue (pour construire les formulaires de rôles)
+router.get('/permissions', (req, res) => {
+  res.json({
+    success: true,
+    permissions: PERMISSIONS,
+  });
+});
+
+// Get role by id
+router.get('/:id', async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) return notFound(res);
+
+    res.json({
+      success: true,
+      role,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a custom role
+router.post('/', requirePermission('roles:manage'), async (req, res, next) => {
+  try {
+    const role = new Role(pick(req.body, ['name', 'description', 'permissions']));
+    await role.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      role,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update role (le nom est figé car il est référencé par User.role)
+router.put('/:id', requirePermission('roles:manage'), async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) return notFound(res);
+
+    role.set(pick(req.body, ['description', 'permissions']));
+    await role.save();
+    invalidateRoleCache(role.name);
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      role,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete role (ni rôle système, ni rôle encore attribué)
+router.delete('/:id', requirePermission('roles:manage'), async (req, res, next) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) return notFound(res);
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'System roles cannot be deleted',
+      });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is still assigned to ${userCount} users`,
+      });
+    }
+
+    await role.deleteOne();
+    invalidateRoleCache(role.name);
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,36 @@
+import express from 'express';
+import { globalSearch, SEARCH_TYPES } from '../services/searchService.js';
+
+const router = express.Router();
+
+const MAX_LIMIT = 50;
+
+// Global search (?q=dell latitude&types=equipment,maintenance&limit=10)
+router.get('/', async (req, res, next) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    if (query.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query must be at least 2 characters',
+      });
+    }
+
+    const types = req.query.types
+      ? String(req.query.types).split(',').map((type) => type.trim()).filter((type) => SEARCH_TYPES.includes(type))
+      : SEARCH_TYPES;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), MAX_LIMIT);
+
+    const results = await globalSearch(query, { role: req.user.role, types, limit });
+
+    res.json({
+      success: true,
+      query,
+      results,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,252 @@
+import express from 'express';
+import User from '../models/User.js';
+import { authorize, requirePermission } from '../middlewares/authMiddleware.js';
+import { unlockAccount } from '../services/loginProtectionService.js';
+import { revokeAllUserTokens } from '../services/tokenService.js';
+import { sendVerificationEmail } from '../services/emailVerificationService.js';
+import { emitWebhookEvent } from '../services/webhookService.js';
+import { parseExportFormat, streamExport } from '../services/exportService.js';
+import { parsePagination, parseSort, pick, paginationMeta, escapeRegex } from '../utils/queryHelpers.js';
+
+const router = express.Router();
+
+// Champs de profil modifiables depuis l'annuaire (rôle, mot de passe et statut ont leurs propres routes).
+// L'e-mail reçoit les liens de réinitialisation du mot de passe : seul un admin peut le changer.
+export const EDITABLE_FIELDS = ['name', 'department', 'position', 'phoneNumber', 'timezone', 'language'];
+
+export const SORTABLE_FIELDS = ['name', 'email', 'role', 'department', 'lastLogin', 'createdAt'];
+
+const buildUserFilter = (query) => {
+  const filter = {};
+
+  if (query.role) filter.role = query.role;
+  if (query.department) filter.department = query.department;
+  if (query.isActive === 'true') filter.isActive = true;
+  if (query.isActive === 'false') filter.isActive = false;
+
+  // Recherche libre sur le nom, l'e-mail et le département
+  if (query.search) {
+    const pattern = new RegExp(escapeRegex(query.search.trim()), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }, { department: pattern }];
+  }
+
+  return filter;
+};
+
+const notFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: 'User not found',
+  });
+
+const forbidden = (res, message) =>
+  res.status(403).json({
+    success: false,
+    message,
+  });
+
+// Un admin ne peut pas se désactiver ou se retirer ses propres droits
+const isSelf = (req) => String(req.user.id) === String(req.params.id);
+
+// Get all users (recherche, filtres, pagination)
+router.get('/', requirePermission('users:read'), async (req, res, next) => {
+  try {
+    const filter = buildUserFilter(req.query);
+    const sort = parseSort(req.query.sort, SORTABLE_FIELDS, { name: 1 });
+    const pagination = parsePagination(req.query);
+
+    const [users, total] = await Promise.all([
+      User.find(filter).sort(sort).skip(pagination.skip).limit(pagination.limit),
+      User.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      count: users.length,
+      pagination: paginationMeta(total, pagination),
+      users,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Export users as CSV or XLSX (?format=xlsx, mêmes filtres et tri que la liste)
+router.get('/export', requirePermission('users:read'), async (req, res, next) => {
+  try {
+    const format = parseExportFormat(req.query.format);
+    const filter = buildUserFilter(req.query);
+    const sort = parseSort(req.query.sort, SORTABLE_FIELDS, { name: 1 });
+
+    const columns = [
+      { header: 'Name', value: (user) => user.name, width: 28 },
+      { header: 'Email', value: (user) => user.email, width: 32 },
+      { header: 'Role', value: (user) => user.role },
+      { header: 'Department', value: (user) => user.department },
+      { header: 'Position', value: (user) => user.position },
+      { header: 'Phone number', value: (user) => user.phoneNumber },
+      { header: 'Active', value: (user) => user.isActive },
+      { header: 'Email verified', value: (user) => user.emailVerified },
+      { header: 'Last login', value: (user) => user.lastLogin },
+      { header: 'Created at', value: (user) => user.createdAt },
+    ];
+
+    const cursor = User.find(filter).sort(sort).cursor();
+
+    await streamExport(res, { format, filename: 'users', sheetName: 'Users', columns, cursor });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get user by id
+router.get('/:id', requirePermission('users:read'), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return notFound(res);
+
+    res.json({
+      success: true,
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update user profile
+router.put('/:id', requirePermission('users:write'), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return notFound(res);
+
+    const isAdmin = req.user.role === 'admin';
+    if (user.role === 'admin' && !isAdmin) {
+      return forbidden(res, 'Only an admin can edit an admin account');
+    }
+
+    const email = req.body.email === undefined ? undefined : String(req.body.email).toLowerCase().trim();
+    const emailChanged = email !== undefined && email !== user.email;
+    if (emailChanged && !isAdmin) {
+      return forbidden(res, 'Only an admin can change an email address');
+    }
+
+    user.set(pick(req.body, EDITABLE_FIELDS));
+    if (emailChanged) {
+      // La nouvelle adresse doit être vérifiée et les sessions ouvertes ne valent plus
+      user.email = email;
+      user.emailVerified = false;
+    }
+    await user.save();
+
+    if (emailChanged) {
+      await revokeAllUserTokens(user._id, 'email-change');
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Verification email error:', error);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change user role (admin only)
+router.patch('/:id/role', authorize('admin'), async (req, res, next) => {
+  try {
+    const { role } = req.body;
+    if (isSelf(req) && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own admin role',
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) return notFound(res);
+
+    user.role = role;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Deactivate user (pas de suppression physique, l'historique reste lié au compte)
+router.patch('/:id/deactivate', authorize('admin'), async (req, res, next) => {
+  try {
+    if (isSelf(req)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account',
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) return notFound(res);
+
+    user.isActive = false;
+    await user.save();
+    await emitWebhookEvent('user.deactivated', user);
+
+    res.json({
+      success: true,
+      message: 'User deactivated successfully',
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reactivate user
+router.patch('/:id/activate', authorize('admin'), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return notFound(res);
+
+    user.isActive = true;
+    await user.save();
+    await emitWebhookEvent('user.activated', user);
+
+    res.json({
+      success: true,
+      message: 'User activated successfully',
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Unlock an account locked after too many failed logins
+router.post('/:id/unlock', authorize('admin'), async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) return notFound(res);
+
+    await unlockAccount(user.email);
+
+    res.json({
+      success: true,
+      message: 'User account unlocked successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
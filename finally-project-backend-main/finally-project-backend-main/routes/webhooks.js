@@ -0,0 +1,229 @@
+import express from 'express';
+import WebhookEndpoint from '../models/WebhookEndpoint.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { requirePermission } from '../middlewares/authMiddleware.js';
+import { WEBHOOK_EVENTS } from '../config/webhooks.js';
+import { generateWebhookSecret, redeliver, pingEndpoint, checkWebhookUrl } from '../services/webhookService.js';
+import { parsePagination, pick, paginationMeta } from '../utils/queryHelpers.js';
+import { validationError } from '../utils/httpError.js';
+
+const router = express.Router();
+
+router.use(requirePermission('webhooks:manage'));
+
+export const EDITABLE_FIELDS = ['name', 'url', 'description', 'events', 'active'];
+
+const notFound = (res, entity = 'Webhook') =>
+  res.status(404).json({
+    success: false,
+    message: `${entity} not found`,
+  });
+
+// Refuser les URL visant le réseau interne (même format que la validation des requêtes)
+const assertWebhookUrl = async (url) => {
+  if (url === undefined) return;
+
+  const reason = await checkWebhookUrl(url);
+  if (reason) throw validationError([{ location: 'body', field: 'url', message: reason }]);
+};
+
+// Get the events a webhook can subscribe to
+router.get('/events', (req, res) => {
+  res.json({
+    success: true,
+    events: WEBHOOK_EVENTS,
+  });
+});
+
+// Get a delivery with its attempts
+router.get('/deliveries/:deliveryId', async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId).populate('endpoint', 'name url');
+    if (!delivery) return notFound(res, 'Delivery');
+
+    res.json({
+      success: true,
+      delivery,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Redeliver an event (nouvelle livraison, envoyée immédiatement)
+router.post('/deliveries/:deliveryId/redeliver', async (req, res, next) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+    if (!delivery) return notFound(res, 'Delivery');
+
+    const copy = await redeliver(delivery, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: copy.status === 'succeeded' ? 'Event redelivered successfully' : 'Redelivery failed, it will be retried',
+      delivery: copy,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get all webhooks
+router.get('/', async (req, res, next) => {
+  try {
+    const webhooks = await WebhookEndpoint.find().sort({ createdAt: -1 }).populate('createdBy', 'name email');
+
+    res.json({
+      success: true,
+      count: webhooks.length,
+      webhooks,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get webhook by id
+router.get('/:id', async (req, res, next) => {
+  try {
+    const webhook = await WebhookEndpoint.findById(req.params.id).populate('createdBy', 'name email');
+    if (!webhook) return notFound(res);
+
+    res.json({
+      success: true,
+      webhook,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Register a webhook (le secret de signature n'est renvoyé qu'ici et à la rotation)
+router.post('/', async (req, res, next) => {
+  try {
+    await assertWebhookUrl(req.body.url);
+
+    const secret = generateWebhookSecret();
+    const webhook = new WebhookEndpoint({
+      ...pick(req.body, EDITABLE_FIELDS),
+      secret,
+      createdBy: req.user.id,
+    });
+    await webhook.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      webhook,
+      secret,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update webhook
+router.put('/:id', async (req, res, next) => {
+  try {
+    const webhook = await WebhookEndpoint.findById(req.params.id);
+    if (!webhook) return notFound(res);
+
+    await assertWebhookUrl(req.body.url);
+
+    webhook.set(pick(req.body, EDITABLE_FIELDS));
+    await webhook.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      webhook,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Rotate the signing secret
+router.post('/:id/rotate-secret', async (req, res, next) => {
+  try {
+    const webhook = await WebhookEndpoint.findById(req.params.id);
+    if (!webhook) return notFound(res);
+
+    const secret = generateWebhookSecret();
+    webhook.secret = secret;
+    await webhook.save();
+
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated successfully',
+      secret,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a test "ping" event
+router.post('/:id/ping', async (req, res, next) => {
+  try {
+    const webhook = await WebhookEndpoint.findById(req.params.id);
+    if (!webhook) return notFound(res);
+
+    const delivery = await pingEndpoint(webhook, req.user.id);
+
+    res.json({
+      success: delivery.status === 'succeeded',
+      delivery,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the delivery log of a webhook (?status=failed&event=equipment.created)
+router.get('/:id/deliveries', async (req, res, next) => {
+  try {
+    const filter = { endpoint: req.params.id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.event) filter.event = req.query.event;
+
+    const pagination = parsePagination(req.query);
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(pagination.skip)
+        .limit(pagination.limit)
+        .select('-payload.data'),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      pagination: paginationMeta(total, pagination),
+      deliveries,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete webhook (son journal de livraisons est supprimé avec lui)
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const webhook = await WebhookEndpoint.findByIdAndDelete(req.params.id);
+    if (!webhook) return notFound(res);
+
+    await WebhookDelivery.deleteMany({ endpoint: webhook._id });
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,8 +1,10 @@
+// Load environment variables (avant les autres imports qui lisent process.env)
+import 'dotenv/config';
 import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
-import dotenv from 'dotenv';
 import morgan from 'morgan';
+import swaggerUi from 'swagger-ui-express';
 
 // Routes
 import authRoutes from './routes/auth.js';
@@ -10,13 +12,31 @@ import equipmentRoutes from './routes/equipment.js';
 import userRoutes from './routes/users.js';
 import maintenanceRoutes from './routes/maintenance.js';
 import notificationRoutes from './routes/notifications.js';
+import categoryRoutes from './routes/categories.js';
+import roleRoutes from './routes/roles.js';
+import auditRoutes from './routes/audit.js';
+import custodyRoutes from './routes/custody.js';
+import maintenancePlanRoutes from './routes/maintenancePlans.js';
+import jobRoutes from './routes/jobs.js';
+import searchRoutes from './routes/search.js';
+import depreciationRoutes from './routes/depreciation.js';
+import reportRoutes from './routes/reports.js';
+import webhookRoutes from './routes/webhooks.js';
+
+// Services
+import { seedDefaultRoles } from './services/permissionService.js';
+import { startScheduler } from './services/scheduler.js';
+import { registerDefaultJobs } from './jobs/index.js';
+import { startNotificationDelivery } from './services/notificationDeliveryService.js';
 
 // Middleware
-import { authMiddleware } from './middleware/auth.js';
-import { errorHandler } from './middleware/errorHandler.js';
+import { authMiddleware, requireVerifiedEmail } from './middlewares/authMiddleware.js';
+import { errorHandler } from './middlewares/errorHandlers.js';
+import { validateRequest } from './middlewares/validateRequest.js';
+import { requestContextMiddleware } from './utils/requestContext.js';
 
-// Load environment variables
-dotenv.config();
+// OpenAPI
+import { openApiDocument } from './openapi/index.js';
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -24,13 +44,24 @@ const PORT = process.env.PORT || 5000;
 // Middleware
 app.use(express.json());
 app.use(cors());
+// Jeton d'accès des flux SSE (?access_token=) masqué dans les logs de requêtes
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]access_token=)[^&]*/gi, '$1[REDACTED]'));
 app.use(morgan('dev'));
+app.use(requestContextMiddleware);
 
 // Database connection
 mongoose
   .connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/it-asset-management')
-  .then(() => {
+  .then(async () => {
     console.log('Connected to MongoDB');
+    await seedDefaultRoles();
+    startNotificationDelivery();
+    
+    // Tâches planifiées (désactivables par instance avec SCHEDULER_ENABLED=false)
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      registerDefaultJobs();
+      startScheduler();
+    }
   })
   .catch((err) => {
     console.error('MongoDB connection error:', err);
@@ -38,11 +69,27 @@ mongoose
   });
 
 // Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/equipment', authMiddleware, equipmentRoutes);
-app.use('/api/users', authMiddleware, userRoutes);
-app.use('/api/maintenance', authMiddleware, maintenanceRoutes);
-app.use('/api/notifications', authMiddleware, notificationRoutes);
+app.use('/api/auth', validateRequest, authRoutes);
+app.use('/api/equipment', authMiddleware, requireVerifiedEmail, validateRequest, equipmentRoutes);
+app.use('/api/users', authMiddleware, requireVerifiedEmail, validateRequest, userRoutes);
+app.use('/api/maintenance', authMiddleware, requireVerifiedEmail, validateRequest, maintenanceRoutes);
+app.use('/api/notifications', authMiddleware, requireVerifiedEmail, validateRequest, notificationRoutes);
+app.use('/api/categories', authMiddleware, requireVerifiedEmail, validateRequest, categoryRoutes);
+app.use('/api/roles', authMiddleware, requireVerifiedEmail, validateRequest, roleRoutes);
+app.use('/api/audit-logs', authMiddleware, requireVerifiedEmail, validateRequest, auditRoutes);
+app.use('/api/custody', authMiddleware, requireVerifiedEmail, validateRequest, custodyRoutes);
+app.use('/api/maintenance-plans', authMiddleware, requireVerifiedEmail, validateRequest, maintenancePlanRoutes);
+app.use('/api/jobs', authMiddleware, requireVerifiedEmail, validateRequest, jobRoutes);
+app.use('/api/search', authMiddleware, requireVerifiedEmail, validateRequest, searchRoutes);
+app.use('/api/depreciation', authMiddleware, requireVerifiedEmail, validateRequest, depreciationRoutes);
+app.use('/api/reports', authMiddleware, requireVerifiedEmail, validateRequest, reportRoutes);
+app.use('/api/webhooks', authMiddleware, requireVerifiedEmail, validateRequest, webhookRoutes);
+
+// API documentation (spécification OpenAPI et page interactive)
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openApiDocument));
 
 // Base route
 app.get('/api', (req, res) => {
@@ -0,0 +1,54 @@
+import Category from '../models/Category.js';
+import Equipment from '../models/Equipment.js';
+import { httpError } from '../utils/httpError.js';
+
+// Déplacer une catégorie (et tout son sous-arbre) sous un nouveau parent, ou à la racine si null
+export const moveCategory = async (category, newParentId) => {
+  const categoryId = String(category._id);
+
+  if (newParentId) {
+    if (String(newParentId) === categoryId) {
+      throw httpError(400, 'A category cannot be its own parent');
+    }
+
+    const newParent = await Category.findById(newParentId);
+    if (!newParent) {
+      throw httpError(400, 'Parent category not found');
+    }
+
+    // Interdire les cycles : le nouveau parent ne peut pas être un descendant
+    if (newParent.ancestors.some((id) => String(id) === categoryId)) {
+      throw httpError(400, 'A category cannot be moved under one of its own subcategories');
+    }
+  }
+
+  category.parent = newParentId || null;
+  await category.save();
+
+  // Réécrire le chemin de tous les descendants à partir du nouveau chemin de la catégorie.
+  // Un save() par document pour que chaque réécriture passe par le journal d'audit.
+  const descendants = await Category.find({ ancestors: category._id });
+  for (const descendant of descendants) {
+    const index = descendant.ancestors.findIndex((id) => String(id) === categoryId);
+    descendant.ancestors = [...category.ancestors, ...descendant.ancestors.slice(index)];
+    await descendant.save();
+  }
+
+  return category;
+};
+
+// Refuser la suppression d'une catégorie qui contient encore des sous-catégories ou des équipements
+export const assertCategoryDeletable = async (category) => {
+  const [childCount, equipmentCount] = await Promise.all([
+    Category.countDocuments({ parent: category._id }),
+    Equipment.countDocuments({ category: category._id }),
+  ]);
+
+  if (childCount > 0) {
+    throw httpError(409, `Category still contains ${childCount} subcategories`);
+  }
+
+  if (equipmentCount > 0) {
+    throw httpError(409, `Category still contains ${equipmentCount} equipment items`);
+  }
+};
@@ -0,0 +1,107 @@
+import CustodyRecord from '../models/CustodyRecord.js';
+import Equipment from '../models/Equipment.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { httpError } from '../utils/httpError.js';
+import { emitWebhookEvent } from './webhookService.js';
+
+// Remettre un équipement à un utilisateur
+export const checkoutEquipment = async (equipmentId, { custodian, expectedReturnDate, condition, notes }, actorId) => {
+  const equipment = await Equipment.findById(equipmentId);
+  if (!equipment) {
+    throw httpError(404, 'Equipment not found');
+  }
+
+  if (equipment.status !== 'operational') {
+    throw httpError(400, `Equipment cannot be checked out while ${equipment.status}`);
+  }
+
+  const active = await CustodyRecord.findOne({ equipment: equipment._id, status: 'active' });
+  if (active) {
+    throw httpError(409, 'Equipment is already checked out');
+  }
+
+  const user = await User.findById(custodian);
+  if (!user || !user.isActive) {
+    throw httpError(400, 'Custodian must be an active user');
+  }
+
+  const record = new CustodyRecord({
+    equipment: equipment._id,
+    custodian: user._id,
+    expectedReturnDate,
+    checkout: {
+      handedOverBy: actorId,
+      receivedBy: user._id,
+      condition,
+      notes,
+    },
+  });
+  await record.save();
+
+  equipment.assignedTo = user._id;
+  await equipment.save();
+
+  await emitWebhookEvent('equipment.assigned', {
+    equipment,
+    custodian: { _id: user._id, name: user.name, email: user.email },
+    custody: record,
+  });
+
+  return record;
+};
+
+// Récupérer un équipement ; par défaut c'est le détenteur qui le rend
+export const checkinEquipment = async (equipmentId, { condition, notes, returnedBy }, actorId) => {
+  const record = await CustodyRecord.findOne({ equipment: equipmentId, status: 'active' });
+  if (!record) {
+    throw httpError(400, 'Equipment is not checked out');
+  }
+
+  record.status = 'returned';
+  record.checkin = {
+    handedOverBy: returnedBy || record.custodian,
+    receivedBy: actorId,
+    condition,
+    notes,
+  };
+  await record.save();
+
+  const equipment = await Equipment.findById(equipmentId);
+  if (equipment) {
+    equipment.assignedTo = undefined;
+    await equipment.save();
+  }
+
+  await emitWebhookEvent('equipment.returned', { equipment, custody: record });
+
+  return record;
+};
+
+// Prévenir les détenteurs dont la date de retour est dépassée (une seule fois par garde)
+export const notifyOverdueReturns = async () => {
+  const overdue = await CustodyRecord.find({
+    status: 'active',
+    expectedReturnDate: { $lt: new Date() },
+    overdueNotifiedAt: null,
+  }).populate('equipment', 'name serialNumber');
+
+  for (const record of overdue) {
+    const equipmentName = record.equipment ? record.equipment.name : 'Equipment';
+
+    await Notification.create({
+      title: 'Equipment return overdue',
+      message: `${equipmentName} was due back on ${record.expectedReturnDate.toISOString().slice(0, 10)}. Please return it or contact support.`,
+      type: 'equipment',
+      priority: 'high',
+      user: record.custodian,
+      relatedId: record.equipment?._id,
+      relatedModel: 'Equipment',
+    });
+
+    record.overdueNotifiedAt = new Date();
+    await record.save();
+  }
+
+  return overdue.length;
+};
@@ -0,0 +1,230 @@
+import Category from '../models/Category.js';
+import {
+  DEFAULT_DEPRECIATION_METHOD,
+  DEFAULT_DECLINING_RATE,
+  FISCAL_YEAR_START_MONTH,
+} from '../config/finance.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Exercice comptable d'une date (année de clôture de l'exercice)
+export const fiscalYearOf = (date) => {
+  const year = date.getUTCFullYear();
+  if (FISCAL_YEAR_START_MONTH === 1) return year;
+  return date.getUTCMonth() + 1 >= FISCAL_YEAR_START_MONTH ? year + 1 : year;
+};
+
+// Catégories indexées par identifiant, pour résoudre l'héritage sans requête par équipement
+export const loadCategoryIndex = async () => {
+  const categories = await Category.find().select('name ancestors depreciation').lean();
+  return new Map(categories.map((category) => [String(category._id), category]));
+};
+
+/**
+ * Paramètres d'amortissement effectifs d'un équipement : ses propres valeurs, sinon celles
+ * de sa catégorie, puis des catégories parentes (la plus proche l'emporte).
+ * @returns {object|null} null si l'équipement n'est pas amortissable (coût, date ou durée manquants)
+ */
+export const resolveDepreciationSettings = (equipment, categoryIndex) => {
+  const own = equipment.depreciation || {};
+  const category = equipment.category && categoryIndex.get(String(equipment.category._id || equipment.category));
+  const chain = category
+    ? [category, ...[...category.ancestors].reverse().map((id) => categoryIndex.get(String(id))).filter(Boolean)]
+    : [];
+
+  const isSet = (value) => value !== undefined && value !== null;
+
+  const inherited = (field) => {
+    const source = chain.find((item) => isSet(item.depreciation?.[field]));
+    return source ? { value: source.depreciation[field], from: source.name } : null;
+  };
+
+  const pickSetting = (field, fallback) => {
+    if (isSet(own[field])) return { value: own[field], from: 'equipment' };
+    return inherited(field) || { value: fallback, from: 'default' };
+  };
+
+  const usefulLife = pickSetting('usefulLifeYears', null);
+  if (!equipment.purchaseCost || !equipment.purchaseDate || !usefulLife.value) {
+    return null;
+  }
+
+  const method = pickSetting('method', DEFAULT_DEPRECIATION_METHOD);
+  const decliningRate = pickSetting('decliningRate', DEFAULT_DECLINING_RATE);
+
+  // Valeur résiduelle : montant de l'équipement, sinon pourcentage de la catégorie
+  let salvage = { value: 0, from: 'default' };
+  if (isSet(own.salvageValue)) {
+    salvage = { value: own.salvageValue, from: 'equipment' };
+  } else {
+    const percent = inherited('salvagePercent');
+    if (percent) salvage = { value: round2((equipment.purchaseCost * percent.value) / 100), from: percent.from };
+  }
+
+  return {
+    cost: equipment.purchaseCost,
+    startDate: equipment.purchaseDate,
+    method: method.value,
+    usefulLifeYears: usefulLife.value,
+    salvageValue: Math.min(salvage.value, equipment.purchaseCost),
+    decliningRate: decliningRate.value,
+    // Origine de chaque paramètre ("equipment", nom de catégorie ou "default")
+    sources: {
+      method: method.from,
+      usefulLifeYears: usefulLife.from,
+      salvageValue: salvage.from,
+      decliningRate: decliningRate.from,
+    },
+  };
+};
+
+/**
+ * Dotations mensuelles, du mois d'acquisition (mois complet) à la fin de la durée d'utilisation.
+ * Le dégressif bascule sur le linéaire dès que celui-ci donne une dotation supérieure,
+ * pour atteindre exactement la valeur résiduelle en fin de vie.
+ * @returns {Array<{date: Date, depreciation: number, bookValue: number}>}
+ */
+export const monthlyDepreciation = ({ cost, salvageValue, usefulLifeYears, method, decliningRate, startDate }) => {
+  const totalMonths = Math.max(Math.round(usefulLifeYears * 12), 1);
+  const monthlyRate = decliningRate / usefulLifeYears / 12;
+  const start = new Date(startDate);
+  const months = [];
+  let bookValue = cost;
+
+  for (let index = 0; index < totalMonths; index += 1) {
+    const remainingMonths = totalMonths - index;
+    const straightLine = (bookValue - salvageValue) / remainingMonths;
+    const amount =
+      method === 'declining-balance'
+        ? Math.min(Math.max(bookValue * monthlyRate, straightLine), bookValue - salvageValue)
+        : straightLine;
+
+    bookValue -= amount;
+    months.push({
+      date: new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + index, 1)),
+      depreciation: amount,
+      bookValue,
+    });
+
+    // Le dégressif peut atteindre la valeur résiduelle avant la fin de vie
+    if (bookValue - salvageValue < 0.005) break;
+  }
+
+  return months;
+};
+
+// Tableau d'amortissement par exercice comptable
+export const depreciationSchedule = (settings) => {
+  const years = new Map();
+  let openingValue = settings.cost;
+
+  for (const month of monthlyDepreciation(settings)) {
+    const fiscalYear = fiscalYearOf(month.date);
+    if (!years.has(fiscalYear)) {
+      years.set(fiscalYear, { fiscalYear, openingValue, depreciation: 0, closingValue: openingValue });
+    }
+    const year = years.get(fiscalYear);
+    year.depreciation += month.depreciation;
+    year.closingValue = month.bookValue;
+    openingValue = month.bookValue;
+  }
+
+  return [...years.values()].map((year) => ({
+    fiscalYear: year.fiscalYear,
+    openingValue: round2(year.openingValue),
+    depreciation: round2(year.depreciation),
+    closingValue: round2(year.closingValue),
+  }));
+};
+
+// Valeur nette comptable à une date (dotations des mois commencés incluses)
+export const bookValueAt = (settings, date = new Date()) => {
+  let bookValue = settings.cost;
+  for (const month of monthlyDepreciation(settings)) {
+    if (month.date > date) break;
+    bookValue = month.bookValue;
+  }
+
+  return {
+    bookValue: round2(bookValue),
+    accumulatedDepreciation: round2(settings.cost - bookValue),
+    fullyDepreciated: bookValue <= settings.salvageValue + 0.005,
+  };
+};
+
+// Situation d'un équipement : paramètres, valeur actuelle et tableau
+export const describeDepreciation = (equipment, categoryIndex, date = new Date()) => {
+  const settings = resolveDepreciationSettings(equipment, categoryIndex);
+  if (!settings) return null;
+
+  return {
+    ...settings,
+    ...bookValueAt(settings, date),
+    schedule: depreciationSchedule(settings),
+  };
+};
+
+/**
+ * Rapport d'amortissement par catégorie et exercice.
+ * @param {AsyncIterable|Array} equipmentList - équipements (curseur accepté)
+ * @param {object} [options]
+ * @param {number} [options.fiscalYear] - limiter à un exercice
+ * @returns {Promise<{rows: Array, totals: Array, skipped: number}>}
+ */
+export const buildDepreciationReport = async (equipmentList, { fiscalYear } = {}) => {
+  const categoryIndex = await loadCategoryIndex();
+  const rows = new Map();
+  let skipped = 0;
+
+  for await (const equipment of equipmentList) {
+    const settings = resolveDepreciationSettings(equipment, categoryIndex);
+    if (!settings) {
+      skipped += 1;
+      continue;
+    }
+
+    const categoryId = equipment.category ? String(equipment.category) : null;
+    for (const year of depreciationSchedule(settings)) {
+      if (fiscalYear && year.fiscalYear !== fiscalYear) continue;
+
+      const key = `${categoryId}:${year.fiscalYear}`;
+      if (!rows.has(key)) {
+        rows.set(key, {
+          category: categoryId ? { _id: categoryId, name: categoryIndex.get(categoryId)?.name } : null,
+          fiscalYear: year.fiscalYear,
+          assets: 0,
+          openingValue: 0,
+          depreciation: 0,
+          closingValue: 0,
+        });
+      }
+      const row = rows.get(key);
+      row.assets += 1;
+      row.openingValue += year.openingValue;
+      row.depreciation += year.depreciation;
+      row.closingValue += year.closingValue;
+    }
+  }
+
+  const sorted = [...rows.values()]
+    .map((row) => ({
+      ...row,
+      openingValue: round2(row.openingValue),
+      depreciation: round2(row.depreciation),
+      closingValue: round2(row.closingValue),
+    }))
+    .sort(
+      (a, b) => a.fiscalYear - b.fiscalYear || (a.category?.name || '').localeCompare(b.category?.name || '')
+    );
+
+  // Totaux par exercice, toutes catégories confondues
+  const totals = new Map();
+  for (const row of sorted) {
+    const total = totals.get(row.fiscalYear) || { fiscalYear: row.fiscalYear, assets: 0, depreciation: 0 };
+    total.assets += row.assets;
+    total.depreciation = round2(total.depreciation + row.depreciation);
+    totals.set(row.fiscalYear, total);
+  }
+
+  return { rows: sorted, totals: [...totals.values()], skipped };
+};
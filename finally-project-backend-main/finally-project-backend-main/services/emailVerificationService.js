@@ -0,0 +1,74 @@
+import User from '../models/User.js';
+import UserToken from '../models/UserToken.js';
+import { createUserToken, consumeUserToken } from './userTokenService.js';
+import { sendMail } from './mail/index.js';
+import { httpError } from '../utils/httpError.js';
+
+const VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS, 10) || 24;
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS, 10) || 120;
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+
+const POLICIES = ['none', 'read-only', 'block'];
+
+// Politique appliquée aux comptes non vérifiés :
+// none = aucun blocage, read-only = lecture seule, block = connexion refusée
+export const getVerificationPolicy = () => {
+  const policy = process.env.EMAIL_VERIFICATION_POLICY || 'none';
+  return POLICIES.includes(policy) ? policy : 'none';
+};
+
+// Envoyer le lien de vérification
+export const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(user._id, 'email-verification', VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  const link = `${CLIENT_URL}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hello ${user.name},`,
+      '',
+      'Please confirm your email address by opening the link below:',
+      link,
+      '',
+      `This link expires in ${VERIFICATION_TTL_HOURS} hours.`,
+    ].join('\n'),
+  });
+};
+
+// Valider l'adresse à partir du jeton reçu
+export const verifyEmail = async (token) => {
+  const stored = await consumeUserToken(token, 'email-verification');
+
+  const user = await User.findById(stored.user);
+  if (!user) {
+    throw httpError(400, 'Invalid or expired token');
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    await user.save();
+  }
+
+  return user;
+};
+
+// Renvoyer le lien, au plus un envoi par délai minimal pour un même compte.
+// Ne révèle pas si l'adresse est inscrite ou déjà vérifiée : pendant le délai, ou si l'envoi échoue,
+// la demande est ignorée sans erreur pour que la réponse reste identique.
+export const resendVerificationEmail = async (email) => {
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+  if (!user || !user.isActive || user.emailVerified) return;
+
+  const lastToken = await UserToken.findOne({ user: user._id, type: 'email-verification' }).sort({
+    createdAt: -1,
+  });
+
+  if (lastToken && Date.now() - lastToken.createdAt.getTime() < RESEND_COOLDOWN_SECONDS * 1000) return;
+
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error('Verification email error:', error);
+  }
+};
@@ -0,0 +1,310 @@
+import mongoose from 'mongoose';
+import { parse } from 'csv-parse/sync';
+import Equipment from '../models/Equipment.js';
+import Category from '../models/Category.js';
+import CustodyRecord from '../models/CustodyRecord.js';
+import User from '../models/User.js';
+import { httpError } from '../utils/httpError.js';
+import { emitWebhookEvent } from './webhookService.js';
+
+// Champs d'Equipment qu'une colonne CSV peut alimenter
+export const IMPORTABLE_FIELDS = [
+  'name',
+  'type',
+  'category',
+  'model',
+  'serialNumber',
+  'assetTag',
+  'purchaseDate',
+  'purchaseCost',
+  'warrantyExpiryDate',
+  'status',
+  'assignedTo',
+  'location',
+  'notes',
+];
+
+const SPEC_PREFIXES = ['specifications.', 'spec:'];
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// Nom de la caractéristique si la cible est une colonne "specifications.xxx" ou "spec:xxx"
+const specificationKey = (target) => {
+  const prefix = SPEC_PREFIXES.find((value) => target.startsWith(value));
+  return prefix ? target.slice(prefix.length).trim() : null;
+};
+
+/**
+ * Associer chaque en-tête du CSV à un champ d'Equipment.
+ * Sans mapping explicite, un en-tête est repris s'il porte le nom d'un champ (casse ignorée)
+ * ou s'il commence par "specifications." / "spec:".
+ * @param {string[]} headers
+ * @param {object} [mapping] - { "En-tête CSV": "champ" | "specifications.cle" }
+ * @returns {Map<string, string>} en-tête -> cible
+ */
+export const resolveColumnMapping = (headers, mapping) => {
+  const columns = new Map();
+
+  if (mapping && Object.keys(mapping).length > 0) {
+    for (const [header, target] of Object.entries(mapping)) {
+      if (!headers.includes(header)) {
+        throw httpError(400, `Mapped column not found in CSV: ${header}`);
+      }
+      if (!IMPORTABLE_FIELDS.includes(target) && !specificationKey(target)) {
+        throw httpError(400, `Cannot map column ${header} to unknown field ${target}`);
+      }
+      columns.set(header, target);
+    }
+    return columns;
+  }
+
+  for (const header of headers) {
+    const field = IMPORTABLE_FIELDS.find((name) => name.toLowerCase() === header.trim().toLowerCase());
+    if (field) {
+      columns.set(header, field);
+    } else if (specificationKey(header)) {
+      columns.set(header, header);
+    }
+  }
+
+  return columns;
+};
+
+// Transformer une ligne CSV en données Equipment brutes (références non résolues)
+const mapRow = (row, columns) => {
+  const data = {};
+  const specifications = {};
+
+  for (const [header, target] of columns) {
+    const value = (row[header] ?? '').trim();
+    if (value === '') continue;
+
+    const key = specificationKey(target);
+    if (key) {
+      specifications[key] = value;
+    } else {
+      data[target] = value;
+    }
+  }
+
+  if (Object.keys(specifications).length > 0) {
+    data.specifications = specifications;
+  }
+
+  return data;
+};
+
+// Précharger en une requête chacune des références utilisées dans le fichier
+const loadReferences = async (rows) => {
+  const emails = [...new Set(rows.map((row) => row.assignedTo?.toLowerCase()).filter(Boolean))];
+  const categoryNames = [...new Set(rows.map((row) => row.category).filter(Boolean))];
+  const serialNumbers = [...new Set(rows.map((row) => row.serialNumber).filter(Boolean))];
+
+  const [users, categories, existing] = await Promise.all([
+    User.find({ email: { $in: emails } }, 'email isActive'),
+    Category.find({ name: { $in: categoryNames } }, 'name'),
+    Equipment.find({ serialNumber: { $in: serialNumbers } }, 'serialNumber'),
+  ]);
+
+  const categoriesByName = new Map();
+  for (const category of categories) {
+    categoriesByName.set(category.name, [...(categoriesByName.get(category.name) || []), category]);
+  }
+
+  return {
+    usersByEmail: new Map(users.map((user) => [user.email, user])),
+    categoriesByName,
+    existingSerials: new Set(existing.map((item) => item.serialNumber)),
+  };
+};
+
+// Remplacer email et nom de catégorie par leurs identifiants ; retourne les erreurs de la ligne
+const resolveReferences = (data, { usersByEmail, categoriesByName }) => {
+  const errors = [];
+
+  if (data.assignedTo) {
+    const user = usersByEmail.get(data.assignedTo.toLowerCase());
+    if (!user) {
+      errors.push({ field: 'assignedTo', message: `No user with email ${data.assignedTo}` });
+    } else if (!user.isActive) {
+      errors.push({ field: 'assignedTo', message: `User ${data.assignedTo} is deactivated` });
+    } else {
+      data.assignedTo = user._id;
+    }
+  }
+
+  // Une catégorie peut être donnée par son identifiant ou par son nom
+  if (data.category && !OBJECT_ID_PATTERN.test(data.category)) {
+    const matches = categoriesByName.get(data.category) || [];
+    if (matches.length === 0) {
+      errors.push({ field: 'category', message: `Unknown category ${data.category}` });
+    } else if (matches.length > 1) {
+      errors.push({ field: 'category', message: `Category name ${data.category} is ambiguous` });
+    } else {
+      data.category = matches[0]._id;
+    }
+  }
+
+  return errors;
+};
+
+const validationErrors = (error) =>
+  Object.values(error.errors).map((item) => ({
+    field: item.path,
+    message: item.kind === 'enum' || item.name === 'CastError' ? `Invalid ${item.path}: ${item.value}` : item.message,
+  }));
+
+// Transactions : replica set ou cluster shardé uniquement, pas sur un MongoDB autonome
+let transactionsSupported = null;
+const supportsTransactions = async () => {
+  if (transactionsSupported === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+  }
+  return transactionsSupported;
+};
+
+// Créer les équipements et les gardes du matériel assigné ; `custodies` reçoit les gardes créées
+const writeRows = async (report, actorId, session = null, custodies = []) => {
+  // Une transaction peut être rejouée après une erreur transitoire
+  custodies.length = 0;
+
+  for (const { equipment } of report) {
+    await equipment.save({ session });
+
+    // Le matériel assigné à l'import ouvre une garde, comme un checkout
+    if (equipment.assignedTo) {
+      const [custody] = await CustodyRecord.create(
+        [
+          {
+            equipment: equipment._id,
+            custodian: equipment.assignedTo,
+            checkout: {
+              handedOverBy: actorId,
+              receivedBy: equipment.assignedTo,
+              condition: 'good',
+              notes: 'Imported from CSV',
+            },
+          },
+        ],
+        { session }
+      );
+      custodies.push(custody);
+    }
+  }
+
+  return custodies;
+};
+
+// Sans transaction : écriture ligne par ligne, puis suppression de ce qui a été créé si une ligne échoue
+const writeRowsWithRollback = async (report, actorId) => {
+  const custodies = [];
+  try {
+    return await writeRows(report, actorId, null, custodies);
+  } catch (error) {
+    const saved = report.filter(({ equipment }) => !equipment.isNew).map(({ equipment }) => equipment._id);
+    try {
+      await CustodyRecord.deleteMany({ _id: { $in: custodies.map((custody) => custody._id) } });
+      await Equipment.deleteMany({ _id: { $in: saved } });
+    } catch (rollbackError) {
+      console.error('Equipment import rollback error:', rollbackError);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Importer des équipements depuis un CSV.
+ * Toutes les lignes sont validées avant l'écriture : s'il y a la moindre erreur, rien n'est créé.
+ * L'écriture se fait dans une transaction quand MongoDB le permet (replica set), sinon les lignes déjà
+ * créées sont supprimées : un échec en cours de route annule tout l'import. Les webhooks ne partent
+ * qu'une fois l'écriture terminée.
+ * En mode dryRun, seul le rapport de validation est retourné.
+ * @param {string} csv
+ * @param {object} options
+ * @param {object} [options.mapping] - voir resolveColumnMapping
+ * @param {boolean} [options.dryRun]
+ * @param {string} [options.delimiter]
+ * @param {string} actorId - utilisateur qui importe (remise du matériel assigné)
+ */
+export const importEquipmentCsv = async (csv, { mapping, dryRun = false, delimiter = ',' } = {}, actorId) => {
+  if (!csv || !csv.trim()) {
+    throw httpError(400, 'CSV content is required');
+  }
+
+  let records;
+  try {
+    records = parse(csv, { columns: true, skip_empty_lines: true, bom: true, delimiter, trim: false });
+  } catch (error) {
+    throw httpError(400, `Invalid CSV: ${error.message}`);
+  }
+
+  if (records.length === 0) {
+    throw httpError(400, 'CSV contains no data rows');
+  }
+
+  const columns = resolveColumnMapping(Object.keys(records[0]), mapping);
+  if (!columns.size) {
+    throw httpError(400, 'No CSV column matches an equipment field');
+  }
+
+  const rows = records.map((record) => mapRow(record, columns));
+  const references = await loadReferences(rows);
+  const seenSerials = new Map();
+  const report = [];
+
+  for (const [index, data] of rows.entries()) {
+    // Numéro de ligne dans le fichier (l'en-tête est la ligne 1)
+    const line = index + 2;
+    const errors = resolveReferences(data, references);
+
+    if (data.serialNumber) {
+      if (references.existingSerials.has(data.serialNumber)) {
+        errors.push({ field: 'serialNumber', message: `Serial number ${data.serialNumber} already exists` });
+      } else if (seenSerials.has(data.serialNumber)) {
+        errors.push({
+          field: 'serialNumber',
+          message: `Serial number ${data.serialNumber} is duplicated on line ${seenSerials.get(data.serialNumber)}`,
+        });
+      } else {
+        seenSerials.set(data.serialNumber, line);
+      }
+    }
+
+    const equipment = new Equipment(data);
+    const validation = equipment.validateSync();
+    if (validation) {
+      const reported = new Set(errors.map((item) => item.field));
+      errors.push(...validationErrors(validation).filter((item) => !reported.has(item.field)));
+    }
+
+    report.push({ line, equipment, errors });
+  }
+
+  const invalid = report.filter((row) => row.errors.length > 0);
+  const summary = {
+    total: report.length,
+    valid: report.length - invalid.length,
+    invalid: invalid.length,
+    errors: invalid.map(({ line, errors }) => ({ line, errors })),
+  };
+
+  if (dryRun || invalid.length > 0) {
+    return { dryRun, created: 0, ...summary };
+  }
+
+  const custodies = (await supportsTransactions())
+    ? await mongoose.connection.transaction((session) => writeRows(report, actorId, session))
+    : await writeRowsWithRollback(report, actorId);
+
+  const custodyByEquipment = new Map(custodies.map((custody) => [String(custody.equipment), custody]));
+  for (const { equipment } of report) {
+    await emitWebhookEvent('equipment.created', equipment);
+
+    const custody = custodyByEquipment.get(String(equipment._id));
+    if (custody) {
+      await emitWebhookEvent('equipment.assigned', { equipment, custody });
+    }
+  }
+
+  return { dryRun, created: report.length, ...summary };
+};
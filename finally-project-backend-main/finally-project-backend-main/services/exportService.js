@@ -0,0 +1,118 @@
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { stringify } from 'csv-stringify';
+import ExcelJS from 'exceljs';
+import { httpError } from '../utils/httpError.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Format demandé (?format=csv|xlsx, csv par défaut)
+export const parseExportFormat = (format = 'csv') => {
+  const value = String(format).toLowerCase();
+  if (!EXPORT_FORMATS.includes(value)) {
+    throw httpError(400, `Unsupported export format: ${format}. Use one of ${EXPORT_FORMATS.join(', ')}`);
+  }
+  return value;
+};
+
+// Libellé lisible d'une référence peuplée : "Nom (email)" pour un utilisateur, "Nom (S/N)" pour un équipement
+export const describeRef = (ref, detail) => {
+  if (!ref) return '';
+  if (!ref.name) return String(ref);
+  return ref[detail] ? `${ref.name} (${ref[detail]})` : ref.name;
+};
+
+// Clés de caractéristiques présentes dans les documents filtrés, une colonne chacune
+// (le filtre est casté par Mongoose, l'agrégation ne le fait pas)
+export const distinctMapKeys = async (Model, filter, field) => {
+  const keys = await Model.aggregate([
+    { $match: Model.find(filter).cast() },
+    { $project: { entries: { $objectToArray: { $ifNull: [`$${field}`, {}] } } } },
+    { $unwind: '$entries' },
+    { $group: { _id: '$entries.k' } },
+    { $sort: { _id: 1 } },
+  ]);
+  return keys.map((entry) => entry._id);
+};
+
+// Un texte commençant par =, +, -, @, tabulation ou retour chariot serait évalué comme formule
+// par un tableur : préfixé d'une apostrophe dans le CSV (le XLSX stocke les textes comme tels)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+export const escapeFormula = (value) => (FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+const toCell = (value) => {
+  if (value === undefined || value === null) return '';
+  return value;
+};
+
+// Les lignes sont produites au fil du curseur, sans charger tout le résultat en mémoire
+async function* readRows(cursor, columns) {
+  for await (const doc of cursor) {
+    yield columns.map((column) => toCell(column.value(doc)));
+  }
+}
+
+const streamCsv = (res, rows, columns) =>
+  pipeline(
+    Readable.from(rows),
+    stringify({
+      header: true,
+      columns: columns.map((column) => column.header),
+      cast: {
+        date: (value) => value.toISOString(),
+        boolean: (value) => (value ? 'true' : 'false'),
+        string: escapeFormula,
+      },
+    }),
+    res
+  );
+
+const streamXlsx = async (res, rows, columns, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName);
+
+  sheet.columns = columns.map((column) => ({ header: column.header, width: column.width || 18 }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for await (const values of rows) {
+    const row = sheet.addRow(values);
+    row.eachCell((cell) => {
+      if (cell.value instanceof Date) cell.numFmt = 'yyyy-mm-dd hh:mm';
+    });
+    row.commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * Envoyer un export en streaming.
+ * @param {import('express').Response} res
+ * @param {object} options
+ * @param {string} options.format - csv | xlsx
+ * @param {string} options.filename - nom du fichier, sans extension
+ * @param {Array<{header: string, value: Function, width?: number}>} options.columns
+ * @param {AsyncIterable} options.cursor - curseur Mongoose (les références doivent être peuplées)
+ * @param {string} [options.sheetName]
+ */
+export const streamExport = async (res, { format, filename, columns, cursor, sheetName = 'Export' }) => {
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}-${date}.${format}"`);
+
+  const rows = readRows(cursor, columns);
+
+  if (format === 'xlsx') {
+    await streamXlsx(res, rows, columns, sheetName);
+  } else {
+    await streamCsv(res, rows, columns);
+  }
+};
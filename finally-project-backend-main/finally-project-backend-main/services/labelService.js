@@ -0,0 +1,127 @@
+import { setImmediate as nextTick } from 'timers/promises';
+import PDFDocument from 'pdfkit';
+import QRCode from 'qrcode';
+import Equipment from '../models/Equipment.js';
+import { LABEL_LAYOUTS, DEFAULT_LABEL_LAYOUT } from '../config/labelLayouts.js';
+import { httpError } from '../utils/httpError.js';
+
+// Base des URL encodées dans les QR codes (page de l'équipement dans le frontend)
+const ASSET_URL_BASE = process.env.ASSET_URL_BASE || process.env.CLIENT_URL || 'http://localhost:5173';
+const LABEL_PADDING = 4;
+
+export const QR_ENCODINGS = ['url', 'id'];
+
+export const getLabelLayout = (name = DEFAULT_LABEL_LAYOUT) => {
+  const layout = LABEL_LAYOUTS[name];
+  if (!layout) {
+    throw httpError(400, `Unknown label layout: ${name}. Use one of ${Object.keys(LABEL_LAYOUTS).join(', ')}`);
+  }
+  return layout;
+};
+
+const assertEncoding = (encode) => {
+  if (!QR_ENCODINGS.includes(encode)) {
+    throw httpError(400, `Unknown QR encoding: ${encode}. Use one of ${QR_ENCODINGS.join(', ')}`);
+  }
+};
+
+// Contenu du QR code : URL de la fiche de l'équipement, ou son identifiant seul
+export const qrContentFor = (equipment, encode = 'url') => {
+  assertEncoding(encode);
+  const id = String(equipment._id);
+  return encode === 'id' ? id : `${ASSET_URL_BASE}/equipment/${id}`;
+};
+
+// QR code seul, en SVG ou PNG (généré localement, sans service externe)
+export const renderQrCode = (text, format = 'svg') => {
+  if (format === 'png') {
+    return QRCode.toBuffer(text, { errorCorrectionLevel: 'M', margin: 2, width: 300 });
+  }
+  return QRCode.toString(text, { type: 'svg', errorCorrectionLevel: 'M', margin: 2 });
+};
+
+// Dessiner le QR code en vectoriel (net à l'impression), une ligne de modules contigus par rectangle
+const drawQrCode = (doc, text, x, y, size) => {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const cell = size / modules.size;
+
+  for (let row = 0; row < modules.size; row += 1) {
+    let col = 0;
+    while (col < modules.size) {
+      if (!modules.get(row, col)) {
+        col += 1;
+        continue;
+      }
+      const start = col;
+      while (col < modules.size && modules.get(row, col)) col += 1;
+      doc.rect(x + start * cell, y + row * cell, (col - start) * cell, cell);
+    }
+  }
+
+  doc.fill('black');
+};
+
+const drawLabel = (doc, equipment, x, y, layout, encode) => {
+  const qrSize = layout.labelHeight - LABEL_PADDING * 2;
+  drawQrCode(doc, qrContentFor(equipment, encode), x + LABEL_PADDING, y + LABEL_PADDING, qrSize);
+
+  const textX = x + qrSize + LABEL_PADDING * 3;
+  const textWidth = layout.labelWidth - (textX - x) - LABEL_PADDING;
+  const fontSize = Math.min(Math.max(layout.labelHeight / 9, 5), 14);
+  const options = { width: textWidth, lineBreak: false, ellipsis: true };
+
+  doc.font('Helvetica-Bold').fontSize(fontSize).text(equipment.name, textX, y + LABEL_PADDING * 2, options);
+  doc.font('Helvetica').fontSize(fontSize * 0.85);
+  doc.text(`S/N: ${equipment.serialNumber || '-'}`, textX, doc.y + fontSize * 0.3, options);
+  const assetTag = equipment.assetTag || Equipment.defaultAssetTag(equipment._id);
+  doc.font('Helvetica-Bold').text(assetTag, textX, doc.y + fontSize * 0.3, options);
+};
+
+/**
+ * Générer une planche d'étiquettes PDF et l'envoyer en streaming.
+ * Le dessin rend la main à la boucle d'événements à chaque page : une grande planche ne bloque pas
+ * les autres requêtes, et s'arrête si le client se déconnecte.
+ * @param {import('express').Response} res
+ * @param {Array} equipmentList
+ * @param {object} options
+ * @param {string} options.filename - nom du fichier, sans extension
+ * @param {string} [options.layout] - clé de LABEL_LAYOUTS
+ * @param {string} [options.encode] - url | id
+ * @param {number} [options.startPosition] - première position libre sur la planche (1 = en haut à gauche),
+ *   pour réutiliser une planche entamée
+ */
+export const streamLabelSheet = async (res, equipmentList, { filename, layout: layoutName, encode = 'url', startPosition = 1 }) => {
+  const layout = getLabelLayout(layoutName);
+  const perPage = layout.columns * layout.rows;
+  const offset = Math.min(Math.max(startPosition, 1), perPage) - 1;
+  // Valider avant de commencer à écrire la réponse
+  assertEncoding(encode);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}.pdf"`);
+
+  const doc = new PDFDocument({ size: layout.pageSize, margin: 0, autoFirstPage: false });
+  doc.pipe(res);
+
+  for (const [index, equipment] of equipmentList.entries()) {
+    const position = (index + offset) % perPage;
+    if (index === 0 || position === 0) {
+      if (index > 0) await nextTick();
+      if (res.destroyed) break;
+      doc.addPage();
+    }
+
+    const column = position % layout.columns;
+    const row = Math.floor(position / layout.columns);
+    drawLabel(
+      doc,
+      equipment,
+      layout.marginLeft + column * layout.horizontalPitch,
+      layout.marginTop + row * layout.verticalPitch,
+      layout,
+      encode
+    );
+  }
+
+  doc.end();
+};
@@ -0,0 +1,125 @@
+import LoginAttempt from '../models/LoginAttempt.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { httpError } from '../utils/httpError.js';
+
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 20;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+// Les échecs plus anciens que cette fenêtre ne comptent plus
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15;
+// Délai progressif : à partir du 3e échec, 1s, 2s, 4s... plafonné
+const DELAY_AFTER_FAILURES = 3;
+const MAX_DELAY_MS = 30 * 1000;
+
+const minutes = (value) => value * 60 * 1000;
+
+const accountKey = (email) => `account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const progressiveDelayMs = (failures) => {
+  if (failures < DELAY_AFTER_FAILURES) return 0;
+  return Math.min(1000 * 2 ** (failures - DELAY_AFTER_FAILURES), MAX_DELAY_MS);
+};
+
+const tooManyAttempts = (statusCode, message, retryAfterMs) => {
+  const error = httpError(statusCode, message);
+  error.retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  return error;
+};
+
+// Vérifier un enregistrement : verrouillage en cours ou délai progressif non écoulé
+const assertAttemptAllowed = (attempt, lockedMessage) => {
+  if (!attempt) return;
+
+  const now = Date.now();
+  if (attempt.isLocked()) {
+    throw tooManyAttempts(423, lockedMessage, attempt.lockedUntil.getTime() - now);
+  }
+
+  if (attempt.lastFailureAt && attempt.lastFailureAt.getTime() > now - minutes(FAILURE_WINDOW_MINUTES)) {
+    const waitUntil = attempt.lastFailureAt.getTime() + progressiveDelayMs(attempt.failures);
+    if (waitUntil > now) {
+      throw tooManyAttempts(429, 'Too many failed login attempts. Please wait before trying again.', waitUntil - now);
+    }
+  }
+};
+
+// À appeler avant de vérifier le mot de passe
+export const checkLoginAllowed = async (email, ip) => {
+  const [account, address] = await Promise.all([
+    LoginAttempt.findOne({ key: accountKey(email) }),
+    LoginAttempt.findOne({ key: ipKey(ip) }),
+  ]);
+
+  assertAttemptAllowed(account, 'Account temporarily locked after too many failed login attempts');
+  assertAttemptAllowed(address, 'Too many failed login attempts from this address');
+};
+
+// Incrémenter le compteur d'une clé et verrouiller si le seuil est atteint.
+// Retourne true si cet échec vient de déclencher le verrouillage.
+const registerFailure = async (key, maxFailures) => {
+  const now = new Date();
+
+  // Repartir de zéro si le dernier échec est sorti de la fenêtre
+  await LoginAttempt.updateOne(
+    { key, lastFailureAt: { $lt: new Date(now.getTime() - minutes(FAILURE_WINDOW_MINUTES)) } },
+    { $set: { failures: 0 } }
+  );
+
+  const update = {
+    $inc: { failures: 1 },
+    $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + minutes(FAILURE_WINDOW_MINUTES)) },
+  };
+  let attempt;
+  try {
+    attempt = await LoginAttempt.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  } catch (error) {
+    // Deux premiers échecs simultanés : l'autre requête vient de créer le document, on l'incrémente
+    if (error.code !== 11000) throw error;
+    attempt = await LoginAttempt.findOneAndUpdate({ key }, update, { new: true });
+  }
+
+  if (attempt.failures < maxFailures) return false;
+
+  const lockedUntil = new Date(now.getTime() + minutes(LOCKOUT_MINUTES));
+  attempt.lockedUntil = lockedUntil;
+  attempt.failures = 0;
+  attempt.expiresAt = new Date(lockedUntil.getTime() + minutes(FAILURE_WINDOW_MINUTES));
+  await attempt.save();
+  return true;
+};
+
+// Prévenir l'utilisateur que son compte vient d'être verrouillé
+const notifyAccountLocked = async (email) => {
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+  if (!user) return;
+
+  await Notification.create({
+    title: 'Account temporarily locked',
+    message: `Your account was locked for ${LOCKOUT_MINUTES} minutes after ${MAX_ACCOUNT_FAILURES} failed login attempts. If this was not you, please change your password.`,
+    type: 'user',
+    priority: 'high',
+    user: user._id,
+    relatedId: user._id,
+    relatedModel: 'User',
+  });
+};
+
+// À appeler après un e-mail inconnu ou un mauvais mot de passe
+export const recordLoginFailure = async (email, ip) => {
+  const [accountLocked] = await Promise.all([
+    registerFailure(accountKey(email), MAX_ACCOUNT_FAILURES),
+    registerFailure(ipKey(ip), MAX_IP_FAILURES),
+  ]);
+
+  if (accountLocked) {
+    await notifyAccountLocked(email);
+  }
+};
+
+// Une connexion réussie efface l'historique du compte (pas celui de l'IP)
+export const recordLoginSuccess = (email) => LoginAttempt.deleteOne({ key: accountKey(email) });
+
+// Déverrouillage manuel par un administrateur
+export const unlockAccount = (email) => LoginAttempt.deleteOne({ key: accountKey(email) });
@@ -0,0 +1,13 @@
+// Driver console : affiche les e-mails dans les logs (développement)
+export const createConsoleTransport = () => ({
+  name: 'console',
+  async send(message) {
+    console.log('--- Mail ---');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('------------');
+    return { delivered: true };
+  },
+});
@@ -0,0 +1,16 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Driver fichier : écrit chaque e-mail en JSON dans un dossier local (tests, développement)
+export const createFileTransport = ({ directory }) => ({
+  name: 'file',
+  async send(message) {
+    await fs.mkdir(directory, { recursive: true });
+
+    const safeRecipient = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+    const file = path.join(directory, `${Date.now()}-${safeRecipient}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+    return { delivered: true, file };
+  },
+});
@@ -0,0 +1,44 @@
+import { createConsoleTransport } from './consoleTransport.js';
+import { createFileTransport } from './fileTransport.js';
+import { createSmtpTransport } from './smtpTransport.js';
+
+// Choix du driver via MAIL_DRIVER : console (défaut), file ou smtp
+const createTransport = () => {
+  const driver = process.env.MAIL_DRIVER || 'console';
+
+  switch (driver) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from: process.env.MAIL_FROM || 'IT Asset Management <no-reply@localhost>',
+      });
+    case 'file':
+      return createFileTransport({ directory: process.env.MAIL_FILE_DIR || 'storage/mail' });
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Unknown MAIL_DRIVER: ${driver}`);
+  }
+};
+
+let transport = null;
+
+// Transport partagé, créé au premier envoi
+export const getMailTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+};
+
+// Remplacer le transport (tests)
+export const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Envoyer un e-mail : { to, subject, text, html }
+export const sendMail = (message) => getMailTransport().send(message);
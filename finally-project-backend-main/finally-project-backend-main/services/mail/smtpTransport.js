@@ -0,0 +1,19 @@
+import nodemailer from 'nodemailer';
+
+// Driver SMTP (production)
+export const createSmtpTransport = ({ host, port, secure, user, pass, from }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail({ from, ...message });
+      return { delivered: true, messageId: info.messageId };
+    },
+  };
+};
@@ -0,0 +1,115 @@
+import MaintenancePlan from '../models/MaintenancePlan.js';
+import Maintenance from '../models/Maintenance.js';
+import Equipment from '../models/Equipment.js';
+import Category from '../models/Category.js';
+import { syncEquipmentMaintenance } from './maintenanceService.js';
+import { addInterval } from '../utils/dateHelpers.js';
+import { emitWebhookEvent } from './webhookService.js';
+
+// Équipements couverts par un plan (les équipements inactifs sont ignorés)
+const findPlanTargets = async (plan) => {
+  if (plan.equipment) {
+    return Equipment.find({ _id: plan.equipment, status: { $ne: 'inactive' } });
+  }
+
+  const categoryIds = await Category.descendantIds(plan.category);
+  return Equipment.find({ category: { $in: categoryIds }, status: { $ne: 'inactive' } });
+};
+
+// Prochaine échéance d'un plan pour un équipement : un intervalle après la dernière
+// occurrence close (date de réalisation, ou date prévue si elle a été annulée),
+// sinon la date de départ du plan.
+const computeNextDueDate = async (plan, equipmentId) => {
+  const lastClosed = await Maintenance.findOne({
+    plan: plan._id,
+    equipment: equipmentId,
+    status: { $in: ['completed', 'cancelled'] },
+  }).sort({ scheduledDate: -1 });
+
+  if (!lastClosed) {
+    return plan.startDate || new Date();
+  }
+
+  const base = lastClosed.status === 'completed' ? lastClosed.completedDate : lastClosed.scheduledDate;
+  return addInterval(base, plan.interval);
+};
+
+// Créer le prochain job d'un plan pour un équipement, sauf s'il en existe déjà un ouvert.
+// Chaque couple plan/équipement a ainsi toujours exactement une occurrence à venir.
+export const scheduleNextPlannedJob = async (plan, equipmentId) => {
+  if (!plan.active) return null;
+
+  const open = await Maintenance.exists({
+    plan: plan._id,
+    equipment: equipmentId,
+    status: { $in: ['scheduled', 'in-progress'] },
+  });
+  if (open) return null;
+
+  const job = await Maintenance.create({
+    equipment: equipmentId,
+    plan: plan._id,
+    maintenanceType: plan.maintenanceType,
+    description: plan.description || plan.name,
+    scheduledDate: await computeNextDueDate(plan, equipmentId),
+    priority: plan.priority,
+    assignedTo: plan.assignedTo,
+    status: 'scheduled',
+  });
+
+  await syncEquipmentMaintenance(equipmentId);
+  await emitWebhookEvent('maintenance.created', job);
+  return job;
+};
+
+// Générer les occurrences manquantes d'un plan (nouveaux équipements de la catégorie, etc.)
+export const generateJobsForPlan = async (plan) => {
+  const targets = await findPlanTargets(plan);
+  let created = 0;
+
+  for (const equipment of targets) {
+    if (await scheduleNextPlannedJob(plan, equipment._id)) {
+      created += 1;
+    }
+  }
+
+  return created;
+};
+
+// Générer les occurrences manquantes de tous les plans actifs
+export const generateUpcomingMaintenance = async () => {
+  const plans = await MaintenancePlan.find({ active: true });
+  let created = 0;
+
+  for (const plan of plans) {
+    created += await generateJobsForPlan(plan);
+  }
+
+  return created;
+};
+
+// Enchaîner l'occurrence suivante quand un job issu d'un plan est terminé ou annulé
+export const continuePlanAfterJob = async (maintenance) => {
+  if (!maintenance.plan || maintenance.isOpen()) return null;
+
+  const plan = await MaintenancePlan.findById(maintenance.plan);
+  if (!plan) return null;
+
+  return scheduleNextPlannedJob(plan, maintenance.equipment);
+};
+
+// Désactiver un plan et annuler ses occurrences pas encore commencées
+export const deactivatePlan = async (plan) => {
+  plan.active = false;
+  await plan.save();
+
+  const pending = await Maintenance.find({ plan: plan._id, status: 'scheduled' });
+  for (const job of pending) {
+    job.status = 'cancelled';
+    await job.save();
+    await syncEquipmentMaintenance(job.equipment);
+    await emitWebhookEvent('maintenance.cancelled', job);
+  }
+
+  return pending.length;
+};
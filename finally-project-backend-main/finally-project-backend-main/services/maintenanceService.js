@@ -0,0 +1,102 @@
+import Maintenance from '../models/Maintenance.js';
+import Equipment from '../models/Equipment.js';
+import Notification from '../models/Notification.js';
+import { findUsersWithPermission } from './permissionService.js';
+import { httpError } from '../utils/httpError.js';
+import { emitWebhookEvent } from './webhookService.js';
+
+// La prochaine maintenance d'un équipement est son plus proche job encore ouvert
+const findNextOpenJob = (equipmentId) =>
+  Maintenance.findOne({
+    equipment: equipmentId,
+    status: { $in: ['scheduled', 'in-progress'] },
+  }).sort({ scheduledDate: 1 });
+
+// Recalculer Equipment.nextMaintenanceDate après création, replanification ou annulation d'un job.
+// Si un job vient de se terminer, on met aussi à jour lastMaintenanceDate et on sort
+// l'équipement du statut maintenance/repair.
+export const syncEquipmentMaintenance = async (equipmentId, completedJob = null) => {
+  const equipment = await Equipment.findById(equipmentId);
+  if (!equipment) return null;
+
+  const nextJob = await findNextOpenJob(equipment._id);
+  equipment.nextMaintenanceDate = nextJob ? nextJob.scheduledDate : undefined;
+
+  if (completedJob) {
+    equipment.lastMaintenanceDate = completedJob.completedDate;
+
+    if (['maintenance', 'repair'].includes(equipment.status)) {
+      equipment.status = 'operational';
+    }
+  }
+
+  await equipment.save();
+  return equipment;
+};
+
+// Appliquer un changement de statut en respectant les transitions autorisées
+export const changeMaintenanceStatus = async (maintenance, nextStatus, extra = {}) => {
+  if (maintenance.status === nextStatus) {
+    throw httpError(400, `Maintenance is already ${nextStatus}`);
+  }
+
+  if (!Maintenance.canTransition(maintenance.status, nextStatus)) {
+    throw httpError(400, `Cannot change maintenance status from ${maintenance.status} to ${nextStatus}`);
+  }
+
+  maintenance.status = nextStatus;
+  if (extra.notes !== undefined) maintenance.notes = extra.notes;
+  if (extra.cost !== undefined) maintenance.cost = extra.cost;
+
+  if (nextStatus === 'completed') {
+    maintenance.completedDate = new Date();
+  }
+
+  await maintenance.save();
+
+  if (nextStatus === 'completed') {
+    await syncEquipmentMaintenance(maintenance.equipment, maintenance);
+    await emitWebhookEvent('maintenance.completed', maintenance);
+  } else if (nextStatus === 'cancelled') {
+    await syncEquipmentMaintenance(maintenance.equipment);
+    await emitWebhookEvent('maintenance.cancelled', maintenance);
+  }
+
+  return maintenance;
+};
+
+// Alerter sur les jobs planifiés dont la date est dépassée : le technicien assigné,
+// ou à défaut les utilisateurs qui gèrent la maintenance
+export const notifyOverdueMaintenance = async () => {
+  const overdue = await Maintenance.find({
+    status: 'scheduled',
+    scheduledDate: { $lt: new Date() },
+    overdueNotifiedAt: null,
+  }).populate('equipment', 'name');
+
+  if (overdue.length === 0) return 0;
+
+  const managers = await findUsersWithPermission('maintenance:write');
+
+  for (const job of overdue) {
+    const recipients = job.assignedTo ? [job.assignedTo] : managers.map((user) => user._id);
+    const equipmentName = job.equipment ? job.equipment.name : 'equipment';
+
+    await Notification.insertMany(
+      recipients.map((userId) => ({
+        title: 'Maintenance overdue',
+        message: `${job.maintenanceType} maintenance on ${equipmentName} was scheduled for ${job.scheduledDate.toISOString().slice(0, 10)} and has not started.`,
+        type: 'maintenance',
+        priority: job.priority === 'critical' ? 'critical' : 'high',
+        user: userId,
+        relatedId: job._id,
+        relatedModel: 'Maintenance',
+      }))
+    );
+
+    job.overdueNotifiedAt = new Date();
+    await job.save();
+  }
+
+  return overdue.length;
+};
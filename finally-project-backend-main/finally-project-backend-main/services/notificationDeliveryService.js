@@ -0,0 +1,249 @@
+import { NOTIFICATION_CHANNEL } from '../models/Notification.js';
+import NotificationDelivery from '../models/NotificationDelivery.js';
+import User from '../models/User.js';
+import { NOTIFICATION_PRIORITIES } from '../config/notifications.js';
+import { subscribe } from './pubsub/index.js';
+import { sendMail } from './mail/index.js';
+import { zonedTimeParts } from '../utils/dateHelpers.js';
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+const MINUTE_MS = 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_EMAIL_MAX_ATTEMPTS, 10) || 5;
+// Délai avant la 2e tentative, doublé à chaque échec (5 min, 10 min, 20 min... plafonné)
+const RETRY_BASE_MS = parseInt(process.env.NOTIFICATION_EMAIL_RETRY_BASE_MS, 10) || 5 * MINUTE_MS;
+const RETRY_MAX_MS = 6 * 60 * MINUTE_MS;
+
+const priorityRank = (priority) => NOTIFICATION_PRIORITIES.indexOf(priority);
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Canal d'une notification pour un utilisateur : règle du même type au seuil le plus élevé atteint
+export const resolveDeliveryChannel = (preferences, notification) => {
+  const rank = priorityRank(notification.priority);
+  const rule = (preferences?.rules || [])
+    .filter((item) => item.type === notification.type && priorityRank(item.minPriority) <= rank)
+    .sort((a, b) => priorityRank(b.minPriority) - priorityRank(a.minPriority))[0];
+
+  return rule ? rule.channel : 'in-app';
+};
+
+/**
+ * Minutes restantes avant la fin des heures calmes de l'utilisateur (0 s'il n'y est pas).
+ * Les plages qui passent minuit (22:00 -> 07:00) sont gérées.
+ */
+export const quietMinutesRemaining = (user, date = new Date()) => {
+  const quietHours = user.notificationPreferences?.quietHours;
+  if (!quietHours?.start || !quietHours?.end) return 0;
+
+  const { hour, minute } = zonedTimeParts(date, user.timezone);
+  const now = hour * 60 + minute;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  const inQuietHours = start <= end ? now >= start && now < end : now >= start || now < end;
+  return inQuietHours ? (end - now + 24 * 60) % (24 * 60) : 0;
+};
+
+const notificationLink = () => `${CLIENT_URL}/notifications`;
+
+const sendInstantEmail = async (user, notification) => {
+  await sendMail({
+    to: user.email,
+    subject: `[${notification.priority}] ${notification.title}`,
+    text: [
+      `Hello ${user.name},`,
+      '',
+      notification.message,
+      '',
+      `See your notifications: ${notificationLink()}`,
+    ].join('\n'),
+  });
+};
+
+const markDelivery = (delivery, status, error) =>
+  NotificationDelivery.updateOne(
+    { _id: delivery._id },
+    { $set: status === 'sent' ? { status, sentAt: new Date() } : { status, error } }
+  );
+
+export const retryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+// Envoi échoué : remis en attente avec un délai croissant, 'failed' seulement après MAX_ATTEMPTS essais
+const recordFailure = async (deliveries, error) => {
+  for (const delivery of deliveries) {
+    const attempts = (delivery.attempts || 0) + 1;
+    const update =
+      attempts >= MAX_ATTEMPTS
+        ? { status: 'failed', attempts, error: error.message }
+        : { status: 'pending', attempts, error: error.message, sendAfter: new Date(Date.now() + retryDelay(attempts)) };
+
+    await NotificationDelivery.updateOne({ _id: delivery._id }, { $set: update });
+  }
+};
+
+/**
+ * Appliquer les préférences des destinataires à une nouvelle notification : rien à faire pour
+ * l'in-app, e-mail immédiat (différé pendant les heures calmes) ou ajout au prochain résumé.
+ * @param {object} notification - notification sérialisée (message pub/sub)
+ */
+export const dispatchNotification = async (notification) => {
+  const recipients = notification.user
+    ? await User.find({ _id: notification.user, isActive: true })
+    : await User.find({ isActive: true, 'notificationPreferences.rules.type': notification.type });
+
+  for (const user of recipients) {
+    const channel = resolveDeliveryChannel(user.notificationPreferences, notification);
+    if (channel === 'in-app') continue;
+
+    const quietMinutes = channel === 'email' ? quietMinutesRemaining(user) : 0;
+
+    let delivery;
+    try {
+      delivery = await NotificationDelivery.create({
+        notification: notification._id,
+        user: user._id,
+        channel,
+        sendAfter: new Date(Date.now() + quietMinutes * MINUTE_MS),
+      });
+    } catch (error) {
+      // Déjà pris en charge (adaptateur pub/sub partagé entre plusieurs instances)
+      if (error.code === 11000) continue;
+      throw error;
+    }
+
+    if (channel === 'email' && quietMinutes === 0) {
+      try {
+        await sendInstantEmail(user, notification);
+        await markDelivery(delivery, 'sent');
+      } catch (error) {
+        console.error('Notification email error:', error);
+        await recordFailure([delivery], error);
+      }
+    }
+  }
+};
+
+// Abonner la diffusion par e-mail aux nouvelles notifications (au démarrage)
+export const startNotificationDelivery = () =>
+  subscribe(NOTIFICATION_CHANNEL, (message) => {
+    if (message.event === 'created') {
+      return dispatchNotification(message.notification);
+    }
+  });
+
+// Une notification déjà lue, masquée ou supprimée n'est plus envoyée
+const isStillUnread = (notification, userId) =>
+  notification && !notification.isReadBy(userId) && !notification.dismissedBy.some((id) => id.equals(userId));
+
+// Envoyer les e-mails immédiats reportés (heures calmes terminées ou nouvelle tentative)
+export const sendPendingEmails = async () => {
+  const due = await NotificationDelivery.find({
+    channel: 'email',
+    status: 'pending',
+    sendAfter: { $lte: new Date() },
+  }).populate('notification user');
+
+  let sent = 0;
+  for (const delivery of due) {
+    if (!delivery.user?.isActive || !isStillUnread(delivery.notification, delivery.user._id)) {
+      await markDelivery(delivery, 'skipped');
+      continue;
+    }
+
+    try {
+      await sendInstantEmail(delivery.user, delivery.notification);
+      await markDelivery(delivery, 'sent');
+      sent += 1;
+    } catch (error) {
+      console.error('Notification email error:', error);
+      await recordFailure([delivery], error);
+    }
+  }
+
+  return sent;
+};
+
+// Le résumé d'un utilisateur part à son heure locale (et le bon jour pour l'hebdomadaire)
+const isDigestTime = (user, channel, date) => {
+  const { hour, weekday } = zonedTimeParts(date, user.timezone);
+  const preferences = user.notificationPreferences;
+
+  if (hour !== preferences.digestHour) return false;
+  return channel === 'daily-digest' || weekday === preferences.weeklyDigestDay;
+};
+
+const sendDigestEmail = async (user, channel, notifications) => {
+  const period = channel === 'daily-digest' ? 'daily' : 'weekly';
+  await sendMail({
+    to: user.email,
+    subject: `Your ${period} notification digest (${notifications.length} unread)`,
+    text: [
+      `Hello ${user.name},`,
+      '',
+      `You have ${notifications.length} unread notifications:`,
+      '',
+      ...notifications.map(
+        (notification) => `- [${notification.priority}] ${notification.title}: ${notification.message}`
+      ),
+      '',
+      `See your notifications: ${notificationLink()}`,
+    ].join('\n'),
+  });
+};
+
+/**
+ * Envoyer les résumés quotidiens et hebdomadaires des utilisateurs dont c'est l'heure.
+ * Prévu pour tourner toutes les heures ; un résumé regroupe les notifications en attente encore non lues.
+ * Un résumé dont l'envoi a échoué repart à la fin de son délai de relance, sans attendre le prochain créneau.
+ */
+export const sendDigests = async (date = new Date()) => {
+  const pending = await NotificationDelivery.aggregate([
+    { $match: { status: 'pending', channel: { $in: ['daily-digest', 'weekly-digest'] } } },
+    {
+      $group: {
+        _id: { user: '$user', channel: '$channel' },
+        retryDue: { $max: { $and: [{ $gt: ['$attempts', 0] }, { $lte: ['$sendAfter', date] }] } },
+      },
+    },
+  ]);
+
+  let sent = 0;
+  for (const { _id: group, retryDue } of pending) {
+    const user = await User.findById(group.user);
+    if (user && !retryDue && !isDigestTime(user, group.channel, date)) continue;
+
+    const deliveries = await NotificationDelivery.find({
+      user: group.user,
+      channel: group.channel,
+      status: 'pending',
+    }).populate('notification');
+
+    const included = user?.isActive
+      ? deliveries.filter((delivery) => isStillUnread(delivery.notification, user._id))
+      : [];
+    const skipped = deliveries.filter((delivery) => !included.includes(delivery));
+
+    if (skipped.length) {
+      await NotificationDelivery.updateMany(
+        { _id: { $in: skipped.map((item) => item._id) } },
+        { status: 'skipped' }
+      );
+    }
+    if (included.length === 0) continue;
+
+    const ids = included.map((item) => item._id);
+    try {
+      await sendDigestEmail(user, group.channel, included.map((delivery) => delivery.notification));
+      await NotificationDelivery.updateMany({ _id: { $in: ids } }, { status: 'sent', sentAt: new Date() });
+      sent += 1;
+    } catch (error) {
+      console.error('Notification digest error:', error);
+      await recordFailure(included, error);
+    }
+  }
+
+  return sent;
+};
@@ -0,0 +1,127 @@
+import Notification, { NOTIFICATION_CHANNEL } from '../models/Notification.js';
+import { publish, subscribe } from './pubsub/index.js';
+
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 25 * 1000;
+// Délai de reconnexion conseillé au navigateur
+const RETRY_MS = 5000;
+// Nombre maximal de notifications renvoyées à la reconnexion (Last-Event-ID)
+const REPLAY_LIMIT = 100;
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+// Fenêtre de regroupement des recalculs du nombre de non lues
+const COUNT_BATCH_MS = 100;
+
+// Les flux qui demandent leur nombre de non lues dans la même fenêtre sont servis par un seul calcul :
+// une notification système (diffusée à tous les flux) ne déclenche pas une requête par connexion.
+let countBatch = null;
+
+const countUnread = (userId) => {
+  if (!countBatch) {
+    const batch = { users: new Set() };
+    batch.promise = new Promise((resolve) => setTimeout(resolve, COUNT_BATCH_MS)).then(() => {
+      countBatch = null;
+      return Notification.countUnreadFor([...batch.users]);
+    });
+    countBatch = batch;
+  }
+
+  countBatch.users.add(userId);
+  return countBatch.promise.then((counts) => counts.get(userId));
+};
+
+// Signaler que le nombre de non lues a pu changer (userId null : tous les utilisateurs)
+export const notifyUnreadChanged = (userId) =>
+  publish(NOTIFICATION_CHANNEL, { event: 'unread-changed', user: userId ? String(userId) : null });
+
+const writeEvent = (res, { id, event, data }) => {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Ouvrir un flux SSE des notifications de l'utilisateur courant.
+ * Événements : "notification" (id = identifiant de la notification, utilisé par Last-Event-ID)
+ * et "unread-count" (envoyé à l'ouverture puis à chaque changement).
+ * @param {string} [lastEventId] - dernière notification reçue : les suivantes sont renvoyées
+ */
+export const openNotificationStream = async (req, res, lastEventId) => {
+  const userId = String(req.user.id);
+  let lastCount = null;
+  let replaying = true;
+  const pending = [];
+  // Identifiants déjà envoyés pendant la relecture (une notification peut être relue et reçue en direct)
+  let replayedIds = new Set();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Désactiver la mise en tampon des reverse proxies (nginx)
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const sendUnreadCount = async () => {
+    const count = await countUnread(userId);
+    if (count !== lastCount && !res.writableEnded) {
+      lastCount = count;
+      writeEvent(res, { event: 'unread-count', data: { count } });
+    }
+  };
+
+  const sendNotification = (notification) => {
+    const id = String(notification._id);
+    if (replayedIds) {
+      if (replayedIds.has(id)) return;
+      replayedIds.add(id);
+    }
+    writeEvent(res, { id, event: 'notification', data: notification });
+  };
+
+  const handleMessage = async (message) => {
+    if (message.user && message.user !== userId) return;
+
+    if (replaying) {
+      pending.push(message);
+      return;
+    }
+
+    if (message.event === 'created') {
+      sendNotification(message.notification);
+    }
+    await sendUnreadCount();
+  };
+
+  // S'abonner avant la relecture pour ne rien perdre ; les messages reçus entre-temps sont mis en attente
+  const unsubscribe = subscribe(NOTIFICATION_CHANNEL, handleMessage);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  try {
+    if (lastEventId && OBJECT_ID_PATTERN.test(lastEventId)) {
+      const missed = await Notification.find({
+        _id: { $gt: lastEventId },
+        ...Notification.visibleTo(userId),
+      })
+        .sort({ _id: 1 })
+        .limit(REPLAY_LIMIT);
+
+      missed.forEach((notification) => sendNotification(notification.toUserJSON(userId)));
+    }
+
+    replaying = false;
+    pending
+      .filter((message) => message.event === 'created')
+      .forEach((message) => sendNotification(message.notification));
+    replayedIds = null;
+
+    await sendUnreadCount();
+  } catch (error) {
+    console.error('Notification stream error:', error);
+    res.end();
+  }
+};
@@ -0,0 +1,58 @@
+import User from '../models/User.js';
+import UserToken from '../models/UserToken.js';
+import { createUserToken, consumeUserToken } from './userTokenService.js';
+import { revokeAllUserTokens } from './tokenService.js';
+import { sendMail } from './mail/index.js';
+import { httpError } from '../utils/httpError.js';
+
+const RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES, 10) || 60;
+const REQUEST_COOLDOWN_SECONDS = parseInt(process.env.PASSWORD_RESET_COOLDOWN_SECONDS, 10) || 120;
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+
+// Envoyer un lien de réinitialisation si le compte existe et est actif, au plus un par délai minimal.
+// Ne renvoie rien à l'appelant pour ne pas révéler quelles adresses sont inscrites : pendant le délai,
+// ou si l'envoi échoue, la demande est ignorée sans erreur.
+export const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+  if (!user || !user.isActive) return;
+
+  const lastToken = await UserToken.findOne({ user: user._id, type: 'password-reset' }).sort({ createdAt: -1 });
+  if (lastToken && Date.now() - lastToken.createdAt.getTime() < REQUEST_COOLDOWN_SECONDS * 1000) return;
+
+  const token = await createUserToken(user._id, 'password-reset', RESET_TTL_MINUTES * 60 * 1000);
+  const link = `${CLIENT_URL}/reset-password?token=${token}`;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hello ${user.name},`,
+        '',
+        'We received a request to reset your password. Use the link below to choose a new one:',
+        link,
+        '',
+        `This link expires in ${RESET_TTL_MINUTES} minutes and can only be used once.`,
+        'If you did not request a password reset, you can ignore this email.',
+      ].join('\n'),
+    });
+  } catch (error) {
+    console.error('Password reset email error:', error);
+  }
+};
+
+// Changer le mot de passe à partir d'un jeton valide et fermer toutes les sessions existantes
+export const resetPassword = async (token, newPassword) => {
+  const stored = await consumeUserToken(token, 'password-reset');
+
+  const user = await User.findById(stored.user).select('+password');
+  if (!user || !user.isActive) {
+    throw httpError(400, 'Invalid or expired token');
+  }
+
+  user.password = newPassword;
+  await user.save();
+  await revokeAllUserTokens(user._id, 'password-change');
+
+  return user;
+};
@@ -0,0 +1,62 @@
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { DEFAULT_ROLES } from '../config/permissions.js';
+
+// Cache des permissions par nom de rôle, pour ne pas lire la collection Role à chaque requête
+const CACHE_TTL_MS = parseInt(process.env.ROLE_CACHE_TTL_MS, 10) || 60 * 1000;
+const cache = new Map();
+
+// Permissions d'un rôle (tableau vide si le rôle n'existe pas)
+export const getRolePermissions = async (roleName) => {
+  const cached = cache.get(roleName);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await Role.findOne({ name: roleName }).lean();
+  const permissions = role ? role.permissions : [];
+
+  cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+  return permissions;
+};
+
+// Vider le cache après une modification des rôles
+export const invalidateRoleCache = (roleName) => {
+  if (roleName) {
+    cache.delete(roleName);
+  } else {
+    cache.clear();
+  }
+};
+
+// Vérifier une permission requise contre la liste d'un rôle (gère "*" et "ressource:*")
+export const hasPermission = (permissions, required) => {
+  if (permissions.includes('*') || permissions.includes(required)) return true;
+
+  const [resource] = required.split(':');
+  return permissions.includes(`${resource}:*`);
+};
+
+// Utilisateurs actifs dont le rôle accorde une permission (destinataires d'alertes)
+export const findUsersWithPermission = async (permission) => {
+  const roles = await Role.find().lean();
+  const roleNames = roles
+    .filter((role) => hasPermission(role.permissions, permission))
+    .map((role) => role.name);
+
+  return User.find({ role: { $in: roleNames }, isActive: true });
+};
+
+// Créer les rôles par défaut manquants, sans écraser ceux déjà personnalisés
+export const seedDefaultRoles = async () => {
+  await Promise.all(
+    Object.entries(DEFAULT_ROLES).map(([name, permissions]) =>
+      Role.updateOne(
+        { name },
+        { $setOnInsert: { name, permissions, isSystem: true } },
+        { upsert: true }
+      )
+    )
+  );
+  invalidateRoleCache();
+};
@@ -0,0 +1,40 @@
+import { createMemoryPubSub } from './memoryPubSub.js';
+import { createMongoPubSub } from './mongoPubSub.js';
+
+/**
+ * Pub/sub interne (flux temps réel). Un adaptateur expose :
+ * - publish(channel, message) : message sérialisable en JSON
+ * - subscribe(channel, handler) : retourne une fonction de désabonnement
+ * PUBSUB_DRIVER choisit l'adaptateur : "memory" (défaut, une seule instance de l'API) ou
+ * "mongo" (collection plafonnée partagée, pour plusieurs instances derrière un load balancer).
+ */
+const createPubSub = () => {
+  const driver = process.env.PUBSUB_DRIVER || 'memory';
+
+  switch (driver) {
+    case 'memory':
+      return createMemoryPubSub();
+    case 'mongo':
+      return createMongoPubSub();
+    default:
+      throw new Error(`Unknown PUBSUB_DRIVER: ${driver}`);
+  }
+};
+
+let pubsub = null;
+
+export const getPubSub = () => {
+  if (!pubsub) {
+    pubsub = createPubSub();
+  }
+  return pubsub;
+};
+
+// Remplacer l'adaptateur (autre système de messages, tests)
+export const setPubSub = (adapter) => {
+  pubsub = adapter;
+};
+
+export const publish = (channel, message) => getPubSub().publish(channel, message);
+
+export const subscribe = (channel, handler) => getPubSub().subscribe(channel, handler);
@@ -0,0 +1,25 @@
+import { EventEmitter } from 'events';
+
+// Pub/sub en mémoire : suffisant pour une seule instance de l'API
+export const createMemoryPubSub = () => {
+  const emitter = new EventEmitter();
+  // Un abonné par connexion SSE ouverte
+  emitter.setMaxListeners(0);
+
+  return {
+    async publish(channel, message) {
+      emitter.emit(channel, message);
+    },
+
+    // Retourne la fonction de désabonnement
+    subscribe(channel, handler) {
+      const listener = (message) => {
+        Promise.resolve()
+          .then(() => handler(message))
+          .catch((error) => console.error(`Pub/sub handler error on ${channel}:`, error));
+      };
+      emitter.on(channel, listener);
+      return () => emitter.off(channel, listener);
+    },
+  };
+};
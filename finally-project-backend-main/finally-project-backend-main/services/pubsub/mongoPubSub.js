@@ -0,0 +1,110 @@
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+
+const { Timestamp } = mongoose.mongo;
+
+const COLLECTION = process.env.PUBSUB_MONGO_COLLECTION || 'pubsub_messages';
+// Taille de la collection plafonnée : les messages les plus anciens sont écrasés
+const SIZE_BYTES = parseInt(process.env.PUBSUB_MONGO_SIZE_BYTES, 10) || 16 * 1024 * 1024;
+const RETRY_MS = 1000;
+
+/**
+ * Pub/sub partagé par toutes les instances de l'API, sans dépendance supplémentaire :
+ * les messages sont insérés dans une collection plafonnée (capped) que chaque instance lit
+ * avec un curseur "tailable". Fonctionne sur un MongoDB autonome (pas besoin de replica set).
+ * Chaque message reçoit un horodatage serveur croissant (ts) qui sert de position de reprise.
+ */
+export const createMongoPubSub = () => {
+  const emitter = new EventEmitter();
+  // Un abonné par connexion SSE ouverte
+  emitter.setMaxListeners(0);
+
+  let collectionPromise = null;
+  let tailing = false;
+
+  const getCollection = () => {
+    if (!collectionPromise) {
+      collectionPromise = (async () => {
+        await mongoose.connection.asPromise();
+        const { db } = mongoose.connection;
+
+        try {
+          await db.createCollection(COLLECTION, { capped: true, size: SIZE_BYTES });
+        } catch (error) {
+          // 48 = NamespaceExists : créée par une autre instance
+          if (error.code !== 48) throw error;
+        }
+        return db.collection(COLLECTION);
+      })().catch((error) => {
+        collectionPromise = null;
+        throw error;
+      });
+    }
+    return collectionPromise;
+  };
+
+  // Timestamp vide : remplacé par l'horodatage du serveur à l'insertion
+  const serverTimestamp = () => new Timestamp({ t: 0, i: 0 });
+
+  const latestMessage = async (collection) => {
+    const [latest] = await collection.find().sort({ $natural: -1 }).limit(1).toArray();
+    return latest;
+  };
+
+  // Lire les nouveaux messages en continu ; le curseur est rouvert après une erreur
+  // (message écrasé, connexion perdue) à partir du dernier message lu
+  const tail = async () => {
+    let lastTs = null;
+
+    for (;;) {
+      try {
+        const collection = await getCollection();
+
+        if (!lastTs) {
+          // Un curseur tailable sans résultat est fermé aussitôt : la collection ne doit pas être vide
+          let latest = await latestMessage(collection);
+          if (!latest) {
+            await collection.insertOne({ ts: serverTimestamp(), channel: null });
+            latest = await latestMessage(collection);
+          }
+          lastTs = latest.ts;
+        }
+
+        // $gte : le dernier message lu garde le curseur ouvert, il n'est pas rediffusé
+        const cursor = collection.find({ ts: { $gte: lastTs } }, { tailable: true, awaitData: true });
+        for await (const doc of cursor) {
+          if (doc.ts.compare(lastTs) <= 0) continue;
+          lastTs = doc.ts;
+          if (doc.channel) emitter.emit(doc.channel, doc.message);
+        }
+      } catch (error) {
+        console.error('Mongo pub/sub tail error:', error.message);
+      }
+
+      await new Promise((resolve) => setTimeout(resolve, RETRY_MS));
+    }
+  };
+
+  return {
+    async publish(channel, message) {
+      const collection = await getCollection();
+      await collection.insertOne({ ts: serverTimestamp(), channel, message });
+    },
+
+    // Retourne la fonction de désabonnement
+    subscribe(channel, handler) {
+      if (!tailing) {
+        tailing = true;
+        tail();
+      }
+
+      const listener = (message) => {
+        Promise.resolve()
+          .then(() => handler(message))
+          .catch((error) => console.error(`Pub/sub handler error on ${channel}:`, error));
+      };
+      emitter.on(channel, listener);
+      return () => emitter.off(channel, listener);
+    },
+  };
+};
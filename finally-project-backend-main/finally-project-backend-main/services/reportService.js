@@ -0,0 +1,202 @@
+import Maintenance from '../models/Maintenance.js';
+import Equipment from '../models/Equipment.js';
+import Category from '../models/Category.js';
+import User from '../models/User.js';
+import { httpError } from '../utils/httpError.js';
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+// Date de référence d'un job : réalisation, sinon date prévue
+const JOB_DATE = { $ifNull: ['$completedDate', '$scheduledDate'] };
+
+// Regroupements possibles du rapport de coûts de maintenance
+const COST_GROUPINGS = {
+  equipment: {
+    key: '$equipment',
+    lookup: { model: Equipment, select: { name: 1, serialNumber: 1, model: 1 } },
+    label: (doc) => (doc ? `${doc.name}${doc.serialNumber ? ` (${doc.serialNumber})` : ''}` : 'Deleted equipment'),
+  },
+  category: {
+    key: '$equipmentDoc.category',
+    lookup: { model: Category, select: { name: 1 } },
+    label: (doc) => (doc ? doc.name : 'Uncategorized'),
+  },
+  maintenanceType: {
+    key: '$maintenanceType',
+    label: (doc, key) => key,
+  },
+  technician: {
+    key: '$assignedTo',
+    lookup: { model: User, select: { name: 1, email: 1 } },
+    label: (doc) => (doc ? `${doc.name} (${doc.email})` : 'Unassigned'),
+  },
+  month: {
+    key: { $dateToString: { format: '%Y-%m', date: JOB_DATE } },
+    label: (doc, key) => key,
+  },
+};
+
+export const COST_GROUP_BY = Object.keys(COST_GROUPINGS);
+
+/**
+ * Filtre des jobs pris en compte : terminés par défaut, période sur la date de réalisation
+ * (ou prévue), équipement, catégorie (sous-catégories incluses), type et technicien.
+ */
+export const buildCostFilter = async (query) => {
+  const filter = { status: query.status || 'completed' };
+
+  if (query.maintenanceType) filter.maintenanceType = query.maintenanceType;
+  if (query.assignedTo) filter.assignedTo = query.assignedTo;
+  if (query.equipment) filter.equipment = query.equipment;
+
+  if (query.category) {
+    const categoryIds = await Category.descendantIds(query.category);
+    const equipmentIds = await Equipment.find({ category: { $in: categoryIds } }).distinct('_id');
+    filter.equipment = query.equipment ? { $eq: query.equipment, $in: equipmentIds } : { $in: equipmentIds };
+  }
+
+  const range = [];
+  if (query.from) range.push({ $gte: [JOB_DATE, new Date(query.from)] });
+  if (query.to) range.push({ $lte: [JOB_DATE, new Date(query.to)] });
+  if (range.length) filter.$expr = { $and: range };
+
+  return filter;
+};
+
+/**
+ * Coût de maintenance total par équipement, catégorie, type, technicien ou mois.
+ * @returns {Promise<Array<{key, label, jobs, totalCost, averageCost}>>} trié par coût décroissant
+ * (chronologique pour le regroupement par mois)
+ */
+export const maintenanceCostReport = async (filter, groupBy = 'equipment') => {
+  const grouping = COST_GROUPINGS[groupBy];
+  if (!grouping) {
+    throw httpError(400, `Invalid groupBy: ${groupBy}. Use one of ${COST_GROUP_BY.join(', ')}`);
+  }
+
+  const pipeline = [{ $match: Maintenance.find(filter).cast() }];
+
+  // La catégorie est portée par l'équipement
+  if (groupBy === 'category') {
+    pipeline.push(
+      {
+        $lookup: {
+          from: Equipment.collection.name,
+          localField: 'equipment',
+          foreignField: '_id',
+          as: 'equipmentDoc',
+        },
+      },
+      { $unwind: { path: '$equipmentDoc', preserveNullAndEmptyArrays: true } }
+    );
+  }
+
+  pipeline.push({
+    $group: {
+      _id: grouping.key,
+      jobs: { $sum: 1 },
+      totalCost: { $sum: { $ifNull: ['$cost', 0] } },
+    },
+  });
+
+  if (grouping.lookup) {
+    pipeline.push(
+      {
+        $lookup: {
+          from: grouping.lookup.model.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          pipeline: [{ $project: grouping.lookup.select }],
+          as: 'ref',
+        },
+      },
+      { $unwind: { path: '$ref', preserveNullAndEmptyArrays: true } }
+    );
+  }
+
+  pipeline.push({ $sort: groupBy === 'month' ? { _id: 1 } : { totalCost: -1 } });
+
+  const groups = await Maintenance.aggregate(pipeline);
+
+  return groups.map((group) => ({
+    key: group._id,
+    label: grouping.label(group.ref, group._id),
+    jobs: group.jobs,
+    totalCost: round2(group.totalCost),
+    averageCost: round2(group.totalCost / group.jobs),
+  }));
+};
+
+/**
+ * Coût total de possession : coût d'achat + maintenances terminées, par équipement ou par modèle.
+ * @param {object} filter - filtre Equipment
+ * @param {object} [options]
+ * @param {string} [options.groupBy] - equipment | model
+ * @param {number} [options.limit]
+ */
+export const tcoReport = async (filter, { groupBy = 'equipment', limit } = {}) => {
+  if (!['equipment', 'model'].includes(groupBy)) {
+    throw httpError(400, `Invalid groupBy: ${groupBy}. Use one of equipment, model`);
+  }
+
+  const pipeline = [
+    { $match: Equipment.find(filter).cast() },
+    {
+      $lookup: {
+        from: Maintenance.collection.name,
+        localField: '_id',
+        foreignField: 'equipment',
+        pipeline: [
+          { $match: { status: 'completed' } },
+          { $group: { _id: null, jobs: { $sum: 1 }, cost: { $sum: { $ifNull: ['$cost', 0] } } } },
+        ],
+        as: 'maintenance',
+      },
+    },
+    { $unwind: { path: '$maintenance', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        name: 1,
+        serialNumber: 1,
+        model: 1,
+        type: 1,
+        purchaseCost: { $ifNull: ['$purchaseCost', 0] },
+        maintenanceJobs: { $ifNull: ['$maintenance.jobs', 0] },
+        maintenanceCost: { $ifNull: ['$maintenance.cost', 0] },
+      },
+    },
+    { $addFields: { tco: { $add: ['$purchaseCost', '$maintenanceCost'] } } },
+  ];
+
+  if (groupBy === 'model') {
+    pipeline.push(
+      {
+        $group: {
+          _id: { $ifNull: ['$model', 'Unknown model'] },
+          type: { $first: '$type' },
+          assets: { $sum: 1 },
+          purchaseCost: { $sum: '$purchaseCost' },
+          maintenanceJobs: { $sum: '$maintenanceJobs' },
+          maintenanceCost: { $sum: '$maintenanceCost' },
+          tco: { $sum: '$tco' },
+        },
+      },
+      { $addFields: { model: '$_id', averageTco: { $divide: ['$tco', '$assets'] } } },
+      { $sort: { averageTco: -1 } }
+    );
+  } else {
+    pipeline.push({ $sort: { tco: -1 } });
+  }
+
+  if (limit) pipeline.push({ $limit: limit });
+
+  const rows = await Equipment.aggregate(pipeline);
+
+  return rows.map((row) => ({
+    ...row,
+    purchaseCost: round2(row.purchaseCost),
+    maintenanceCost: round2(row.maintenanceCost),
+    tco: round2(row.tco),
+    ...(row.averageTco !== undefined && { averageTco: round2(row.averageTco) }),
+  }));
+};
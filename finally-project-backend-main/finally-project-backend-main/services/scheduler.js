@@ -0,0 +1,196 @@
+import os from 'os';
+import { CronExpressionParser } from 'cron-parser';
+import JobLock from '../models/JobLock.js';
+import JobRun from '../models/JobRun.js';
+import { httpError } from '../utils/httpError.js';
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+// setTimeout ne supporte pas plus de ~24,8 jours : au-delà on se réveille et on recalcule
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+const jobs = new Map();
+let started = false;
+
+/**
+ * Déclarer une tâche planifiée.
+ * @param {object} job
+ * @param {string} job.name - identifiant unique
+ * @param {string} job.schedule - expression cron (5 champs, UTC), ex: "0 6 * * *"
+ * @param {string} [job.description]
+ * @param {Function} job.handler - fonction async ; sa valeur de retour est enregistrée dans l'historique
+ * @param {number} [job.lockTtlMs] - durée maximale d'exécution avant libération du verrou
+ */
+export const registerJob = ({ name, schedule, description = '', handler, lockTtlMs = DEFAULT_LOCK_TTL_MS }) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job already registered: ${name}`);
+  }
+
+  // Valider l'expression dès l'enregistrement
+  CronExpressionParser.parse(schedule, { tz: 'UTC' });
+
+  jobs.set(name, { name, schedule, description, handler, lockTtlMs, timer: null, nextRunAt: null });
+};
+
+const computeNextRun = (schedule) =>
+  CronExpressionParser.parse(schedule, { currentDate: new Date(), tz: 'UTC' }).next().toDate();
+
+// Prendre le verrou MongoDB de la tâche ; false si une autre instance le détient.
+// Pour un déclenchement planifié, `slot` est l'échéance cron visée : le verrou n'est accordé que si
+// elle n'a pas déjà été exécutée, même si l'exécution précédente est terminée (instances décalées).
+const acquireLock = async (job, slot) => {
+  const now = new Date();
+  const filter = { name: job.name, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] };
+  const update = { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + job.lockTtlMs) };
+
+  if (slot) {
+    filter.$and = [{ $or: [{ lastSlot: null }, { lastSlot: { $lt: slot } }] }];
+    update.lastSlot = slot;
+  }
+
+  try {
+    const lock = await JobLock.findOneAndUpdate(filter, { $set: update }, { upsert: true, new: true });
+    return lock.lockedBy === INSTANCE_ID;
+  } catch (error) {
+    // Clé dupliquée : le verrou existe et n'est pas expiré (ou l'échéance a déjà été exécutée)
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const releaseLock = (job) =>
+  JobLock.updateOne({ name: job.name, lockedBy: INSTANCE_ID }, { $set: { lockedUntil: null } });
+
+// Échéance planifiée refusée parce que la tâche tourne encore (exécution manuelle ou précédente) :
+// la marquer comme traitée et l'enregistrer comme sautée, une seule fois quelle que soit l'instance.
+// Rien n'est enregistré si l'échéance a déjà été exécutée ailleurs.
+const recordSkippedSlot = async (job, slot) => {
+  const { modifiedCount } = await JobLock.updateOne(
+    { name: job.name, $or: [{ lastSlot: null }, { lastSlot: { $lt: slot } }] },
+    { $set: { lastSlot: slot } }
+  );
+  if (modifiedCount === 0) return;
+
+  const now = new Date();
+  await JobRun.create({
+    job: job.name,
+    status: 'skipped',
+    trigger: 'schedule',
+    instance: INSTANCE_ID,
+    startedAt: now,
+    finishedAt: now,
+    durationMs: 0,
+    error: { message: `Scheduled run of ${slot.toISOString()} skipped: job was already running` },
+  });
+};
+
+// Exécuter une tâche sous verrou et enregistrer le résultat dans JobRun
+const executeJob = async (job, { trigger, triggeredBy, slot } = {}) => {
+  if (!(await acquireLock(job, slot))) {
+    if (slot) await recordSkippedSlot(job, slot);
+    return null;
+  }
+
+  // Le verrou est libéré même si l'historique ne peut pas être écrit
+  try {
+    const run = await JobRun.create({
+      job: job.name,
+      trigger,
+      triggeredBy,
+      instance: INSTANCE_ID,
+    });
+
+    try {
+      const result = await job.handler();
+      run.status = 'succeeded';
+      run.result = result;
+    } catch (error) {
+      console.error(`Job ${job.name} failed:`, error);
+      run.status = 'failed';
+      run.error = { message: error.message, stack: error.stack };
+    }
+
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+    return run;
+  } finally {
+    await releaseLock(job);
+  }
+};
+
+// Programmer le prochain déclenchement d'une tâche
+const scheduleNext = (job) => {
+  const slot = computeNextRun(job.schedule);
+  job.nextRunAt = slot;
+  const delay = slot.getTime() - Date.now();
+
+  job.timer = setTimeout(async () => {
+    if (delay > MAX_TIMEOUT_MS) {
+      scheduleNext(job);
+      return;
+    }
+
+    try {
+      await executeJob(job, { trigger: 'schedule', slot });
+    } catch (error) {
+      console.error(`Scheduler error on job ${job.name}:`, error);
+    }
+
+    if (started) scheduleNext(job);
+  }, Math.min(Math.max(delay, 0), MAX_TIMEOUT_MS));
+
+  // Ne pas empêcher le processus de s'arrêter
+  job.timer.unref();
+};
+
+export const startScheduler = () => {
+  if (started) return;
+  started = true;
+
+  jobs.forEach((job) => scheduleNext(job));
+  console.log(`Scheduler started with ${jobs.size} jobs on ${INSTANCE_ID}`);
+};
+
+export const stopScheduler = () => {
+  started = false;
+  jobs.forEach((job) => {
+    clearTimeout(job.timer);
+    job.timer = null;
+    job.nextRunAt = null;
+  });
+};
+
+// Déclenchement manuel (admin)
+export const runJobNow = async (name, triggeredBy) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw httpError(404, 'Job not found');
+  }
+
+  const run = await executeJob(job, { trigger: 'manual', triggeredBy });
+  if (!run) {
+    throw httpError(409, 'Job is already running');
+  }
+
+  return run;
+};
+
+// Liste des tâches avec leur dernière exécution
+export const listJobs = async () => {
+  const lastRuns = await JobRun.aggregate([
+    { $sort: { startedAt: -1 } },
+    { $group: { _id: '$job', lastRun: { $first: '$$ROOT' } } },
+  ]);
+  const lastRunByJob = new Map(lastRuns.map((entry) => [entry._id, entry.lastRun]));
+
+  return [...jobs.values()].map((job) => ({
+    name: job.name,
+    description: job.description,
+    schedule: job.schedule,
+    nextRunAt: job.nextRunAt,
+    lastRun: lastRunByJob.get(job.name) || null,
+  }));
+};
+
+export const hasJob = (name) => jobs.has(name);
@@ -0,0 +1,75 @@
+import Equipment from '../models/Equipment.js';
+import Maintenance from '../models/Maintenance.js';
+import User from '../models/User.js';
+import { getRolePermissions, hasPermission } from './permissionService.js';
+
+// Entités couvertes par la recherche globale. `permission` : permission requise pour voir
+// le groupe (null = tout utilisateur connecté, comme les routes de liste correspondantes).
+const SEARCH_GROUPS = {
+  equipment: {
+    model: Equipment,
+    permission: null,
+    select: 'name type model serialNumber status location assignedTo category',
+    populate: [
+      { path: 'assignedTo', select: 'name email' },
+      { path: 'category', select: 'name' },
+    ],
+  },
+  users: {
+    model: User,
+    permission: 'users:read',
+    select: 'name email department position role isActive',
+    populate: [],
+  },
+  maintenance: {
+    model: Maintenance,
+    permission: null,
+    select: 'equipment maintenanceType description status priority scheduledDate assignedTo',
+    populate: [
+      { path: 'equipment', select: 'name serialNumber' },
+      { path: 'assignedTo', select: 'name email' },
+    ],
+  },
+};
+
+export const SEARCH_TYPES = Object.keys(SEARCH_GROUPS);
+
+// Résultats d'un groupe, triés par pertinence (textScore)
+const searchGroup = async ({ model, select, populate }, text, limit) => {
+  const filter = { $text: { $search: text } };
+
+  const [results, total] = await Promise.all([
+    model
+      .find(filter, { score: { $meta: 'textScore' } })
+      .select(select)
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .populate(populate)
+      .lean(),
+    model.countDocuments(filter),
+  ]);
+
+  return { total, results };
+};
+
+/**
+ * Recherche plein texte sur les équipements, utilisateurs et maintenances.
+ * Les groupes que le rôle de l'appelant ne peut pas lire sont omis.
+ * @param {string} text
+ * @param {object} options
+ * @param {string} options.role - rôle de l'appelant
+ * @param {string[]} [options.types] - restreindre à certains groupes
+ * @param {number} [options.limit] - résultats par groupe
+ * @returns {Promise<object>} { equipment: { total, results }, users: ..., maintenance: ... }
+ */
+export const globalSearch = async (text, { role, types = SEARCH_TYPES, limit = 10 }) => {
+  const permissions = await getRolePermissions(role);
+  const groups = types.filter((type) => {
+    const group = SEARCH_GROUPS[type];
+    return group && (!group.permission || hasPermission(permissions, group.permission));
+  });
+
+  const results = await Promise.all(groups.map((type) => searchGroup(SEARCH_GROUPS[type], text, limit)));
+
+  return Object.fromEntries(groups.map((type, index) => [type, results[index]]));
+};
@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/User.js';
+import { httpError } from '../utils/httpError.js';
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Access token JWT de courte durée
+export const signAccessToken = (user) =>
+  jwt.sign(
+    {
+      id: user._id,
+      role: user.role,
+      email: user.email,
+      emailVerified: user.emailVerified,
+    },
+    process.env.JWT_SECRET || 'your-secret-key',
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+
+// Créer un refresh token (opaque) et n'en stocker que le hash
+export const issueRefreshToken = async (user, { family, ip, userAgent } = {}) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: ip,
+    userAgent,
+  });
+
+  return token;
+};
+
+// Ouvrir une session : access token + refresh token d'une nouvelle famille
+export const issueSessionTokens = async (user, meta = {}) => ({
+  token: signAccessToken(user),
+  refreshToken: await issueRefreshToken(user, meta),
+});
+
+// Révoquer tous les tokens encore actifs d'une famille
+const revokeFamily = (family, reason) =>
+  RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+// Échanger un refresh token contre une nouvelle paire (rotation à chaque utilisation).
+// Un token déjà utilisé qui revient est considéré comme volé : toute sa famille est révoquée.
+export const rotateRefreshToken = async (token, meta = {}) => {
+  const tokenHash = hashToken(token);
+
+  // Réclamation atomique : de deux requêtes concurrentes avec le même token, une seule l'obtient
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } }
+  );
+
+  if (!stored) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (!existing) {
+      throw httpError(401, 'Invalid refresh token');
+    }
+
+    if (existing.revokedAt) {
+      if (existing.revokedReason === 'rotated') {
+        await revokeFamily(existing.family, 'reuse-detected');
+        console.warn(`Refresh token reuse detected for user ${existing.user}, family ${existing.family} revoked`);
+      }
+      throw httpError(401, 'Refresh token has been revoked');
+    }
+
+    throw httpError(401, 'Refresh token expired');
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || !user.isActive) {
+    await revokeFamily(stored.family, 'admin');
+    throw httpError(401, 'User is no longer allowed to sign in');
+  }
+
+  return {
+    user,
+    token: signAccessToken(user),
+    refreshToken: await issueRefreshToken(user, { ...meta, family: stored.family }),
+  };
+};
+
+// Déconnexion : révoquer la famille du refresh token présenté
+export const revokeRefreshToken = async (token) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!stored) return false;
+
+  await revokeFamily(stored.family, 'logout');
+  return true;
+};
+
+// Révoquer toutes les sessions d'un utilisateur
+export const revokeAllUserTokens = (userId, reason = 'logout') =>
+  RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
@@ -0,0 +1,40 @@
+import crypto from 'crypto';
+import UserToken from '../models/UserToken.js';
+import { httpError } from '../utils/httpError.js';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Créer un jeton à usage unique ; les jetons précédents du même type sont invalidés
+export const createUserToken = async (userId, type, ttlMs) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await UserToken.updateMany({ user: userId, type, usedAt: null }, { usedAt: new Date() });
+  await UserToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+// Consommer un jeton : il doit exister, ne pas être utilisé ni expiré
+export const consumeUserToken = async (token, type) => {
+  const stored = await UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!stored) {
+    throw httpError(400, 'Invalid or expired token');
+  }
+
+  return stored;
+};
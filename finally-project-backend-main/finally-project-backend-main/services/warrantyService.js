@@ -0,0 +1,91 @@
+import Equipment from '../models/Equipment.js';
+import Notification from '../models/Notification.js';
+import WarrantyAlert from '../models/WarrantyAlert.js';
+import { findUsersWithPermission } from './permissionService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Seuils d'alerte en jours, configurables via WARRANTY_ALERT_THRESHOLDS (défaut "90,30,7")
+export const getWarrantyThresholds = () =>
+  (process.env.WARRANTY_ALERT_THRESHOLDS || '90,30,7')
+    .split(',')
+    .map((value) => parseInt(value, 10))
+    .filter((value) => value > 0)
+    .sort((a, b) => b - a);
+
+const priorityForThreshold = (threshold) => {
+  if (threshold <= 7) return 'high';
+  if (threshold <= 30) return 'medium';
+  return 'low';
+};
+
+// Équipements dont la garantie expire dans les `days` prochains jours
+export const findExpiringWarrantiesFilter = (days, { includeExpired = false } = {}) => {
+  const now = new Date();
+  return {
+    warrantyExpiryDate: {
+      ...(includeExpired ? {} : { $gte: now }),
+      $lte: new Date(now.getTime() + days * DAY_MS),
+    },
+    status: { $ne: 'inactive' },
+  };
+};
+
+// Enregistrer l'alerte ; null si elle a déjà été envoyée pour ce seuil
+const claimAlert = async (equipment, threshold) => {
+  try {
+    return await WarrantyAlert.create({
+      equipment: equipment._id,
+      threshold,
+      warrantyExpiryDate: equipment.warrantyExpiryDate,
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Scan quotidien : pour chaque équipement, seul le plus petit seuil atteint déclenche une alerte,
+// et chaque seuil ne se déclenche qu'une fois par équipement
+export const sendWarrantyExpiryAlerts = async () => {
+  const thresholds = getWarrantyThresholds();
+  if (thresholds.length === 0) return 0;
+
+  const equipment = await Equipment.find(findExpiringWarrantiesFilter(thresholds[0]));
+  if (equipment.length === 0) return 0;
+
+  // Sans destinataire, aucun seuil n'est consommé : les alertes partiront au prochain scan
+  const recipients = await findUsersWithPermission('equipment:write');
+  if (recipients.length === 0) return 0;
+
+  let sent = 0;
+
+  for (const item of equipment) {
+    const daysLeft = Math.ceil((item.warrantyExpiryDate.getTime() - Date.now()) / DAY_MS);
+    const threshold = Math.min(...thresholds.filter((value) => daysLeft <= value));
+
+    const alert = await claimAlert(item, threshold);
+    if (!alert) continue;
+
+    // Notifications non créées : libérer le seuil pour que le prochain scan réessaie
+    try {
+      await Notification.insertMany(
+        recipients.map((user) => ({
+          title: 'Warranty expiring soon',
+          message: `The warranty of ${item.name}${item.serialNumber ? ` (${item.serialNumber})` : ''} expires on ${item.warrantyExpiryDate.toISOString().slice(0, 10)} (${daysLeft} days left).`,
+          type: 'equipment',
+          priority: priorityForThreshold(threshold),
+          user: user._id,
+          relatedId: item._id,
+          relatedModel: 'Equipment',
+        }))
+      );
+    } catch (error) {
+      await WarrantyAlert.deleteOne({ _id: alert._id });
+      throw error;
+    }
+    sent += 1;
+  }
+
+  return sent;
+};
@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import WebhookEndpoint from '../models/WebhookEndpoint.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+// Délai avant la 2e tentative, doublé à chaque échec (1 min, 2 min, 4 min... plafonné)
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const RESPONSE_BODY_MAX = 1000;
+// Réservation d'une livraison pendant son envoi, pour que la tâche de relance ne la prenne pas en parallèle
+const LEASE_MS = TIMEOUT_MS + 30 * 1000;
+
+// Plages non routables sur Internet : boucle locale, réseaux privés, lien local (dont métadonnées cloud
+// 169.254.169.254), CGNAT, multicast et réservées. Un webhook ne doit pas pouvoir sonder le réseau interne.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Les IPv4 encapsulées (::ffff:10.0.0.1) sont comparées aux plages IPv4 par BlockList
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * Vérifier qu'une URL de webhook vise une adresse publique (à l'enregistrement et avant chaque envoi).
+ * WEBHOOK_ALLOW_PRIVATE_URLS=true lève la restriction (développement, réseau interne de confiance).
+ * @returns {Promise<string|null>} la raison du refus, ou null si l'URL est acceptée
+ */
+export const checkWebhookUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'Webhook URL is not a valid URL';
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) return 'Webhook URL must be an http(s) URL';
+  if (parsed.username || parsed.password) return 'Webhook URL must not contain credentials';
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') return null;
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.lookup(hostname, { all: true });
+  } catch {
+    return `Webhook host ${hostname} cannot be resolved`;
+  }
+
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    return 'Webhook URL must not target a private, loopback or link-local address';
+  }
+  return null;
+};
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Signature d'un envoi : HMAC-SHA256 de "<timestamp>.<corps>" avec le secret de l'endpoint.
+ * Le destinataire recalcule la signature et rejette les timestamps trop anciens (rejeu).
+ */
+export const signWebhookPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+export const retryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+// Sérialiser un document Mongoose (toJSON du modèle : sans mot de passe pour User)
+const toPayloadData = (data) => JSON.parse(JSON.stringify(data));
+
+// Prendre la main sur une livraison due ; null si elle est déjà en cours ou terminée
+const claimDelivery = (deliveryId) => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + LEASE_MS) } },
+    { new: true }
+  );
+};
+
+// Une tentative d'envoi ; met à jour le statut et programme la relance en cas d'échec
+export const attemptDelivery = async (deliveryId) => {
+  const delivery = await claimDelivery(deliveryId);
+  if (!delivery) return null;
+
+  const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select('+secret');
+  const attempt = { at: new Date() };
+
+  // L'adresse est vérifiée à nouveau à l'envoi : le DNS a pu changer depuis l'enregistrement
+  const blockedReason = endpoint && endpoint.active ? await checkWebhookUrl(endpoint.url) : null;
+
+  if (!endpoint || !endpoint.active) {
+    attempt.error = 'Endpoint deleted or disabled';
+  } else if (blockedReason) {
+    attempt.error = blockedReason;
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'IT-Asset-Management-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery._id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signWebhookPayload(endpoint.secret, timestamp, body)}`,
+        },
+        body,
+        // Une redirection pourrait mener vers le réseau interne : elle n'est pas suivie
+        redirect: 'manual',
+        signal: AbortSignal.timeout(TIMEOUT_MS),
+      });
+
+      attempt.responseStatus = response.status;
+      if (response.ok) {
+        attempt.responseBody = (await response.text()).slice(0, RESPONSE_BODY_MAX);
+      } else {
+        // Le contenu des réponses en erreur ou redirigées n'est pas conservé
+        await response.body?.cancel();
+        attempt.error =
+          response.status >= 300 && response.status < 400
+            ? `Redirect (HTTP ${response.status}) not followed`
+            : `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS} ms` : error.message;
+    }
+  }
+
+  attempt.durationMs = Date.now() - attempt.at.getTime();
+  delivery.attempts += 1;
+  delivery.attemptLog.push(attempt);
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = undefined;
+  } else if (!endpoint || !endpoint.active || delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts));
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+// Lancer un envoi sans faire attendre l'appelant (la tâche de relance prend le relais en cas d'échec)
+const sendInBackground = (delivery) => {
+  attemptDelivery(delivery._id).catch((error) => console.error('Webhook delivery error:', error));
+};
+
+/**
+ * Publier un événement vers les webhooks abonnés.
+ * Les erreurs sont journalisées et jamais remontées : un webhook ne doit pas faire échouer l'action métier.
+ * @param {string} event - voir WEBHOOK_EVENTS
+ * @param {object} data - document ou objet sérialisable
+ */
+export const emitWebhookEvent = async (event, data) => {
+  try {
+    const endpoints = await WebhookEndpoint.find({ active: true, events: { $in: [event, '*'] } }).select('_id');
+    if (endpoints.length === 0) return;
+
+    const payload = { id: crypto.randomUUID(), event, createdAt: new Date(), data: toPayloadData(data) };
+    const deliveries = await WebhookDelivery.insertMany(
+      endpoints.map((endpoint) => ({ endpoint: endpoint._id, event, payload }))
+    );
+
+    deliveries.forEach(sendInBackground);
+  } catch (error) {
+    console.error(`Webhook event ${event} error:`, error);
+  }
+};
+
+// Renvoyer une livraison (nouvelle livraison avec le même contenu)
+export const redeliver = async (delivery, triggeredBy) => {
+  const copy = await WebhookDelivery.create({
+    endpoint: delivery.endpoint,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery._id,
+    triggeredBy,
+  });
+
+  return (await attemptDelivery(copy._id)) || copy;
+};
+
+// Événement de test envoyé à un seul endpoint
+export const pingEndpoint = async (endpoint, triggeredBy) => {
+  const delivery = await WebhookDelivery.create({
+    endpoint: endpoint._id,
+    event: 'ping',
+    payload: { id: crypto.randomUUID(), event: 'ping', createdAt: new Date(), data: { endpoint: endpoint._id } },
+    triggeredBy,
+  });
+
+  return (await attemptDelivery(delivery._id)) || delivery;
+};
+
+// Relancer les livraisons dont l'échéance de nouvelle tentative est passée
+export const retryDueDeliveries = async () => {
+  const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(100)
+    .select('_id');
+
+  let attempted = 0;
+  for (const delivery of due) {
+    if (await attemptDelivery(delivery._id)) attempted += 1;
+  }
+
+  return attempted;
+};
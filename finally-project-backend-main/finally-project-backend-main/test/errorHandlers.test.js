@@ -0,0 +1,73 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { errorHandler } from '../middlewares/errorHandlers.js';
+
+// Réponse Express minimale : garde le statut et le corps envoyés
+const fakeResponse = () => ({
+  headersSent: false,
+  statusCode: 200,
+  body: undefined,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const handle = (err) => {
+  const res = fakeResponse();
+  errorHandler(err, {}, res, () => {});
+  return res;
+};
+
+describe('errorHandler', () => {
+  test('reports an invalid id in the URL like request validation does', () => {
+    const res = handle(new mongoose.Error.CastError('ObjectId', 'not-an-id', '_id'));
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, {
+      success: false,
+      message: 'Validation failed',
+      errors: [{ location: 'path', field: '_id', message: 'must be a valid ObjectId' }],
+    });
+  });
+
+  test('reports a cast error on another field as a body error', () => {
+    const res = handle(new mongoose.Error.CastError('ObjectId', 'abc', 'category'));
+
+    assert.deepEqual(res.body.errors, [{ location: 'body', field: 'category', message: 'must be a valid ObjectId' }]);
+  });
+
+  test('reports each duplicated key as a field error', () => {
+    const err = Object.assign(new Error('E11000 duplicate key error'), {
+      code: 11000,
+      keyValue: { serialNumber: 'SN-1' },
+    });
+
+    const res = handle(err);
+
+    assert.equal(res.statusCode, 400);
+    assert.deepEqual(res.body, {
+      success: false,
+      message: 'Duplicate key error',
+      errors: [{ location: 'body', field: 'serialNumber', message: 'already exists' }],
+    });
+  });
+
+  test('reports a Mongoose validation error in the same shape', () => {
+    const err = new mongoose.Error.ValidationError();
+    err.addError('name', new mongoose.Error.ValidatorError({ path: 'name', type: 'required' }));
+
+    const res = handle(err);
+
+    assert.deepEqual(res.body, {
+      success: false,
+      message: 'Validation failed',
+      errors: [{ location: 'body', field: 'name', message: 'is required' }],
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import LoginAttempt from '../models/LoginAttempt.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess } from '../services/loginProtectionService.js';
+
+const EMAIL = 'jane@example.com';
+const IP = '203.0.113.7';
+const MINUTE_MS = 60 * 1000;
+
+// Collection LoginAttempt en mémoire, indexée par clé
+let attempts;
+
+const failTimes = async (count, email = EMAIL, ip = IP) => {
+  for (let i = 0; i < count; i += 1) {
+    await recordLoginFailure(email, ip);
+  }
+};
+
+// Faire comme si le dernier échec datait de `ms` millisecondes
+const ageFailures = (key, ms) => {
+  const attempt = attempts.get(key);
+  attempt.lastFailureAt = new Date(Date.now() - ms);
+};
+
+describe('login lockout', () => {
+  beforeEach(() => {
+    attempts = new Map();
+    mock.method(LoginAttempt, 'findOne', async ({ key }) => attempts.get(key) || null);
+    mock.method(LoginAttempt, 'updateOne', async ({ key, lastFailureAt }, { $set }) => {
+      const attempt = attempts.get(key);
+      if (attempt?.lastFailureAt < lastFailureAt.$lt) Object.assign(attempt, $set);
+    });
+    mock.method(LoginAttempt, 'findOneAndUpdate', async ({ key }, { $inc, $set }) => {
+      if (!attempts.has(key)) attempts.set(key, new LoginAttempt({ key, expiresAt: $set.expiresAt }));
+      const attempt = attempts.get(key);
+      attempt.failures += $inc.failures;
+      Object.assign(attempt, $set);
+      return attempt;
+    });
+    mock.method(LoginAttempt, 'deleteOne', async ({ key }) => attempts.delete(key));
+    mock.method(LoginAttempt.prototype, 'save', async function () {
+      return this;
+    });
+    mock.method(User, 'findOne', async () => ({ _id: new mongoose.Types.ObjectId(), email: EMAIL }));
+    mock.method(Notification, 'create', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('does not lock the account below the threshold', async () => {
+    await failTimes(4);
+
+    assert.equal(attempts.get(`account:${EMAIL}`).isLocked(), false);
+    assert.equal(Notification.create.mock.callCount(), 0);
+  });
+
+  test('locks the account on the fifth failure and notifies its owner', async () => {
+    await failTimes(5);
+
+    await assert.rejects(checkLoginAllowed(EMAIL, '198.51.100.1'), (error) => {
+      assert.equal(error.statusCode, 423);
+      assert.ok(error.retryAfter > 14 * 60 && error.retryAfter <= 15 * 60);
+      return true;
+    });
+    assert.equal(Notification.create.mock.callCount(), 1);
+    assert.equal(Notification.create.mock.calls[0].arguments[0].priority, 'high');
+  });
+
+  test('matches the account whatever the email case', async () => {
+    await failTimes(5, 'Jane@Example.com ');
+
+    await assert.rejects(checkLoginAllowed(EMAIL, '198.51.100.1'), { statusCode: 423 });
+  });
+
+  test('slows down attempts from the third failure', async () => {
+    await failTimes(2);
+    await checkLoginAllowed(EMAIL, IP);
+
+    await failTimes(1);
+    await assert.rejects(checkLoginAllowed(EMAIL, '198.51.100.1'), { statusCode: 429 });
+
+    ageFailures(`account:${EMAIL}`, 2000);
+    ageFailures(`ip:${IP}`, 2000);
+    await checkLoginAllowed(EMAIL, IP);
+  });
+
+  test('forgets failures older than the window', async () => {
+    await failTimes(4);
+    ageFailures(`account:${EMAIL}`, 16 * MINUTE_MS);
+
+    await failTimes(1);
+
+    assert.equal(attempts.get(`account:${EMAIL}`).failures, 1);
+    assert.equal(attempts.get(`account:${EMAIL}`).isLocked(), false);
+  });
+
+  test('resets the account counter after a successful login', async () => {
+    await failTimes(4);
+    await recordLoginSuccess(EMAIL);
+    await failTimes(1);
+
+    assert.equal(attempts.get(`account:${EMAIL}`).failures, 1);
+  });
+
+  test('lets the account sign in again once the lockout is over', async () => {
+    await failTimes(5);
+    const account = attempts.get(`account:${EMAIL}`);
+    account.lockedUntil = new Date(Date.now() - 1000);
+    ageFailures(`account:${EMAIL}`, 16 * MINUTE_MS);
+
+    await checkLoginAllowed(EMAIL, '198.51.100.1');
+  });
+
+  test('blocks an address after too many failures across accounts', async () => {
+    for (let i = 0; i < 20; i += 1) {
+      await recordLoginFailure(`user${i}@example.com`, IP);
+    }
+
+    await assert.rejects(checkLoginAllowed('someone@example.com', IP), {
+      statusCode: 423,
+      message: 'Too many failed login attempts from this address',
+    });
+    assert.equal(Notification.create.mock.callCount(), 0);
+  });
+
+  test('counts a failure whose upsert lost the race to a concurrent one', async () => {
+    const key = `account:${EMAIL}`;
+    // La requête concurrente crée le document entre la recherche et l'insertion de l'upsert
+    LoginAttempt.findOneAndUpdate.mock.mockImplementationOnce(async (filter, { $set }) => {
+      attempts.set(key, new LoginAttempt({ key, failures: 1, ...$set }));
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+
+    await recordLoginFailure(EMAIL, IP);
+
+    const accountCalls = LoginAttempt.findOneAndUpdate.mock.calls.filter((call) => call.arguments[0].key === key);
+    assert.equal(attempts.get(key).failures, 2);
+    assert.deepEqual(
+      accountCalls.map((call) => call.arguments[2].upsert),
+      [true, undefined]
+    );
+  });
+});
@@ -0,0 +1,117 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Role from '../models/Role.js';
+import { requirePermission } from '../middlewares/authMiddleware.js';
+import { hasPermission, invalidateRoleCache } from '../services/permissionService.js';
+
+const ROLES = {
+  admin: ['*'],
+  manager: ['equipment:*', 'users:read'],
+  user: ['equipment:read'],
+};
+
+// Réponse Express minimale : statut et corps JSON
+const fakeResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+const run = async (middleware, user) => {
+  const res = fakeResponse();
+  const next = mock.fn();
+  await middleware({ user }, res, next);
+  return { res, next };
+};
+
+describe('hasPermission', () => {
+  test('grants an exact permission', () => {
+    assert.equal(hasPermission(['equipment:read'], 'equipment:read'), true);
+    assert.equal(hasPermission(['equipment:read'], 'equipment:write'), false);
+  });
+
+  test('grants every permission of a resource with "resource:*"', () => {
+    assert.equal(hasPermission(['equipment:*'], 'equipment:delete'), true);
+    assert.equal(hasPermission(['equipment:*'], 'users:read'), false);
+  });
+
+  test('grants everything with "*"', () => {
+    assert.equal(hasPermission(['*'], 'webhooks:manage'), true);
+  });
+
+  test('grants nothing to an empty role', () => {
+    assert.equal(hasPermission([], 'equipment:read'), false);
+  });
+});
+
+describe('requirePermission', () => {
+  beforeEach(() => {
+    invalidateRoleCache();
+    mock.method(Role, 'findOne', ({ name }) => ({
+      lean: async () => (ROLES[name] ? { name, permissions: ROLES[name] } : null),
+    }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('answers 401 without an authenticated user', async () => {
+    const { res, next } = await run(requirePermission('equipment:read'), undefined);
+
+    assert.equal(res.statusCode, 401);
+    assert.equal(next.mock.callCount(), 0);
+  });
+
+  test('answers 403 when the role lacks the permission', async () => {
+    const { res, next } = await run(requirePermission('users:write'), { role: 'manager' });
+
+    assert.equal(res.statusCode, 403);
+    assert.equal(next.mock.callCount(), 0);
+  });
+
+  test('requires every listed permission', async () => {
+    const { res } = await run(requirePermission('equipment:read', 'users:write'), { role: 'manager' });
+
+    assert.equal(res.statusCode, 403);
+  });
+
+  test('lets the request through when every permission is granted', async () => {
+    const { res, next } = await run(requirePermission('equipment:write', 'users:read'), { role: 'manager' });
+
+    assert.equal(res.body, null);
+    assert.equal(next.mock.callCount(), 1);
+    assert.deepEqual(next.mock.calls[0].arguments, []);
+  });
+
+  test('denies an unknown role', async () => {
+    const { res } = await run(requirePermission('equipment:read'), { role: 'ghost' });
+
+    assert.equal(res.statusCode, 403);
+  });
+
+  test('reads each role once while it is cached', async () => {
+    await run(requirePermission('equipment:read'), { role: 'user' });
+    await run(requirePermission('equipment:read'), { role: 'user' });
+
+    assert.equal(Role.findOne.mock.callCount(), 1);
+  });
+
+  test('passes lookup errors to the error handler', async () => {
+    Role.findOne.mock.mockImplementation(() => ({
+      lean: async () => {
+        throw new Error('connection lost');
+      },
+    }));
+
+    const { res, next } = await run(requirePermission('equipment:read'), { role: 'user' });
+
+    assert.equal(res.body, null);
+    assert.equal(next.mock.calls[0].arguments[0].message, 'connection lost');
+  });
+});
@@ -0,0 +1,161 @@
+import { test, describe, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import JobLock from '../models/JobLock.js';
+import JobRun from '../models/JobRun.js';
+import { registerJob, startScheduler, stopScheduler, runJobNow } from '../services/scheduler.js';
+
+const JOB = 'test-job';
+const START = Date.parse('2026-01-01T00:03:00Z');
+const FIRST_SLOT = new Date('2026-01-01T00:05:00Z');
+const SECOND_SLOT = new Date('2026-01-01T00:10:00Z');
+const MINUTE_MS = 60 * 1000;
+
+const handler = mock.fn(async () => 'done');
+
+// Verrous en mémoire ; le filtre est évalué comme le ferait MongoDB pour les opérateurs utilisés
+let locks;
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') return condition.some((item) => matches(doc, item));
+    if (field === '$and') return condition.every((item) => matches(doc, item));
+    if (condition === null) return doc[field] == null;
+    if (condition?.$lte) return doc[field] != null && doc[field] <= condition.$lte;
+    if (condition?.$lt) return doc[field] != null && doc[field] < condition.$lt;
+    return doc[field] === condition;
+  });
+
+const createdRuns = () => JobRun.create.mock.calls.map((call) => call.arguments[0]);
+
+const otherInstanceLock = (fields) => locks.set(JOB, { name: JOB, lockedBy: 'other-host:1', lockedUntil: null, ...fields });
+
+// Laisser s'exécuter les callbacks asynchrones déclenchés par les timers simulés
+const flush = async () => {
+  for (let i = 0; i < 20; i += 1) await new Promise((resolve) => setImmediate(resolve));
+};
+
+describe('scheduler lock', () => {
+  before(() => registerJob({ name: JOB, schedule: '*/5 * * * *', handler }));
+
+  beforeEach(() => {
+    locks = new Map();
+    handler.mock.resetCalls();
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: START });
+    mock.method(console, 'log', () => {});
+    mock.method(JobLock, 'findOneAndUpdate', async (filter, { $set }) => {
+      const lock = locks.get(filter.name);
+      // Document existant qui ne correspond pas : l'upsert tente une insertion en double
+      if (lock && !matches(lock, filter)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+      const updated = { ...(lock || { name: filter.name }), ...$set };
+      locks.set(filter.name, updated);
+      return updated;
+    });
+    mock.method(JobLock, 'updateOne', async (filter, { $set }) => {
+      const lock = locks.get(filter.name);
+      if (!lock || !matches(lock, filter)) return { modifiedCount: 0 };
+      Object.assign(lock, $set);
+      return { modifiedCount: 1 };
+    });
+    mock.method(JobRun, 'create', async (data) => new JobRun(data));
+    mock.method(JobRun.prototype, 'save', async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    stopScheduler();
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  test('runs a job at its cron slot, records the slot and releases the lock', async () => {
+    startScheduler();
+    mock.timers.tick(2 * MINUTE_MS);
+    await flush();
+
+    assert.equal(handler.mock.callCount(), 1);
+    assert.deepEqual(locks.get(JOB).lastSlot, FIRST_SLOT);
+    assert.equal(locks.get(JOB).lockedUntil, null);
+  });
+
+  test('skips a slot another instance has already run', async () => {
+    // Instance en avance : elle a fini l'échéance de 00:05 avant que celle-ci ne se réveille
+    otherInstanceLock({ lastSlot: FIRST_SLOT });
+
+    startScheduler();
+    mock.timers.tick(2 * MINUTE_MS);
+    await flush();
+    assert.equal(handler.mock.callCount(), 0);
+
+    mock.timers.tick(5 * MINUTE_MS);
+    await flush();
+    assert.equal(handler.mock.callCount(), 1);
+    assert.deepEqual(locks.get(JOB).lastSlot, SECOND_SLOT);
+  });
+
+  test('records a slot skipped while the job holds the lock', async () => {
+    otherInstanceLock({ lockedUntil: new Date(START + 10 * MINUTE_MS) });
+
+    startScheduler();
+    mock.timers.tick(2 * MINUTE_MS);
+    await flush();
+
+    assert.equal(handler.mock.callCount(), 0);
+    assert.equal(locks.get(JOB).lockedBy, 'other-host:1');
+    assert.deepEqual(locks.get(JOB).lastSlot, FIRST_SLOT);
+    assert.deepEqual(
+      createdRuns().map((run) => [run.status, run.trigger]),
+      [['skipped', 'schedule']]
+    );
+  });
+
+  test('does not record a slot another instance has already run or skipped', async () => {
+    // L'échéance a déjà été marquée (exécutée ou sautée) par l'instance réveillée en premier
+    otherInstanceLock({ lockedUntil: new Date(START + 10 * MINUTE_MS), lastSlot: FIRST_SLOT });
+
+    startScheduler();
+    mock.timers.tick(2 * MINUTE_MS);
+    await flush();
+
+    assert.equal(JobRun.create.mock.callCount(), 0);
+  });
+
+  test('releases the lock when the run history cannot be written', async () => {
+    JobRun.create.mock.mockImplementation(async () => {
+      throw new Error('write failed');
+    });
+
+    await assert.rejects(runJobNow(JOB), /write failed/);
+
+    assert.equal(handler.mock.callCount(), 0);
+    assert.equal(locks.get(JOB).lockedUntil, null);
+  });
+
+  test('takes over a lock that has expired', async () => {
+    otherInstanceLock({ lockedUntil: new Date(START - MINUTE_MS) });
+
+    startScheduler();
+    mock.timers.tick(2 * MINUTE_MS);
+    await flush();
+
+    assert.equal(handler.mock.callCount(), 1);
+  });
+
+  test('runs a manual trigger without consuming the next slot', async () => {
+    otherInstanceLock({ lastSlot: new Date(START - 3 * MINUTE_MS) });
+
+    const run = await runJobNow(JOB);
+
+    assert.equal(run.status, 'succeeded');
+    assert.equal(run.result, 'done');
+    assert.deepEqual(locks.get(JOB).lastSlot, new Date(START - 3 * MINUTE_MS));
+  });
+
+  test('refuses a manual trigger while the job is running elsewhere', async () => {
+    otherInstanceLock({ lockedUntil: new Date(START + MINUTE_MS) });
+
+    await assert.rejects(runJobNow(JOB), { statusCode: 409 });
+    assert.equal(handler.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,125 @@
+import { test, describe, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/User.js';
+import { issueSessionTokens, rotateRefreshToken, revokeRefreshToken } from '../services/tokenService.js';
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'user', email: 'jane@example.com', isActive: true };
+
+// Collection RefreshToken en mémoire : seuls les filtres utilisés par le service sont gérés
+let stored;
+
+const matches = (token, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (condition?.$gt) return token[field] > condition.$gt;
+    if (condition === null) return token[field] == null;
+    return token[field] === condition;
+  });
+
+const familyOf = (family) => stored.filter((token) => token.family === family);
+
+describe('refresh token rotation', () => {
+  beforeEach(() => {
+    stored = [];
+    mock.method(console, 'warn', () => {});
+    mock.method(RefreshToken, 'create', async (data) => {
+      const token = { revokedAt: null, ...data };
+      stored.push(token);
+      return token;
+    });
+    mock.method(RefreshToken, 'findOne', async (filter) => stored.find((token) => matches(token, filter)) || null);
+    mock.method(RefreshToken, 'findOneAndUpdate', async (filter, { $set }) => {
+      const token = stored.find((item) => matches(item, filter));
+      if (!token) return null;
+      const before = { ...token };
+      Object.assign(token, $set);
+      return before;
+    });
+    mock.method(RefreshToken, 'updateMany', async (filter, update) => {
+      stored.filter((token) => matches(token, filter)).forEach((token) => Object.assign(token, update));
+    });
+    mock.method(User, 'findById', async () => user);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  test('exchanges a refresh token for a new pair in the same family', async () => {
+    const session = await issueSessionTokens(user);
+    const rotated = await rotateRefreshToken(session.refreshToken);
+
+    assert.ok(rotated.token);
+    assert.notEqual(rotated.refreshToken, session.refreshToken);
+    assert.equal(stored.length, 2);
+    assert.equal(stored[0].revokedReason, 'rotated');
+    assert.equal(stored[1].family, stored[0].family);
+    assert.equal(stored[1].revokedAt, null);
+  });
+
+  test('stores only a hash of the refresh token', async () => {
+    const session = await issueSessionTokens(user);
+
+    assert.notEqual(stored[0].tokenHash, session.refreshToken);
+    assert.match(stored[0].tokenHash, /^[0-9a-f]{64}$/);
+  });
+
+  test('revokes the whole family when a rotated token is reused', async () => {
+    const session = await issueSessionTokens(user);
+    const rotated = await rotateRefreshToken(session.refreshToken);
+
+    await assert.rejects(rotateRefreshToken(session.refreshToken), {
+      statusCode: 401,
+      message: 'Refresh token has been revoked',
+    });
+    assert.ok(familyOf(stored[0].family).every((token) => token.revokedAt));
+    assert.equal(stored[1].revokedReason, 'reuse-detected');
+
+    // Le token légitime le plus récent ne fonctionne plus non plus
+    await assert.rejects(rotateRefreshToken(rotated.refreshToken), { statusCode: 401 });
+  });
+
+  test('lets only one of two concurrent rotations of the same token succeed', async () => {
+    const session = await issueSessionTokens(user);
+
+    const results = await Promise.allSettled([
+      rotateRefreshToken(session.refreshToken),
+      rotateRefreshToken(session.refreshToken),
+    ]);
+
+    assert.equal(results.filter((result) => result.status === 'fulfilled').length, 1);
+    assert.equal(results.filter((result) => result.status === 'rejected').length, 1);
+  });
+
+  test('rejects an unknown token', async () => {
+    await assert.rejects(rotateRefreshToken('not-a-token'), { statusCode: 401, message: 'Invalid refresh token' });
+  });
+
+  test('rejects an expired token without revoking its family', async () => {
+    const session = await issueSessionTokens(user);
+    stored[0].expiresAt = new Date(Date.now() - 1000);
+
+    await assert.rejects(rotateRefreshToken(session.refreshToken), {
+      statusCode: 401,
+      message: 'Refresh token expired',
+    });
+    assert.equal(RefreshToken.updateMany.mock.callCount(), 0);
+  });
+
+  test('does not treat a token revoked at logout as reuse', async () => {
+    const session = await issueSessionTokens(user);
+    await revokeRefreshToken(session.refreshToken);
+
+    await assert.rejects(rotateRefreshToken(session.refreshToken), { statusCode: 401 });
+    assert.equal(stored[0].revokedReason, 'logout');
+    assert.equal(console.warn.mock.callCount(), 0);
+  });
+
+  test('revokes the family of a deactivated user', async () => {
+    const session = await issueSessionTokens(user);
+    User.findById.mock.mockImplementation(async () => ({ ...user, isActive: false }));
+
+    await assert.rejects(rotateRefreshToken(session.refreshToken), { statusCode: 401 });
+    assert.equal(stored.length, 1);
+    assert.ok(stored[0].revokedAt);
+  });
+});
@@ -0,0 +1,127 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { validateRequest } from '../middlewares/validateRequest.js';
+import { errorHandler } from '../middlewares/errorHandlers.js';
+
+const VALID_ID = '507f1f77bcf86cd799439011';
+
+let server;
+let baseUrl;
+
+// Les routeurs réels sont remplacés par un handler qui renvoie ce qu'il a reçu
+const echoRouter = () => {
+  const router = express.Router();
+  router.use((req, res) => res.json({ success: true, query: req.query, body: req.body }));
+  return router;
+};
+
+const request = async (method, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const errorFor = (body, field) => body.errors.find((error) => error.field === field);
+
+describe('validateRequest', () => {
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', validateRequest, echoRouter());
+    app.use('/api/equipment', validateRequest, echoRouter());
+    app.use(errorHandler);
+
+    await new Promise((resolve) => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise((resolve) => server.close(resolve)));
+
+  test('lets a valid request through', async () => {
+    const { status } = await request('POST', '/api/auth/register', {
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+      password: 'secret123',
+    });
+
+    assert.equal(status, 200);
+  });
+
+  test('answers 400 with one entry per invalid body field', async () => {
+    const { status, body } = await request('POST', '/api/auth/register', { email: 'not-an-email', password: '123' });
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    assert.equal(body.message, 'Validation failed');
+    assert.deepEqual(errorFor(body, 'name'), { location: 'body', field: 'name', message: 'is required' });
+    assert.deepEqual(errorFor(body, 'email'), {
+      location: 'body',
+      field: 'email',
+      message: 'must be a valid email address',
+    });
+    assert.equal(errorFor(body, 'password').location, 'body');
+  });
+
+  test('rejects unknown body fields such as a role on public registration', async () => {
+    const { status, body } = await request('POST', '/api/auth/register', {
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+      password: 'secret123',
+      role: 'admin',
+    });
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.errors, [{ location: 'body', field: '', message: 'unknown property "role"' }]);
+  });
+
+  test('validates a required body that is missing', async () => {
+    const { status, body } = await request('POST', '/api/auth/login');
+
+    assert.equal(status, 400);
+    assert.deepEqual(
+      body.errors.map((error) => error.field),
+      ['email', 'password']
+    );
+  });
+
+  test('reports invalid path parameters', async () => {
+    const { status, body } = await request('GET', '/api/equipment/not-an-id');
+
+    assert.equal(status, 400);
+    assert.deepEqual(body.errors, [{ location: 'path', field: 'id', message: 'must be a valid id' }]);
+  });
+
+  test('reports invalid query parameters', async () => {
+    const { status, body } = await request('GET', '/api/equipment?page=0&limit=abc&status=lost-in-space');
+
+    assert.equal(status, 400);
+    assert.deepEqual(
+      body.errors.map((error) => [error.location, error.field]),
+      [
+        ['query', 'status'],
+        ['query', 'page'],
+        ['query', 'limit'],
+      ]
+    );
+    assert.match(errorFor(body, 'status').message, /^must be one of: /);
+  });
+
+  test('hands the original query strings to the handler', async () => {
+    const { status, body } = await request('GET', `/api/equipment?page=2&category=${VALID_ID}`);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.query, { page: '2', category: VALID_ID });
+  });
+
+  test('leaves undocumented routes to the next handler', async () => {
+    const { status } = await request('GET', '/api/equipment/some/unknown/route');
+
+    assert.equal(status, 200);
+  });
+});
@@ -0,0 +1,60 @@
+// Ajouter un nombre de mois en restant sur le dernier jour du mois si besoin (31 janv. + 1 mois = 28/29 févr.)
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+};
+
+// Ajouter une durée { every, unit } à une date (unit: days, weeks, months, years)
+export const addInterval = (date, { every, unit }) => {
+  const result = new Date(date);
+
+  switch (unit) {
+    case 'days':
+      result.setUTCDate(result.getUTCDate() + every);
+      return result;
+    case 'weeks':
+      result.setUTCDate(result.getUTCDate() + every * 7);
+      return result;
+    case 'months':
+      return addMonths(result, every);
+    case 'years':
+      return addMonths(result, every * 12);
+    default:
+      throw new Error(`Unknown interval unit: ${unit}`);
+  }
+};
+
+// Vérifier qu'un fuseau IANA est reconnu (ex: "Europe/Paris")
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Heure, minute et jour de la semaine (0 = dimanche) d'une date dans un fuseau ; UTC si le fuseau est inconnu
+export const zonedTimeParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimeZone(timeZone) ? timeZone : 'UTC',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const value = (type) => parts.find((part) => part.type === type).value;
+
+  return {
+    hour: parseInt(value('hour'), 10),
+    minute: parseInt(value('minute'), 10),
+    weekday: WEEKDAYS.indexOf(value('weekday')),
+  };
+};
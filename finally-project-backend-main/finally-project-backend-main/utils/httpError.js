@@ -0,0 +1,13 @@
+// Créer une erreur portant un code HTTP, interprétée par errorHandler
+export const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Erreur 400 détaillée par champ : [{ location, field, message }]
+export const validationError = (errors) => {
+  const error = httpError(400, 'Validation failed');
+  error.errors = errors;
+  return error;
+};
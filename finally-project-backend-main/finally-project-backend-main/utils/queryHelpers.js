@@ -0,0 +1,55 @@
+// Helpers partagés par les routes de liste (pagination, tri, filtrage)
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Lire page/limit depuis la query string avec des bornes raisonnables
+export const parsePagination = (query, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Convertir "?sort=-createdAt,name" en objet de tri Mongoose.
+// Seuls les champs autorisés sont retenus pour ne pas trier sur des champs non indexés ou privés.
+export const parseSort = (sortParam, allowedFields, defaultSort = { createdAt: -1 }) => {
+  if (!sortParam) return defaultSort;
+
+  const sort = {};
+  String(sortParam)
+    .split(',')
+    .map((field) => field.trim())
+    .filter(Boolean)
+    .forEach((field) => {
+      const direction = field.startsWith('-') ? -1 : 1;
+      const name = field.replace(/^[-+]/, '');
+      if (allowedFields.includes(name)) {
+        sort[name] = direction;
+      }
+    });
+
+  return Object.keys(sort).length > 0 ? sort : defaultSort;
+};
+
+// Ne garder que les champs autorisés d'un objet (ex: req.body)
+export const pick = (source, fields) => {
+  const result = {};
+  fields.forEach((field) => {
+    if (source && source[field] !== undefined) {
+      result[field] = source[field];
+    }
+  });
+  return result;
+};
+
+// Construire la méta de pagination renvoyée avec les listes
+export const paginationMeta = (total, { page, limit }) => ({
+  total,
+  page,
+  limit,
+  pages: Math.ceil(total / limit) || 1,
+});
+
+// Échapper une saisie utilisateur avant de l'utiliser dans une RegExp
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
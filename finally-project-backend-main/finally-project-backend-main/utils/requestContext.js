@@ -0,0 +1,19 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Contexte de la requête en cours (utilisateur, IP), accessible depuis les hooks Mongoose
+const storage = new AsyncLocalStorage();
+
+// Middleware global : ouvre un contexte pour chaque requête
+export const requestContextMiddleware = (req, res, next) => {
+  storage.run({ ip: req.ip, user: null }, () => next());
+};
+
+export const getRequestContext = () => storage.getStore() || null;
+
+// Renseigné par authMiddleware une fois le token vérifié
+export const setRequestUser = (user) => {
+  const context = storage.getStore();
+  if (context) {
+    context.user = user;
+  }
+};
@@ -175,7 +175,7 @@ const AppContent = () => {
             <Route 
               path="/users" 
               element={
-                <ProtectedRoute allowedRoles={['admin']}>
+                <ProtectedRoute allowedRoles={['admin', 'manager']}>
                   <UserManagement />
                 </ProtectedRoute>
               } 
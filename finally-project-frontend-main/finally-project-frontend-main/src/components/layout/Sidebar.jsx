@@ -11,7 +11,7 @@ const Sidebar = ({ isOpen, onClose }) => {
 
   const navLinks = [
     { path: "/", name: "Tableau de bord", icon: "🏠", roles: ["user", "admin"] },
-    { path: "/users", name: "Gestion des utilisateurs", icon: "👥", roles: ["admin"] },
+    { path: "/users", name: "Gestion des utilisateurs", icon: "👥", roles: ["admin", "manager"] },
     { path: "/materials", name: "Gestion des matériaux", icon: "📦", roles: ["user", "admin"] },
     { path: "/categories", name: "Gestion des catégories", icon: "📂", roles: ["user", "admin"] },
     { path: "/roles", name: "Gestion des rôles", icon: "🔑", roles: ["admin"] },
@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
+import api, { apiErrorMessage, clearTokens, getRefreshToken, hasSession, saveTokens } from '../utils/api';
 
 // Créer le contexte d'authentification
 const AuthContext = createContext();
@@ -12,9 +13,23 @@ export const useAuth = () => {
   return context;
 };
 
+// Code d'erreur attendu par les pages de connexion et d'inscription, à partir de la réponse du backend
+const authError = (error) => {
+  const status = error.response?.status;
+  const codes = {
+    401: 'auth/invalid-credential',
+    409: 'auth/email-already-in-use',
+    423: 'auth/too-many-requests',
+    429: 'auth/too-many-requests',
+  };
+  const code = error.response ? codes[status] || 'auth/unknown' : 'auth/network-request-failed';
+  return { code, message: apiErrorMessage(error, 'Une erreur est survenue.') };
+};
+
 /**
  * Fournisseur de contexte d'authentification.
- * Gère l'état d'authentification simulée et les données de rôle de l'utilisateur.
+ * Gère la session ouverte auprès du backend (jetons dans le stockage local, voir utils/api.js)
+ * et les données de rôle de l'utilisateur.
  * @param {object} props - Propriétés du composant.
  * @param {React.ReactNode} props.children - Les enfants à rendre dans le fournisseur de contexte.
  */
@@ -24,51 +39,20 @@ export const AuthProvider = ({ children }) => {
   const [userId, setUserId] = useState(null);
   const [loading, setLoading] = useState(true);
 
-  // Données utilisateur simulées (pour la démonstration sans backend)
-  const [simulatedUsers, setSimulatedUsers] = useState({
-    'admin@example.com': { 
-      password: 'password', 
-      role: 'admin', 
-      id: 'admin-123',
-      email: 'admin@example.com',
-      name: 'Administrateur Demo'
-    },
-    'user@example.com': { 
-      password: 'password', 
-      role: 'user', 
-      id: 'user-456',
-      email: 'user@example.com',
-      name: 'Utilisateur Demo'
-    },
-  });
-
   useEffect(() => {
-    // Simuler la vérification de l'état d'authentification au chargement
+    // Restaurer la session enregistrée au chargement
     const checkAuthStatus = () => {
       try {
-        // Récupérer l'utilisateur depuis le stockage local
         const storedUser = localStorage.getItem('currentUser');
         const storedRole = localStorage.getItem('userRole');
         const storedUserId = localStorage.getItem('userId');
 
-        if (storedUser && storedRole && storedUserId) {
-          const parsedUser = JSON.parse(storedUser);
-          
-          // Vérifier si l'utilisateur existe toujours dans nos données simulées
-          // Note: On ne peut pas accéder à simulatedUsers dans le useEffect directement
-          // On fait une vérification basique pour cette démo
-          const isValidUser = Object.values(simulatedUsers).some(
-            user => user.id === storedUserId && user.email === parsedUser.email
-          );
-          
-          if (isValidUser) {
-            setCurrentUser(parsedUser);
-            setUserRole(storedRole);
-            setUserId(storedUserId);
-          } else {
-            // Si l'utilisateur n'existe plus, nettoyer le stockage
-            clearAuthStorage();
-          }
+        if (storedUser && storedRole && storedUserId && hasSession()) {
+          setCurrentUser(JSON.parse(storedUser));
+          setUserRole(storedRole);
+          setUserId(storedUserId);
+        } else {
+          clearAuthStorage();
         }
       } catch (error) {
         console.error('Erreur lors de la vérification de l\'authentification:', error);
@@ -86,125 +70,60 @@ export const AuthProvider = ({ children }) => {
     localStorage.removeItem('currentUser');
     localStorage.removeItem('userRole');
     localStorage.removeItem('userId');
+    clearTokens();
     setCurrentUser(null);
     setUserRole('guest');
     setUserId(null);
   };
 
-  // Validation des entrées
-  const validateEmail = (email) => {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
-  };
-
-  const validatePassword = (password) => {
-    return password && password.length >= 6;
-  };
-
-  // Fonction d'inscription simulée - CORRIGÉ: minuscule pour correspondre aux composants
-  const register = async (email, password, role = 'user', name = '') => {
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        // Validation des entrées
-        if (!validateEmail(email)) {
-          reject({ code: 'auth/invalid-email', message: 'Format d\'e-mail invalide.' });
-          return;
-        }
-
-        if (!validatePassword(password)) {
-          reject({ code: 'auth/weak-password', message: 'Le mot de passe doit contenir au moins 6 caractères.' });
-          return;
-        }
-
-        if (simulatedUsers[email]) {
-          reject({ code: 'auth/email-already-in-use', message: 'Cet e-mail est déjà utilisé.' });
-        } else {
-          const newUserId = `user-${Date.now()}`;
-          const newUser = { 
-            email, 
-            password, 
-            role, 
-            id: newUserId,
-            name: name || `Utilisateur ${role}`
-          };
-          
-          // Ajouter l'utilisateur à la liste simulée
-          const updatedUsers = { ...simulatedUsers, [email]: newUser };
-          setSimulatedUsers(updatedUsers);
-          
-          // Sauvegarder dans le localStorage
-          const userData = { 
-            email, 
-            uid: newUserId,
-            name: newUser.name
-          };
-          localStorage.setItem('currentUser', JSON.stringify(userData));
-          localStorage.setItem('userRole', role);
-          localStorage.setItem('userId', newUserId);
-          
-          // Mettre à jour l'état
-          setCurrentUser(userData);
-          setUserRole(role);
-          setUserId(newUserId);
-          
-          resolve({ user: userData });
-        }
-      }, 500);
-    });
+  // Inscription publique : le rôle est toujours "user", les autres rôles sont attribués par un admin.
+  // Pas de connexion automatique, la page d'inscription renvoie vers la connexion.
+  const register = async (email, password, name = '') => {
+    try {
+      const { data } = await api.post('/api/auth/register', { name, email, password });
+      return { user: data.user };
+    } catch (error) {
+      throw authError(error);
+    }
   };
 
-  // Fonction de connexion simulée - CORRIGÉ: minuscule pour correspondre aux composants
+  // Connexion : jetons conservés pour les appels suivants à l'API
   const login = async (email, password) => {
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        // Validation des entrées
-        if (!validateEmail(email)) {
-          reject({ code: 'auth/invalid-email', message: 'Format d\'e-mail invalide.' });
-          return;
-        }
+    let data;
+    try {
+      ({ data } = await api.post('/api/auth/login', { email, password }));
+    } catch (error) {
+      throw authError(error);
+    }
+
+    saveTokens(data);
+    const userData = {
+      email: data.user.email,
+      uid: data.user._id,
+      name: data.user.name
+    };
 
-        if (!validatePassword(password)) {
-          reject({ code: 'auth/invalid-credential', message: 'Le mot de passe doit contenir au moins 6 caractères.' });
-          return;
-        }
+    localStorage.setItem('currentUser', JSON.stringify(userData));
+    localStorage.setItem('userRole', data.user.role);
+    localStorage.setItem('userId', data.user._id);
 
-        const user = simulatedUsers[email];
-        if (user && user.password === password) {
-          const userData = { 
-            email, 
-            uid: user.id,
-            name: user.name
-          };
-          
-          // Sauvegarder dans le localStorage
-          localStorage.setItem('currentUser', JSON.stringify(userData));
-          localStorage.setItem('userRole', user.role);
-          localStorage.setItem('userId', user.id);
-          
-          // Mettre à jour l'état
-          setCurrentUser(userData);
-          setUserRole(user.role);
-          setUserId(user.id);
-          
-          resolve({ user: userData });
-        } else {
-          reject({ 
-            code: 'auth/invalid-credential', 
-            message: 'E-mail ou mot de passe invalide.' 
-          });
-        }
-      }, 500);
-    });
+    setCurrentUser(userData);
+    setUserRole(data.user.role);
+    setUserId(data.user._id);
+
+    return { user: userData };
   };
 
-  // Fonction de déconnexion simulée
+  // Déconnexion : révoquer le refresh token côté serveur, puis oublier la session
   const logout = async () => {
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        clearAuthStorage();
-        resolve();
-      }, 300);
-    });
+    const refreshToken = getRefreshToken();
+    try {
+      if (refreshToken) await api.post('/api/auth/logout', { refreshToken });
+    } catch (error) {
+      console.error('Erreur lors de la déconnexion:', error);
+    } finally {
+      clearAuthStorage();
+    }
   };
 
   // Fonction pour vérifier si l'utilisateur est authentifié
@@ -227,8 +146,8 @@ export const AuthProvider = ({ children }) => {
     userRole,
     userId,
     loading,
-    register, // CORRIGÉ: minuscule
-    login,    // CORRIGÉ: minuscule
+    register,
+    login,
     logout,
     isAuthenticated,
     hasRole,
@@ -4,6 +4,7 @@ import { useAuth } from "../context/AuthContext";
 import InputField from "../components/common/InputField";
 import Button from "../components/common/Button";
 import Card from "../components/common/Card";
+import { useValidationRules } from "../utils/validationRules";
 
 const Login = () => {
   const [email, setEmail] = useState("");
@@ -11,6 +12,7 @@ const Login = () => {
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
   const { login } = useAuth();
+  const rules = useValidationRules();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -35,17 +37,6 @@ const Login = () => {
       return;
     }
 
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      setError("Format d'e-mail invalide.");
-      return;
-    }
-
-    if (password.length < 6) {
-      setError("Le mot de passe doit contenir au moins 6 caractères.");
-      return;
-    }
-
     setLoading(true);
 
     try {
@@ -61,9 +52,6 @@ const Login = () => {
         case "auth/invalid-credential":
           setError("E-mail ou mot de passe invalide.");
           break;
-        case "auth/invalid-email":
-          setError("Format d'e-mail invalide.");
-          break;
         case "auth/user-not-found":
           setError("Aucun compte trouvé avec cet e-mail.");
           break;
@@ -81,18 +69,6 @@ const Login = () => {
     }
   };
 
-  // Données de démonstration pour faciliter les tests
-  const fillDemoCredentials = (role = 'user') => {
-    if (role === 'admin') {
-      setEmail('admin@example.com');
-      setPassword('password');
-    } else {
-      setEmail('user@example.com');
-      setPassword('password');
-    }
-    setError('');
-  };
-
   return (
     <div className="flex items-center justify-center min-h-screen bg-gradient-to-br from-gray-200 to-gray-100 p-6">
       <Card title="Connexion" className="w-full max-w-md shadow-xl">
@@ -131,6 +107,7 @@ const Login = () => {
             onChange={(e) => setPassword(e.target.value)}
             placeholder="********"
             required
+            minLength={rules.passwordMinLength}
             className="shadow-sm"
             autoComplete="current-password"
           />
@@ -152,33 +129,6 @@ const Login = () => {
           </Button>
         </form>
 
-        {/* Boutons de démonstration pour faciliter les tests */}
-        <div className="mt-4 space-y-2">
-          <p className="text-center text-sm text-gray-600 mb-2">
-            Comptes de démonstration :
-          </p>
-          <div className="flex gap-2">
-            <Button
-              type="button"
-              onClick={() => fillDemoCredentials('user')}
-              className="flex-1 text-xs"
-              variant="outline"
-              disabled={loading}
-            >
-              Remplir User
-            </Button>
-            <Button
-              type="button"
-              onClick={() => fillDemoCredentials('admin')}
-              className="flex-1 text-xs"
-              variant="outline"
-              disabled={loading}
-            >
-              Remplir Admin
-            </Button>
-          </div>
-        </div>
-
         <p className="mt-6 text-center text-sm text-gray-600">
           Vous n'avez pas de compte ?{" "}
           <Link
@@ -4,26 +4,22 @@ import { useAuth } from "../context/AuthContext";
 import InputField from "../components/common/InputField";
 import Button from "../components/common/Button";
 import Card from "../components/common/Card";
-import SelectField from "../components/common/SelectField";
+import { useValidationRules } from "../utils/validationRules";
 
 const Register = () => {
   const [formData, setFormData] = useState({
     name: "",
     email: "",
     password: "",
-    confirmPassword: "",
-    role: "user"
+    confirmPassword: ""
   });
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
   const { register } = useAuth();
+  // Longueurs minimales du serveur ; le format d'e-mail est vérifié par le navigateur (type="email")
+  const rules = useValidationRules();
   const navigate = useNavigate();
 
-  const availableRoles = [
-    { value: "user", label: "Utilisateur standard" },
-    { value: "admin", label: "Administrateur" },
-  ];
-
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -42,22 +38,6 @@ const Register = () => {
       return;
     }
 
-    if (formData.name.length < 2) {
-      setError("Le nom doit contenir au moins 2 caractères.");
-      return;
-    }
-
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(formData.email)) {
-      setError("Format d'e-mail invalide.");
-      return;
-    }
-
-    if (formData.password.length < 6) {
-      setError("Le mot de passe doit contenir au moins 6 caractères.");
-      return;
-    }
-
     if (formData.password !== formData.confirmPassword) {
       setError("Les mots de passe ne correspondent pas.");
       return;
@@ -66,7 +46,7 @@ const Register = () => {
     setLoading(true);
 
     try {
-      await register(formData.email, formData.password, formData.role, formData.name);
+      await register(formData.email, formData.password, formData.name);
       // Redirection vers la page de connexion après inscription réussie
       navigate("/login", { 
         state: { 
@@ -82,12 +62,6 @@ const Register = () => {
         case "auth/email-already-in-use":
           setError("Cet e-mail est déjà utilisé.");
           break;
-        case "auth/invalid-email":
-          setError("Format d'e-mail invalide.");
-          break;
-        case "auth/weak-password":
-          setError("Le mot de passe doit contenir au moins 6 caractères.");
-          break;
         default:
           setError(err.message || "Échec de l'inscription. Veuillez réessayer.");
       }
@@ -96,18 +70,13 @@ const Register = () => {
     }
   };
 
-  // Fonction pour pré-remplir avec des données de test
-  const fillDemoData = (userType = 'user') => {
-    const demoEmail = userType === 'admin' 
-      ? `admin-demo-${Date.now()}@example.com` 
-      : `user-demo-${Date.now()}@example.com`;
-    
+  // Fonction pour pré-remplir avec des données de test (compte "user", les autres rôles sont attribués par un admin)
+  const fillDemoData = () => {
     setFormData({
-      name: userType === 'admin' ? "Administrateur Demo" : "Utilisateur Demo",
-      email: demoEmail,
+      name: "Utilisateur Demo",
+      email: `user-demo-${Date.now()}@example.com`,
       password: 'password',
-      confirmPassword: 'password',
-      role: userType
+      confirmPassword: 'password'
     });
     setError('');
   };
@@ -131,6 +100,7 @@ const Register = () => {
             onChange={handleChange}
             placeholder="Votre nom complet"
             required
+            minLength={rules.nameMinLength}
             className="shadow-sm"
             autoComplete="name"
           />
@@ -157,6 +127,7 @@ const Register = () => {
             onChange={handleChange}
             placeholder="********"
             required
+            minLength={rules.passwordMinLength}
             className="shadow-sm"
             autoComplete="new-password"
           />
@@ -170,21 +141,11 @@ const Register = () => {
             onChange={handleChange}
             placeholder="********"
             required
+            minLength={rules.passwordMinLength}
             className="shadow-sm"
             autoComplete="new-password"
           />
           
-          <SelectField
-            id="role"
-            name="role"
-            label="Rôle"
-            value={formData.role}
-            onChange={handleChange}
-            options={availableRoles}
-            required
-            className="shadow-sm"
-          />
-          
           <Button 
             type="submit" 
             disabled={loading} 
@@ -210,22 +171,13 @@ const Register = () => {
           <div className="flex gap-2">
             <Button
               type="button"
-              onClick={() => fillDemoData('user')}
+              onClick={fillDemoData}
               className="flex-1 text-xs"
               variant="outline"
               disabled={loading}
             >
               Données User
             </Button>
-            <Button
-              type="button"
-              onClick={() => fillDemoData('admin')}
-              className="flex-1 text-xs"
-              variant="outline"
-              disabled={loading}
-            >
-              Données Admin
-            </Button>
           </div>
         </div>
 
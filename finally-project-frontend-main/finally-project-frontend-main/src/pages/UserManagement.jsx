@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
 import Table from '../components/common/Table';
 import Button from '../components/common/Button';
 import Modal from '../components/common/Modal';
@@ -6,133 +6,191 @@ import InputField from '../components/common/InputField';
 import SelectField from '../components/common/SelectField';
 import Card from '../components/common/Card';
 import { useAuth } from '../context/AuthContext'; // Importer le contexte d'authentification
+import api, { apiErrorMessage } from '../utils/api';
+
+const PAGE_SIZE = 20;
+
+// Champs du profil modifiables par PUT /api/users/:id (le rôle et le statut ont leurs propres routes)
+const PROFILE_FIELDS = ['name', 'email', 'department', 'position', 'phoneNumber'];
+
+const emptyForm = { name: '', email: '', department: '', position: '', phoneNumber: '', role: '' };
 
 const UserManagement = () => {
-  const { userRole } = useAuth(); // Obtenir le rôle de l'utilisateur
+  const { userId } = useAuth(); // Obtenir l'utilisateur connecté
 
-  const [users, setUsers] = useState([
-    { id: 1, name: 'Alice Smith', email: 'alice@example.com', role: 'admin', status: 'Active' },
-    { id: 2, name: 'Bob Johnson', email: 'bob@example.com', role: 'user', status: 'Active' },
-    { id: 3, name: 'Charlie Brown', email: 'charlie@example.com', role: 'user', status: 'Inactive' },
-  ]);
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState(''); // Saisie en cours
+  const [query, setQuery] = useState(''); // Recherche appliquée
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [accessDenied, setAccessDenied] = useState('');
+  // Résultat de la dernière action (les actions réservées aux admins renvoient 403 sinon)
+  const [notice, setNotice] = useState(null);
 
   const [isModalOpen, setIsModalOpen] = useState(false);
-  const [editingUser, setEditingUser] = useState(null); // Objet utilisateur en cours d'édition ou null pour un nouvel utilisateur
-  const [formData, setFormData] = useState({
-    name: '',
-    email: '',
-    role: 'user', // Rôle par défaut pour les nouveaux utilisateurs
-    status: 'Active',
-  });
-  const [formErrors, setFormErrors] = useState({});
-
-  // Si l'utilisateur n'est pas un administrateur, afficher un message d'accès refusé
-  if (userRole !== 'admin') {
+  const [editingUser, setEditingUser] = useState(null); // Utilisateur en cours d'édition
+  const [formData, setFormData] = useState(emptyForm);
+  const [formError, setFormError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const loadUsers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await api.get('/api/users', {
+        params: { page, limit: PAGE_SIZE, search: query || undefined },
+      });
+      setUsers(data.users);
+      setPagination(data.pagination);
+      setAccessDenied('');
+    } catch (error) {
+      if (error.response?.status === 403) {
+        setAccessDenied(apiErrorMessage(error));
+      } else {
+        setNotice({ type: 'error', message: apiErrorMessage(error, 'Impossible de charger les utilisateurs.') });
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [page, query]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  // Rôles existants pour la liste de choix (lecture ouverte à tous les utilisateurs connectés)
+  useEffect(() => {
+    api
+      .get('/api/roles')
+      .then(({ data }) => setRoles(data.roles.map((role) => ({ value: role.name, label: role.name }))))
+      .catch((error) => console.error('Erreur lors du chargement des rôles:', error));
+  }, []);
+
+  if (accessDenied) {
     return (
       <div className="p-6 text-center">
         <Card title="Accès refusé">
           <p className="text-red-600 font-semibold mb-4">
             Vous n'avez pas les permissions nécessaires pour accéder à cette page.
           </p>
-          <p className="text-gray-700">
-            Seuls les administrateurs peuvent gérer les utilisateurs.
-          </p>
+          <p className="text-gray-700">{accessDenied}</p>
         </Card>
       </div>
     );
   }
 
-  const roles = [
-    { value: 'admin', label: 'Administrateur' },
-    { value: 'user', label: 'Utilisateur standard' },
-  ];
+  const replaceUser = (updated) => {
+    setUsers((current) => current.map((user) => (user._id === updated._id ? updated : user)));
+  };
 
-  const statuses = [
-    { value: 'Active', label: 'Actif' },
-    { value: 'Inactive', label: 'Inactif' },
-  ];
+  // Exécuter une action sur un utilisateur et afficher le message du serveur (succès ou refus)
+  const runAction = async (request, fallback) => {
+    setNotice(null);
+    try {
+      const { data } = await request();
+      if (data.user) replaceUser(data.user);
+      setNotice({ type: 'success', message: data.message });
+    } catch (error) {
+      setNotice({ type: 'error', message: apiErrorMessage(error, fallback) });
+    }
+  };
 
-  const handleInputChange = (e) => {
-    const { name, value } = e.target;
-    setFormData({ ...formData, [name]: value });
-    setFormErrors({ ...formErrors, [name]: '' }); // Effacer l'erreur lors du changement
+  const handleToggleActive = (user) => {
+    const action = user.isActive ? 'deactivate' : 'activate';
+    if (user.isActive && !window.confirm(`Désactiver le compte de ${user.name} ?`)) return;
+    runAction(() => api.patch(`/api/users/${user._id}/${action}`), 'Impossible de modifier le statut.');
   };
 
-  const validateForm = () => {
-    let errors = {};
-    if (!formData.name.trim()) errors.name = 'Le nom est requis.';
-    if (!formData.email.trim()) {
-      errors.email = 'L\'e-mail est requis.';
-    } else if (!/\S+@\S+\.\S+/.test(formData.email)) {
-      errors.email = 'L\'e-mail est invalide.';
-    }
-    if (!formData.role) errors.role = 'Le rôle est requis.';
-    if (!formData.status) errors.status = 'Le statut est requis.';
-    setFormErrors(errors);
-    return Object.keys(errors).length === 0;
+  const handleUnlock = (user) => {
+    runAction(() => api.post(`/api/users/${user._id}/unlock`), 'Impossible de déverrouiller le compte.');
   };
 
-  const handleAddUser = () => {
-    setEditingUser(null);
-    setFormData({ name: '', email: '', role: 'user', status: 'Active' });
-    setFormErrors({});
-    setIsModalOpen(true);
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setQuery(search.trim());
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({ ...formData, [name]: value });
+    setFormError('');
   };
 
   const handleEditUser = (user) => {
     setEditingUser(user);
-    setFormData({ ...user }); // Pré-remplir le formulaire avec les données de l'utilisateur
-    setFormErrors({});
+    setFormData(Object.fromEntries(Object.keys(emptyForm).map((field) => [field, user[field] || ''])));
+    setFormError('');
     setIsModalOpen(true);
   };
 
-  const handleDeleteUser = (id) => {
-    // Remplacer window.confirm par un composant de modale personnalisé si l'application est en production
-    if (window.confirm('Êtes-vous sûr de vouloir supprimer cet utilisateur ?')) {
-      setUsers(users.filter((user) => user.id !== id));
-    }
-  };
-
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!validateForm()) {
-      return;
-    }
+    setSaving(true);
+    setFormError('');
 
-    if (editingUser) {
-      // Mettre à jour l'utilisateur existant
-      setUsers(
-        users.map((user) =>
-          user.id === editingUser.id ? { ...user, ...formData } : user
-        )
-      );
-    } else {
-      // Ajouter un nouvel utilisateur
-      const newUser = { id: users.length + 1, ...formData };
-      setUsers([...users, newUser]);
+    // N'envoyer que les champs modifiés : changer l'e-mail est réservé aux admins
+    const changes = Object.fromEntries(
+      PROFILE_FIELDS.filter((field) => formData[field] !== (editingUser[field] || '')).map((field) => [
+        field,
+        formData[field],
+      ])
+    );
+
+    try {
+      let updated = editingUser;
+      if (Object.keys(changes).length > 0) {
+        ({ data: { user: updated } } = await api.put(`/api/users/${editingUser._id}`, changes));
+      }
+      if (formData.role !== editingUser.role) {
+        ({ data: { user: updated } } = await api.patch(`/api/users/${editingUser._id}/role`, { role: formData.role }));
+      }
+
+      replaceUser(updated);
+      setNotice({ type: 'success', message: 'Utilisateur mis à jour.' });
+      setIsModalOpen(false);
+    } catch (error) {
+      setFormError(apiErrorMessage(error, 'Impossible de mettre à jour l\'utilisateur.'));
+      // Une partie des changements a pu être enregistrée avant le refus
+      loadUsers();
+    } finally {
+      setSaving(false);
     }
-    setIsModalOpen(false);
   };
 
-  const tableHeaders = ['ID', 'Nom', 'E-mail', 'Rôle', 'Statut', 'Actions'];
+  // Le rôle actuel reste sélectionnable même s'il n'est pas dans la liste chargée
+  const roleOptions = roles.some((role) => role.value === formData.role) || !formData.role
+    ? roles
+    : [...roles, { value: formData.role, label: formData.role }];
+
+  const tableHeaders = ['Nom', 'E-mail', 'Département', 'Rôle', 'Statut', 'Actions'];
   const tableData = users.map((user) => [
-    user.id,
     user.name,
     user.email,
+    user.department || '-',
     user.role,
     <span
-      key={user.id}
+      key={user._id}
       className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full
-        ${user.status === 'Active' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}
+        ${user.isActive ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}
     >
-      {user.status}
+      {user.isActive ? 'Actif' : 'Inactif'}
     </span>,
-    <div key={user.id} className="flex space-x-2">
+    <div key={user._id} className="flex space-x-2">
       <Button size="sm" onClick={() => handleEditUser(user)}>
         Modifier
       </Button>
-      <Button size="sm" variant="danger" onClick={() => handleDeleteUser(user.id)}>
-        Supprimer
+      <Button
+        size="sm"
+        variant={user.isActive ? 'danger' : 'secondary'}
+        onClick={() => handleToggleActive(user)}
+        disabled={user._id === userId}
+      >
+        {user.isActive ? 'Désactiver' : 'Activer'}
+      </Button>
+      <Button size="sm" variant="outline" onClick={() => handleUnlock(user)}>
+        Déverrouiller
       </Button>
     </div>,
   ]);
@@ -141,20 +199,65 @@ const UserManagement = () => {
     <div className="p-6">
       <h1 className="text-3xl font-bold text-gray-800 mb-6">Gestion des utilisateurs</h1>
 
+      {notice && (
+        <div
+          className={`px-4 py-3 rounded-lg mb-4 border ${
+            notice.type === 'error'
+              ? 'bg-red-100 border-red-400 text-red-700'
+              : 'bg-green-100 border-green-400 text-green-700'
+          }`}
+        >
+          {notice.message}
+        </div>
+      )}
+
       <Card className="mb-6">
         <div className="flex justify-between items-center mb-4">
           <h2 className="text-xl font-semibold text-gray-800">Liste des utilisateurs</h2>
-          <Button onClick={handleAddUser}>Ajouter un nouvel utilisateur</Button>
+          <form onSubmit={handleSearch} className="flex space-x-2">
+            <InputField
+              id="search"
+              name="search"
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Nom, e-mail ou département"
+            />
+            <Button type="submit">Rechercher</Button>
+          </form>
         </div>
-        <Table headers={tableHeaders} data={tableData} />
+        {loading ? (
+          <p className="text-gray-600">Chargement des utilisateurs...</p>
+        ) : (
+          <Table headers={tableHeaders} data={tableData} />
+        )}
+        {pagination && pagination.pages > 1 && (
+          <div className="flex justify-end items-center space-x-3 mt-4">
+            <Button size="sm" variant="outline" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+              Précédent
+            </Button>
+            <span className="text-sm text-gray-600">
+              Page {pagination.page} / {pagination.pages}
+            </span>
+            <Button
+              size="sm"
+              variant="outline"
+              disabled={page >= pagination.pages}
+              onClick={() => setPage(page + 1)}
+            >
+              Suivant
+            </Button>
+          </div>
+        )}
       </Card>
 
-      <Modal
-        isOpen={isModalOpen}
-        onClose={() => setIsModalOpen(false)}
-        title={editingUser ? 'Modifier l\'utilisateur' : 'Ajouter un nouvel utilisateur'}
-      >
+      <Modal isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} title="Modifier l'utilisateur">
         <form onSubmit={handleSubmit}>
+          {formError && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4">
+              {formError}
+            </div>
+          )}
           <InputField
             id="name"
             name="name"
@@ -164,7 +267,6 @@ const UserManagement = () => {
             onChange={handleInputChange}
             placeholder="Entrez le nom de l'utilisateur"
             required
-            error={formErrors.name}
           />
           <InputField
             id="email"
@@ -175,7 +277,30 @@ const UserManagement = () => {
             onChange={handleInputChange}
             placeholder="Entrez l'e-mail de l'utilisateur"
             required
-            error={formErrors.email}
+          />
+          <InputField
+            id="department"
+            name="department"
+            label="Département"
+            type="text"
+            value={formData.department}
+            onChange={handleInputChange}
+          />
+          <InputField
+            id="position"
+            name="position"
+            label="Poste"
+            type="text"
+            value={formData.position}
+            onChange={handleInputChange}
+          />
+          <InputField
+            id="phoneNumber"
+            name="phoneNumber"
+            label="Téléphone"
+            type="tel"
+            value={formData.phoneNumber}
+            onChange={handleInputChange}
           />
           <SelectField
             id="role"
@@ -183,26 +308,15 @@ const UserManagement = () => {
             label="Rôle"
             value={formData.role}
             onChange={handleInputChange}
-            options={roles}
-            required
-            error={formErrors.role}
-          />
-          <SelectField
-            id="status"
-            name="status"
-            label="Statut"
-            value={formData.status}
-            onChange={handleInputChange}
-            options={statuses}
+            options={roleOptions}
             required
-            error={formErrors.status}
           />
           <div className="flex justify-end space-x-3 mt-6">
             <Button variant="secondary" onClick={() => setIsModalOpen(false)}>
               Annuler
             </Button>
-            <Button type="submit">
-              {editingUser ? 'Mettre à jour l\'utilisateur' : 'Créer l\'utilisateur'}
+            <Button type="submit" disabled={saving}>
+              {saving ? 'Enregistrement...' : 'Mettre à jour l\'utilisateur'}
             </Button>
           </div>
         </form>
@@ -211,4 +325,4 @@ const UserManagement = () => {
   );
 };
 
-export default UserManagement;
\ No newline at end of file
+export default UserManagement;
@@ -0,0 +1,77 @@
+import axios from 'axios';
+
+// URL du backend ; en développement, Vite redirige /api vers le backend (voir vite.config.js)
+const API_URL = import.meta.env.VITE_API_URL || '';
+
+const TOKEN_KEY = 'accessToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+export const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY);
+export const hasSession = () => Boolean(localStorage.getItem(TOKEN_KEY));
+
+// Enregistrer la paire de jetons reçue à la connexion ou au renouvellement
+export const saveTokens = ({ token, refreshToken }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+const api = axios.create({ baseURL: API_URL });
+
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+// Un seul renouvellement à la fois : le refresh token est à usage unique (rotation côté serveur)
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${API_URL}/api/auth/refresh-token`, { refreshToken: getRefreshToken() })
+      .then(({ data }) => saveTokens(data))
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Access token expiré : renouveler la session puis rejouer la requête une fois
+api.interceptors.response.use(undefined, async (error) => {
+  const { config, response } = error;
+  if (response?.status !== 401 || config.retried || config.url.startsWith('/api/auth/') || !getRefreshToken()) {
+    throw error;
+  }
+
+  try {
+    await refreshSession();
+  } catch {
+    clearTokens();
+    throw error;
+  }
+
+  config.retried = true;
+  return api(config);
+});
+
+/**
+ * Message lisible d'une erreur d'API : message du serveur, détaillé par champ pour les erreurs
+ * de validation ({ errors: [{ field, message }] }).
+ */
+export const apiErrorMessage = (error, fallback) => {
+  const data = error.response?.data;
+  if (!error.response) return 'Erreur de réseau. Veuillez vérifier votre connexion.';
+
+  const details = (data?.errors || []).map(({ field, message }) => (field ? `${field} ${message}` : message));
+  const message = data?.message || fallback;
+  return details.length > 0 ? `${message} : ${details.join(', ')}` : message;
+};
+
+export default api;
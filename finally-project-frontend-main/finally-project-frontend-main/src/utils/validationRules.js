@@ -0,0 +1,50 @@
+import { useEffect, useState } from 'react';
+
+// URL du backend ; en développement, Vite redirige /api vers le backend (voir vite.config.js)
+const API_URL = import.meta.env.VITE_API_URL || '';
+
+let rulesPromise = null;
+
+/**
+ * Règles de saisie des formulaires d'authentification, lues dans la spécification OpenAPI du backend
+ * (schéma Password et corps de /api/auth/register) : les formulaires appliquent la même validation
+ * que le serveur sans en garder une copie. Objet vide si la spécification n'est pas disponible.
+ */
+export const loadValidationRules = () => {
+  if (!rulesPromise) {
+    rulesPromise = fetch(`${API_URL}/api/openapi.json`)
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then((spec) => {
+        const register = spec.paths['/api/auth/register'].post.requestBody.content['application/json'].schema;
+        return {
+          passwordMinLength: spec.components.schemas.Password.minLength,
+          nameMinLength: register.properties.name?.minLength,
+        };
+      })
+      .catch((error) => {
+        console.warn('Règles de validation indisponibles :', error.message);
+        return {};
+      });
+  }
+  return rulesPromise;
+};
+
+// Hook : règles chargées une seule fois pour toute l'application
+export const useValidationRules = () => {
+  const [rules, setRules] = useState({});
+
+  useEffect(() => {
+    let active = true;
+    loadValidationRules().then((loaded) => {
+      if (active) setRules(loaded);
+    });
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return rules;
+};
@@ -5,4 +5,10 @@ import tailwindcss from '@tailwindcss/vite'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react(),tailwindcss()],
+  // Appels /api (spécification OpenAPI, etc.) transmis au backend en développement
+  server: {
+    proxy: {
+      '/api': 'http://localhost:5000',
+    },
+  },
 })